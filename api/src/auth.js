@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { pool } from "./db.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = "oj_session";
+export const ROLES = ["user", "setter", "admin"];
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_SALT_BYTES = 16;
+
+// Password hashes are stored as "scrypt$<salt>$<key>", both base64url.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+  const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString("base64url")}$${key.toString("base64url")}`;
+}
+
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, key] = (storedHash ?? "").split("$");
+  if (scheme !== "scrypt" || !salt || !key) {
+    return false;
+  }
+  const expected = Buffer.from(key, "base64url");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, "base64url"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header ?? "").split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) {
+      continue;
+    }
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function readSessionToken(req) {
+  const authorization = req.get("authorization") ?? "";
+  if (authorization.toLowerCase().startsWith("bearer ")) {
+    return authorization.slice(7).trim() || null;
+  }
+  return parseCookies(req.get("cookie"))[SESSION_COOKIE] ?? null;
+}
+
+export function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    displayName: user.display_name,
+    role: user.role,
+  };
+}
+
+/**
+ * Creates a session for the user and sets the session cookie. The raw token
+ * is also returned so that non-browser clients can send it as a bearer token;
+ * only its hash is stored.
+ */
+export async function startSession(res, userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await pool.query(
+    `INSERT INTO sessions (token_hash, user_id, expires_at)
+     VALUES ($1, $2, $3)`,
+    [hashToken(token), userId, expiresAt]
+  );
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.SESSION_COOKIE_SECURE === "true",
+    expires: expiresAt,
+    path: "/",
+  });
+  return token;
+}
+
+export async function endSession(req, res) {
+  const token = readSessionToken(req);
+  if (token) {
+    await pool.query("DELETE FROM sessions WHERE token_hash = $1", [
+      hashToken(token),
+    ]);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+/**
+ * Express middleware that resolves the session token (cookie or bearer) to
+ * `req.user`, or null for anonymous requests. Unknown or expired tokens are
+ * treated as anonymous rather than rejected.
+ */
+export async function authenticate(req, res, next) {
+  req.user = null;
+  const token = readSessionToken(req);
+  if (!token) {
+    next();
+    return;
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT u.id, u.username, u.email, u.display_name, u.role
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.token_hash = $1
+         AND s.expires_at > NOW()
+         AND u.is_active = TRUE`,
+      [hashToken(token)]
+    );
+    req.user = rows[0] ?? null;
+  } catch {
+    res.status(500).json({ error: "Failed to load session." });
+    return;
+  }
+  next();
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    res.status(401).json({ error: "Login required." });
+    return;
+  }
+  next();
+}
+
+/**
+ * Like requireUser, but also rejects signed-in users whose role is not one of
+ * `roles` with 403.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      res.status(401).json({ error: "Login required." });
+      return;
+    }
+    if (!roles.includes(req.user.role)) {
+      res.status(403).json({ error: "You do not have permission to do that." });
+      return;
+    }
+    next();
+  };
+}
+
+// Creates (or promotes) the account named by ADMIN_USERNAME so that a fresh
+// install has someone who can hand out roles. An existing password is kept.
+export async function ensureBootstrapAdmin() {
+  const username = process.env.ADMIN_USERNAME?.trim();
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username) {
+    return;
+  }
+
+  const { rows } = await pool.query(
+    "UPDATE users SET role = 'admin' WHERE username = $1 RETURNING id",
+    [username]
+  );
+  if (rows.length > 0) {
+    return;
+  }
+  if (!password) {
+    console.warn(
+      `ADMIN_USERNAME ${username} does not exist and ADMIN_PASSWORD is not set.`
+    );
+    return;
+  }
+  await pool.query(
+    `INSERT INTO users (username, password_hash, role)
+     VALUES ($1, $2, 'admin')`,
+    [username, await hashPassword(password)]
+  );
+}
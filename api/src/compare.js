@@ -0,0 +1,93 @@
+export const COMPARE_MODES = [
+  "exact",
+  "tokens",
+  "float-absolute",
+  "float-relative",
+  "case-insensitive",
+  "unordered-lines",
+];
+export const DEFAULT_COMPARE_EPSILON = 1e-6;
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+function normalizeOutput(text) {
+  return text.replace(/\r\n/g, "\n").trimEnd();
+}
+
+function splitTokens(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+function splitLines(text) {
+  return normalizeOutput(text)
+    .split("\n")
+    .map((line) => line.trimEnd());
+}
+
+function tokensEqual(expected, actual, isEqual) {
+  if (expected.length !== actual.length) {
+    return false;
+  }
+  return expected.every((token, index) => isEqual(token, actual[index]));
+}
+
+// Non-numeric tokens still have to match exactly, so answers such as
+// "YES 0.5" can be compared with a tolerance on the number only.
+function floatTokenEqual(expected, actual, epsilon, relative) {
+  if (!NUMBER_PATTERN.test(expected) || !NUMBER_PATTERN.test(actual)) {
+    return expected === actual;
+  }
+  const expectedValue = Number.parseFloat(expected);
+  const actualValue = Number.parseFloat(actual);
+  const difference = Math.abs(expectedValue - actualValue);
+  if (difference <= epsilon) {
+    return true;
+  }
+  return relative && difference <= epsilon * Math.abs(expectedValue);
+}
+
+/**
+ * Compares contestant output with the expected answer using one of the
+ * built-in modes from COMPARE_MODES. "exact" only ignores CRLF line endings
+ * and trailing whitespace at the end of the output; the float modes accept
+ * numbers within `epsilon` absolutely, or relatively for "float-relative".
+ */
+export function compareOutputs(mode, expected, actual, epsilon) {
+  const tolerance = Number.isFinite(epsilon)
+    ? epsilon
+    : DEFAULT_COMPARE_EPSILON;
+
+  switch (mode) {
+    case "tokens":
+      return tokensEqual(
+        splitTokens(expected),
+        splitTokens(actual),
+        (left, right) => left === right
+      );
+    case "float-absolute":
+    case "float-relative":
+      return tokensEqual(
+        splitTokens(expected),
+        splitTokens(actual),
+        (left, right) =>
+          floatTokenEqual(left, right, tolerance, mode === "float-relative")
+      );
+    case "case-insensitive":
+      return tokensEqual(
+        splitTokens(expected),
+        splitTokens(actual),
+        (left, right) => left.toLowerCase() === right.toLowerCase()
+      );
+    case "unordered-lines": {
+      const expectedLines = splitLines(expected).sort();
+      const actualLines = splitLines(actual).sort();
+      return tokensEqual(
+        expectedLines,
+        actualLines,
+        (left, right) => left === right
+      );
+    }
+    default:
+      return normalizeOutput(expected) === normalizeOutput(actual);
+  }
+}
@@ -0,0 +1,218 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+const MARKER_FILE = ".compile-cache.json";
+const DEFAULT_MAX_SIZE_MB = 512;
+
+function getCacheDir() {
+  return (
+    process.env.JUDGE_COMPILE_CACHE_DIR ||
+    path.join(os.tmpdir(), "oj-compile-cache")
+  );
+}
+
+// JUDGE_COMPILE_CACHE_MAX_MB=0 turns the cache off.
+function getMaxSizeBytes() {
+  const parsed = Number.parseInt(process.env.JUDGE_COMPILE_CACHE_MAX_MB, 10);
+  const sizeMb =
+    Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_MAX_SIZE_MB;
+  return sizeMb * 1024 * 1024;
+}
+
+export function compileCacheKey(parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) {
+    hash.update(String(part ?? ""));
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
+
+async function directorySize(dir) {
+  let total = 0;
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else {
+      total += (await fs.lstat(entryPath)).size;
+    }
+  }
+  return total;
+}
+
+async function copyEntry(fromDir, toDir) {
+  await fs.cp(fromDir, toDir, {
+    recursive: true,
+    force: true,
+    filter: (source) => path.basename(source) !== MARKER_FILE,
+  });
+}
+
+async function scanCache(cacheDir) {
+  const entries = new Map();
+  let totalSize = 0;
+  for (const name of await fs.readdir(cacheDir)) {
+    if (name.startsWith(".")) {
+      continue;
+    }
+    const entryDir = path.join(cacheDir, name);
+    try {
+      const markerPath = path.join(entryDir, MARKER_FILE);
+      const markerStat = await fs.stat(markerPath);
+      const marker = JSON.parse(await fs.readFile(markerPath, "utf8"));
+      const size = marker.size ?? (await directorySize(entryDir));
+      entries.set(entryDir, { size, usedAt: markerStat.mtimeMs });
+      totalSize += size;
+    } catch {
+      // Entries removed concurrently by another worker are skipped.
+    }
+  }
+  return { entries, totalSize };
+}
+
+// Sizes and last uses of the cached entries, read from disk once per process
+// and then kept up to date as this process stores, restores and evicts
+// entries. Entries stored by other worker processes are counted from the
+// next restart on.
+let cacheIndex = null;
+let cacheIndexLoad = null;
+
+async function loadCacheIndex(cacheDir) {
+  if (!cacheIndex) {
+    cacheIndexLoad ??= scanCache(cacheDir).finally(() => {
+      cacheIndexLoad = null;
+    });
+    cacheIndex = await cacheIndexLoad;
+  }
+  return cacheIndex;
+}
+
+// Copies the entry into a staging directory inside `targetDir` and only then
+// moves the files into place, so an entry that is evicted or still being
+// written while it is copied counts as a miss instead of leaving a partial
+// build behind. The copy has to add up to the size recorded when the entry
+// was stored.
+async function restoreEntry(entryDir, targetDir) {
+  const markerPath = path.join(entryDir, MARKER_FILE);
+  let marker;
+  try {
+    marker = JSON.parse(await fs.readFile(markerPath, "utf8"));
+  } catch {
+    return null;
+  }
+
+  const stagingDir = await fs.mkdtemp(path.join(targetDir, ".restore-"));
+  try {
+    try {
+      await copyEntry(entryDir, stagingDir);
+    } catch {
+      return null;
+    }
+    if (
+      marker.size !== undefined &&
+      (await directorySize(stagingDir)) !== marker.size
+    ) {
+      return null;
+    }
+    for (const name of await fs.readdir(stagingDir)) {
+      const destination = path.join(targetDir, name);
+      await fs.rm(destination, { recursive: true, force: true });
+      await fs.rename(path.join(stagingDir, name), destination);
+    }
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+
+  // The marker's mtime is the entry's last use for LRU eviction.
+  const now = new Date();
+  await fs.utimes(markerPath, now, now).catch(() => {});
+  const entry = cacheIndex?.entries.get(entryDir);
+  if (entry) {
+    entry.usedAt = now.getTime();
+  }
+  return { ok: true, output: marker.output ?? null, cached: true };
+}
+
+// Returns the size of the stored entry, or null when another worker stored
+// the same entry first.
+async function storeEntry(cacheDir, entryDir, sourceDir, output) {
+  const stagingDir = await fs.mkdtemp(path.join(cacheDir, ".staging-"));
+  try {
+    await copyEntry(sourceDir, stagingDir);
+    const size = await directorySize(stagingDir);
+    await fs.writeFile(
+      path.join(stagingDir, MARKER_FILE),
+      JSON.stringify({ output, size }),
+      "utf8"
+    );
+    await fs.rename(stagingDir, entryDir);
+    return size;
+  } catch {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+    return null;
+  }
+}
+
+async function evictEntries(index, maxSizeBytes) {
+  if (index.totalSize <= maxSizeBytes) {
+    return;
+  }
+  const entries = [...index.entries].sort(
+    ([, left], [, right]) => left.usedAt - right.usedAt
+  );
+  for (const [entryDir, entry] of entries) {
+    if (index.totalSize <= maxSizeBytes) {
+      break;
+    }
+    index.entries.delete(entryDir);
+    index.totalSize -= entry.size;
+    await fs.rm(entryDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Fills `targetDir` with the build products for `key`, either by copying a
+ * cached entry or by running `build(targetDir)` and caching its result when
+ * it succeeds. Entries are evicted least recently used first once the cache
+ * grows past JUDGE_COMPILE_CACHE_MAX_MB.
+ */
+export async function withCompileCache(key, targetDir, build) {
+  const maxSizeBytes = getMaxSizeBytes();
+  if (maxSizeBytes === 0) {
+    return build(targetDir);
+  }
+
+  const cacheDir = getCacheDir();
+  const entryDir = path.join(cacheDir, key);
+  try {
+    const restored = await restoreEntry(entryDir, targetDir);
+    if (restored) {
+      return restored;
+    }
+  } catch (error) {
+    console.error("Failed to restore from compile cache", error);
+  }
+
+  const result = await build(targetDir);
+  if (!result.ok) {
+    return result;
+  }
+
+  try {
+    await fs.mkdir(cacheDir, { recursive: true });
+    const index = await loadCacheIndex(cacheDir);
+    const size = await storeEntry(cacheDir, entryDir, targetDir, result.output);
+    if (size != null && !index.entries.has(entryDir)) {
+      index.entries.set(entryDir, { size, usedAt: Date.now() });
+      index.totalSize += size;
+    }
+    await evictEntries(index, maxSizeBytes);
+  } catch (error) {
+    console.error("Failed to update compile cache", error);
+  }
+  return result;
+}
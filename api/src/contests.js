@@ -0,0 +1,285 @@
+/**
+ * "upcoming" until start_time, "running" until end_time, then "ended". A
+ * contest without a start time has not been scheduled yet and counts as
+ * upcoming.
+ */
+export function contestPhase(contest, now = new Date()) {
+  if (!contest.start_time || now < new Date(contest.start_time)) {
+    return "upcoming";
+  }
+  if (contest.end_time && now >= new Date(contest.end_time)) {
+    return "ended";
+  }
+  return "running";
+}
+
+function contestLengthMinutes(contest) {
+  if (contest.duration_minutes != null) {
+    return contest.duration_minutes;
+  }
+  if (contest.start_time && contest.end_time) {
+    return (new Date(contest.end_time) - new Date(contest.start_time)) / 60000;
+  }
+  return null;
+}
+
+/**
+ * The period in which a registered user may submit: the contest's own window
+ * for regular participants, or duration_minutes (defaulting to the contest's
+ * length) from their own start for virtual participants. A null end means
+ * the window never closes.
+ */
+export function participationWindow(contest, registration) {
+  if (registration.is_virtual) {
+    const start = new Date(registration.started_at);
+    const minutes = contestLengthMinutes(contest);
+    return {
+      start,
+      end: minutes != null ? new Date(start.getTime() + minutes * 60000) : null,
+    };
+  }
+  return {
+    start: contest.start_time ? new Date(contest.start_time) : null,
+    end: contest.end_time ? new Date(contest.end_time) : null,
+  };
+}
+
+export function isWithinWindow(window, now = new Date()) {
+  return (
+    window.start != null &&
+    now >= window.start &&
+    (window.end == null || now < window.end)
+  );
+}
+
+export const SCORING_MODES = ["icpc", "ioi"];
+export const ICPC_PENALTY_MINUTES = 20;
+
+/**
+ * When the scoreboard freezes for regular participants: freeze_minutes before
+ * the end, until an admin unfreezes it. Null when there is no freeze.
+ */
+export function freezeTime(contest) {
+  if (
+    contest.freeze_minutes == null ||
+    contest.freeze_minutes <= 0 ||
+    !contest.end_time ||
+    contest.unfrozen_at
+  ) {
+    return null;
+  }
+  return new Date(
+    new Date(contest.end_time).getTime() - contest.freeze_minutes * 60000
+  );
+}
+
+function elapsedMinutes(from, to) {
+  return from != null
+    ? Math.max(0, Math.floor((new Date(to) - from) / 60000))
+    : 0;
+}
+
+function assignRanks(rows, isTied) {
+  let rank = 0;
+  rows.forEach((row, index) => {
+    if (index === 0 || !isTied(rows[index - 1], row)) {
+      rank = index + 1;
+    }
+    row.rank = rank;
+  });
+}
+
+/**
+ * Builds the scoreboard in the contest's scoring mode.
+ *
+ * ICPC ranks by solved problems, then by penalty: minutes until each first
+ * accepted submission plus ICPC_PENALTY_MINUTES per earlier rejected attempt.
+ * IOI ranks by the sum of problem scores, where a problem with testcase
+ * groups scores the best result of every group across all submissions.
+ *
+ * While the scoreboard is frozen, regular participants' submissions made
+ * after the freeze are reported as pending unless `revealFrozen` is set.
+ * Virtual participants are never frozen.
+ */
+export async function loadStandings(
+  client,
+  contest,
+  { revealFrozen = false } = {}
+) {
+  const mode = contest.scoring_mode;
+  const freezeAt = freezeTime(contest);
+  const frozen = freezeAt != null && new Date() >= freezeAt && !revealFrozen;
+
+  const problemsResult = await client.query(
+    `SELECT cp.problem_id, cp.label,
+            COALESCE(cp.points, p.points) AS points,
+            COALESCE(
+              (SELECT SUM(g.points)::int
+               FROM testcase_groups g
+               WHERE g.problem_id = p.id),
+              p.points
+            ) AS max_score
+     FROM contest_problems cp
+     JOIN problems p ON p.id = cp.problem_id
+     WHERE cp.contest_id = $1
+     ORDER BY cp.sort_order, cp.label`,
+    [contest.id]
+  );
+  const participantsResult = await client.query(
+    `SELECT r.user_id, r.is_virtual, r.started_at, u.username,
+            u.display_name
+     FROM contest_registrations r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.contest_id = $1`,
+    [contest.id]
+  );
+  // One row per participant and problem. Compilation and system errors are
+  // not counted as attempts.
+  const cellsResult = await client.query(
+    `WITH attempts AS (
+       SELECT s.user_id, s.problem_id, s.verdict, s.score, s.group_scores,
+              s.created_at,
+              ($2::timestamptz IS NOT NULL
+               AND NOT r.is_virtual
+               AND s.created_at >= $2) AS is_frozen
+       FROM submissions s
+       JOIN contest_registrations r
+         ON r.contest_id = s.contest_id AND r.user_id = s.user_id
+       WHERE s.contest_id = $1
+         AND s.judged_at IS NOT NULL
+         AND s.verdict NOT IN ('Compilation Error', 'System Error')
+     ),
+     solved AS (
+       SELECT user_id, problem_id, MIN(created_at) AS solved_at
+       FROM attempts
+       WHERE verdict = 'Accepted' AND NOT is_frozen
+       GROUP BY user_id, problem_id
+     ),
+     group_best AS (
+       SELECT user_id, problem_id, SUM(best) AS group_score
+       FROM (
+         SELECT a.user_id, a.problem_id, g.key, MAX(g.value::float8) AS best
+         FROM attempts a, jsonb_each_text(a.group_scores) g
+         WHERE NOT a.is_frozen
+         GROUP BY a.user_id, a.problem_id, g.key
+       ) groups
+       GROUP BY user_id, problem_id
+     )
+     SELECT a.user_id, a.problem_id, s.solved_at, gb.group_score,
+            MAX(a.score) FILTER (WHERE NOT a.is_frozen) AS best_score,
+            COUNT(*) FILTER (
+              WHERE NOT a.is_frozen
+                AND (s.solved_at IS NULL OR a.created_at < s.solved_at)
+            )::int AS failed_attempts,
+            COUNT(*) FILTER (WHERE a.is_frozen)::int AS pending_attempts
+     FROM attempts a
+     LEFT JOIN solved s USING (user_id, problem_id)
+     LEFT JOIN group_best gb USING (user_id, problem_id)
+     GROUP BY a.user_id, a.problem_id, s.solved_at, gb.group_score`,
+    [contest.id, frozen ? freezeAt : null]
+  );
+
+  const problems = problemsResult.rows;
+  const cells = new Map(
+    cellsResult.rows.map((row) => [`${row.user_id}:${row.problem_id}`, row])
+  );
+  const firstSolves = new Map();
+
+  const rows = participantsResult.rows.map((participant) => {
+    const { start } = participationWindow(contest, participant);
+    let score = 0;
+    let penalty = 0;
+    const results = problems.map((problem) => {
+      const cell = cells.get(`${participant.user_id}:${problem.problem_id}`);
+      if (!cell) {
+        return { label: problem.label, attempted: false };
+      }
+
+      if (mode === "icpc") {
+        const solved = cell.solved_at != null;
+        const minutes = solved ? elapsedMinutes(start, cell.solved_at) : null;
+        if (solved) {
+          score += 1;
+          penalty += minutes + cell.failed_attempts * ICPC_PENALTY_MINUTES;
+          const first = firstSolves.get(problem.problem_id);
+          if (
+            !participant.is_virtual &&
+            (!first || new Date(cell.solved_at) < first.solvedAt)
+          ) {
+            firstSolves.set(problem.problem_id, {
+              solvedAt: new Date(cell.solved_at),
+              userId: participant.user_id,
+            });
+          }
+        }
+        return {
+          label: problem.label,
+          attempted: true,
+          solved,
+          minutes,
+          failedAttempts: cell.failed_attempts,
+          pendingAttempts: solved ? 0 : cell.pending_attempts,
+        };
+      }
+
+      // Raw scores are out of the group points when the problem has groups
+      // and out of its own points otherwise; the contest may award more or
+      // fewer points for it.
+      const raw = cell.group_score ?? cell.best_score;
+      const problemScore =
+        raw != null && problem.max_score > 0
+          ? Math.round((raw * problem.points) / problem.max_score)
+          : null;
+      score += problemScore ?? 0;
+      return {
+        label: problem.label,
+        attempted: true,
+        score: problemScore,
+        pendingAttempts: cell.pending_attempts,
+      };
+    });
+    return {
+      userId: participant.user_id,
+      username: participant.username,
+      displayName: participant.display_name,
+      isVirtual: participant.is_virtual,
+      score,
+      penalty: mode === "icpc" ? penalty : null,
+      results,
+    };
+  });
+
+  if (mode === "icpc") {
+    for (const row of rows) {
+      row.results.forEach((result, index) => {
+        const first = firstSolves.get(problems[index].problem_id);
+        result.firstSolve =
+          result.solved === true &&
+          String(first?.userId) === String(row.userId);
+      });
+    }
+  }
+
+  rows.sort(
+    (left, right) =>
+      right.score - left.score ||
+      (left.penalty ?? 0) - (right.penalty ?? 0) ||
+      left.username.localeCompare(right.username)
+  );
+  assignRanks(
+    rows,
+    (previous, row) =>
+      previous.score === row.score && previous.penalty === row.penalty
+  );
+
+  return {
+    mode,
+    frozen,
+    freezeAt,
+    problems: problems.map((problem) => ({
+      label: problem.label,
+      points: problem.points,
+    })),
+    rows,
+  };
+}
@@ -0,0 +1,74 @@
+import { EventEmitter } from "events";
+import pg from "pg";
+
+// Submission progress is published with NOTIFY so that judge workers and API
+// processes can run separately; each API process LISTENs once and fans the
+// events out to its open streams.
+export const SUBMISSION_EVENTS_CHANNEL = "submission_events";
+
+const RECONNECT_DELAY_MS = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let listener = null;
+
+/**
+ * Publishes a submission event: { type, submissionId, problemId, contestId,
+ * ... }.
+ * Inside a transaction the event is delivered when the transaction commits.
+ * NOTIFY payloads are limited to 8000 bytes, so events carry summaries only
+ * and never program output.
+ */
+export async function publishSubmissionEvent(client, event) {
+  await client.query("SELECT pg_notify($1, $2)", [
+    SUBMISSION_EVENTS_CHANNEL,
+    JSON.stringify(event),
+  ]);
+}
+
+function connectListener() {
+  const client = new pg.Client({
+    connectionString: process.env.DATABASE_URL,
+  });
+  let closed = false;
+  const reconnect = (error) => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    console.error("Submission event listener disconnected", error);
+    client.end().catch(() => {});
+    setTimeout(() => {
+      listener = connectListener();
+    }, RECONNECT_DELAY_MS);
+  };
+
+  client.on("notification", (message) => {
+    try {
+      emitter.emit("event", JSON.parse(message.payload));
+    } catch (error) {
+      console.error("Ignoring malformed submission event", error);
+    }
+  });
+  client.on("error", reconnect);
+  client.on("end", () => reconnect(new Error("Connection ended.")));
+
+  client
+    .connect()
+    .then(() => client.query(`LISTEN ${SUBMISSION_EVENTS_CHANNEL}`))
+    .catch(reconnect);
+  return client;
+}
+
+/**
+ * Calls `handler` for every submission event until the returned function is
+ * called. The database listener is started on first use.
+ */
+export function subscribeSubmissionEvents(handler) {
+  if (!listener) {
+    listener = connectListener();
+  }
+  emitter.on("event", handler);
+  return () => emitter.off("event", handler);
+}
@@ -1,13 +1,98 @@
 import express from "express";
 import cors from "cors";
+import {
+  authenticate,
+  endSession,
+  ensureBootstrapAdmin,
+  hashPassword,
+  publicUser,
+  requireRole,
+  requireUser,
+  ROLES,
+  startSession,
+  verifyPassword,
+} from "./auth.js";
+import {
+  contestPhase,
+  freezeTime,
+  isWithinWindow,
+  loadStandings,
+  participationWindow,
+  SCORING_MODES,
+} from "./contests.js";
 import { pool } from "./db.js";
-import { judgeSubmission, runCode } from "./judge.js";
+import { publishSubmissionEvent, subscribeSubmissionEvents } from "./events.js";
+import {
+  judgeSubmission,
+  resolveLimits,
+  runCode,
+  usesJudgeProgram,
+} from "./judge.js";
+import { COMPARE_MODES, DEFAULT_COMPARE_EPSILON } from "./compare.js";
+import {
+  buildProblemPackage,
+  PackageError,
+  parseProblemPackage,
+} from "./packages.js";
+import {
+  ensureBaselineRevision,
+  loadProblemSnapshot,
+  recordProblemRevision,
+  restoreProblemSnapshot,
+} from "./problems.js";
+import { QUEUED_STATUS, requeueSubmissions } from "./queue.js";
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-app.use(cors());
+// Session cookies are sent cross-origin by the web app, so only the origins
+// listed in CORS_ORIGIN (comma-separated) may make credentialed requests.
+// Without it, only the web app's default development origin is allowed.
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || "http://localhost:3000")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+app.use(
+  cors({
+    origin: CORS_ORIGINS,
+    credentials: true,
+  })
+);
+
+// CORS only hides responses; a form on another origin (another port or
+// subdomain counts as the same site for SameSite=Lax) could still send a
+// state-changing request with the session cookie, so those are refused.
+app.use((req, res, next) => {
+  const origin = req.get("Origin");
+  if (
+    origin &&
+    !["GET", "HEAD", "OPTIONS"].includes(req.method) &&
+    !CORS_ORIGINS.includes(origin)
+  ) {
+    res.status(403).json({ error: "Origin is not allowed." });
+    return;
+  }
+  next();
+});
 app.use(express.json({ limit: "5mb" }));
+app.use(authenticate);
+
+// Authoring runs author-supplied checker code on the judge, so it is limited
+// to trusted roles.
+const requireSetter = requireRole("setter", "admin");
+const requireAdmin = requireRole("admin");
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Thrown by request helpers to reject a request with a status and message.
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
 
 function slugify(value) {
   if (!value) {
@@ -20,6 +105,219 @@ function slugify(value) {
     .replace(/^-+|-+$/g, "");
 }
 
+function normalizeJudgeType(value) {
+  return value === "custom" || value === "interactive" ? value : "default";
+}
+
+function normalizeComparison(compareMode, compareEpsilon) {
+  const parsedEpsilon = Number.parseFloat(compareEpsilon);
+  return {
+    mode: COMPARE_MODES.includes(compareMode) ? compareMode : "exact",
+    epsilon:
+      Number.isFinite(parsedEpsilon) && parsedEpsilon >= 0
+        ? parsedEpsilon
+        : DEFAULT_COMPARE_EPSILON,
+  };
+}
+
+function judgeProgramRequiredMessage(judgeType) {
+  return judgeType === "interactive"
+    ? "Interactor language and script are required for interactive judging."
+    : "Checker language and script are required for custom judging.";
+}
+
+// Problems attached to a contest stay hidden from the problem set until the
+// contest starts; setters and admins can always see them.
+const HIDDEN_BY_CONTEST = `EXISTS (
+  SELECT 1
+  FROM contest_problems cp
+  JOIN contests c ON c.id = cp.contest_id
+  WHERE cp.problem_id = problems.id
+    AND (c.start_time IS NULL OR c.start_time > NOW())
+)`;
+
+function seesHiddenProblems(user) {
+  return user?.role === "setter" || user?.role === "admin";
+}
+
+// Contest submissions (`s`) are private to their author, admins and the
+// contest's creator until the contest ends; those made during a scoreboard
+// freeze stay private until it is lifted. `userId` and `isAdmin` are query
+// placeholders.
+function visibleSubmission(userId, isAdmin) {
+  return `(${isAdmin}
+    OR s.contest_id IS NULL
+    OR s.user_id = ${userId}
+    OR EXISTS (
+      SELECT 1
+      FROM contests vc
+      WHERE vc.id = s.contest_id
+        AND (vc.created_by = ${userId}
+             OR (vc.end_time <= NOW()
+                 AND (vc.unfrozen_at IS NOT NULL
+                      OR COALESCE(vc.freeze_minutes, 0) <= 0
+                      OR s.created_at < vc.end_time
+                           - vc.freeze_minutes * INTERVAL '1 minute')))
+    ))`;
+}
+
+// While a contest using the problem is unfinished, accepted code could be
+// passed on to its participants.
+const USED_BY_UNFINISHED_CONTEST = `EXISTS (
+  SELECT 1
+  FROM contest_problems cp
+  JOIN contests c ON c.id = cp.contest_id
+  WHERE cp.problem_id = problems.id
+    AND (c.end_time IS NULL OR c.end_time > NOW())
+)`;
+
+const PROBLEM_TAGS = `COALESCE(
+  (SELECT array_agg(t.name ORDER BY t.name)
+   FROM problem_tags pt
+   JOIN tags t ON t.id = pt.tag_id
+   WHERE pt.problem_id = problems.id),
+  '{}'
+) AS tags`;
+
+// Tag names are stored lowercased; duplicates and blanks are dropped.
+function normalizeTags(tags) {
+  if (
+    !Array.isArray(tags) ||
+    tags.some((tag) => typeof tag !== "string" || tag.length > 50)
+  ) {
+    throw new RequestError(400, "Tags must be a list of short names.");
+  }
+  return [
+    ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+  ];
+}
+
+// Replaces the problem's tags, creating tags that do not exist yet.
+async function setProblemTags(client, problemId, tags) {
+  await client.query(
+    `INSERT INTO tags (name)
+     SELECT unnest($1::text[])
+     ON CONFLICT (name) DO NOTHING`,
+    [tags]
+  );
+  await client.query("DELETE FROM problem_tags WHERE problem_id = $1", [
+    problemId,
+  ]);
+  await client.query(
+    `INSERT INTO problem_tags (problem_id, tag_id)
+     SELECT $1, id
+     FROM tags
+     WHERE name = ANY($2)`,
+    [problemId, tags]
+  );
+}
+
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+
+// Applies visibleSubmission to a live event; only contest submissions need
+// the database.
+async function canSeeSubmissionEvent(user, event) {
+  if (event.contestId == null || user?.role === "admin") {
+    return true;
+  }
+  const { rows } = await pool.query(
+    `SELECT 1
+     FROM submissions s
+     WHERE s.id = $1 AND ${visibleSubmission("$2", "$3")}`,
+    [event.submissionId, user?.id ?? null, false]
+  );
+  return rows.length > 0;
+}
+
+// Streams the submission events accepted by `matches` (which may return a
+// promise) as Server-Sent Events, named after the event type, until the
+// client disconnects. Events are checked one at a time so they stay in order.
+function streamSubmissionEvents(req, res, matches) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  let pending = Promise.resolve();
+  const unsubscribe = subscribeSubmissionEvents((event) => {
+    pending = pending
+      .then(() => matches(event))
+      .then((isMatch) => {
+        if (isMatch && !res.writableEnded) {
+          res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to filter a submission event", error);
+      });
+  });
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, EVENT_STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// Largest value of an INTEGER column.
+const MAX_INTEGER = 2 ** 31 - 1;
+
+// Ids in route parameters name BIGINT rows (or INTEGER ones, given `max`);
+// anything else names no row and is answered with a 404 before querying.
+function isRowId(value, max = Number.MAX_SAFE_INTEGER) {
+  return /^\d+$/.test(value) && Number(value) <= max;
+}
+
+// Maps the camelCase request body onto columns, skipping fields that were not
+// sent. A type is a typeof name, "integer" (fits an INTEGER column),
+// "command" (argv array), "text" (nullable string, blank stored as null),
+// "date" (nullable timestamp string) or an array of allowed values. Returns
+// null when a field has the wrong type.
+function readFields(body, spec) {
+  const fields = [];
+  for (const [property, column, type] of spec) {
+    const value = body[property];
+    if (value === undefined) {
+      continue;
+    }
+    const isValid = Array.isArray(type)
+      ? type.includes(value)
+      : type === "command"
+        ? value === null ||
+          (Array.isArray(value) &&
+            value.length > 0 &&
+            value.every((item) => typeof item === "string"))
+        : type === "text"
+          ? value === null || typeof value === "string"
+          : type === "date"
+            ? value === null ||
+              (typeof value === "string" && !Number.isNaN(Date.parse(value)))
+            : type === "integer"
+              ? Number.isInteger(value) && Math.abs(value) <= MAX_INTEGER
+              : type === "number"
+                ? Number.isFinite(value)
+                : typeof value === type;
+    if (!isValid) {
+      return null;
+    }
+    fields.push({
+      column,
+      value:
+        type === "command" && value !== null
+          ? JSON.stringify(value)
+          : type === "text" && value !== null
+            ? value.trim() || null
+            : value,
+    });
+  }
+  return fields;
+}
+
 app.get("/health", async (req, res) => {
   try {
     await pool.query("SELECT 1");
@@ -29,6 +327,209 @@ app.get("/health", async (req, res) => {
   }
 });
 
+app.post("/auth/register", async (req, res) => {
+  const { username, password, email, displayName } = req.body || {};
+  const trimmedUsername = typeof username === "string" ? username.trim() : "";
+  const trimmedEmail =
+    typeof email === "string" && email.trim() ? email.trim() : null;
+  const trimmedDisplayName =
+    typeof displayName === "string" && displayName.trim()
+      ? displayName.trim()
+      : null;
+
+  if (!USERNAME_PATTERN.test(trimmedUsername)) {
+    res.status(400).json({
+      error: "Username must be 3-32 letters, digits or underscores.",
+    });
+    return;
+  }
+
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    res.status(400).json({
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+    });
+    return;
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+    const insertResult = await pool.query(
+      `INSERT INTO users (username, email, password_hash, display_name, last_login_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT DO NOTHING
+       RETURNING id, username, email, display_name, role`,
+      [trimmedUsername, trimmedEmail, passwordHash, trimmedDisplayName]
+    );
+
+    if (insertResult.rows.length === 0) {
+      res
+        .status(409)
+        .json({ error: "That username or email is already registered." });
+      return;
+    }
+
+    const user = insertResult.rows[0];
+    const token = await startSession(res, user.id);
+    res.status(201).json({ user: publicUser(user), token });
+  } catch {
+    res.status(500).json({ error: "Failed to register." });
+  }
+});
+
+app.post("/auth/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const identifier = typeof username === "string" ? username.trim() : "";
+
+  if (!identifier || typeof password !== "string") {
+    res.status(400).json({ error: "Username and password are required." });
+    return;
+  }
+
+  try {
+    const userResult = await pool.query(
+      `SELECT id, username, email, display_name, role, password_hash
+       FROM users
+       WHERE (username = $1 OR email = $1) AND is_active = TRUE
+       LIMIT 1`,
+      [identifier]
+    );
+    const user = userResult.rows[0];
+
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      res.status(401).json({ error: "Invalid username or password." });
+      return;
+    }
+
+    await pool.query("UPDATE users SET last_login_at = NOW() WHERE id = $1", [
+      user.id,
+    ]);
+    const token = await startSession(res, user.id);
+    res.json({ user: publicUser(user), token });
+  } catch {
+    res.status(500).json({ error: "Failed to log in." });
+  }
+});
+
+app.post("/auth/logout", async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.status(204).end();
+  } catch {
+    res.status(500).json({ error: "Failed to log out." });
+  }
+});
+
+app.get("/me", requireUser, (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+const HEATMAP_DAYS = 365;
+
+// Public profile: solved and attempted problems, verdict and language
+// breakdowns, and daily submission counts (UTC) for the last HEATMAP_DAYS
+// days. Problems still hidden by an upcoming contest are left out.
+app.get("/users/:username", async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      `SELECT id, username, display_name, bio, avatar_url, role, created_at
+       FROM users
+       WHERE username = $1 AND is_active = TRUE`,
+      [req.params.username]
+    );
+
+    if (userResult.rows.length === 0) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+
+    const { id: userId, ...user } = userResult.rows[0];
+    // Unpublished problems are left out, and so are contest submissions the
+    // viewer could not list (running contests and frozen verdicts).
+    const params = [
+      userId,
+      seesHiddenProblems(req.user),
+      req.user?.id ?? null,
+      req.user?.role === "admin",
+    ];
+    const isVisible = `s.user_id = $1
+      AND problems.is_visible = TRUE
+      AND ($2 OR NOT ${HIDDEN_BY_CONTEST})
+      AND ${visibleSubmission("$3", "$4")}`;
+
+    const problemsResult = await pool.query(
+      `SELECT problems.id, problems.slug, problems.title, problems.points,
+              problems.difficulty,
+              COUNT(*)::int AS submission_count,
+              MIN(s.created_at) FILTER (WHERE s.verdict = 'Accepted')
+                AS solved_at,
+              MAX(s.score) AS best_score
+       FROM submissions s
+       JOIN problems ON problems.id = s.problem_id
+       WHERE ${isVisible}
+       GROUP BY problems.id
+       ORDER BY MAX(s.created_at) DESC`,
+      params
+    );
+    const verdictsResult = await pool.query(
+      `SELECT s.verdict, COUNT(*)::int AS count
+       FROM submissions s
+       JOIN problems ON problems.id = s.problem_id
+       WHERE ${isVisible} AND s.verdict IS NOT NULL
+       GROUP BY s.verdict
+       ORDER BY count DESC, s.verdict`,
+      params
+    );
+    const languagesResult = await pool.query(
+      `SELECT l.key, l.name, COUNT(*)::int AS count
+       FROM submissions s
+       JOIN problems ON problems.id = s.problem_id
+       JOIN languages l ON l.id = s.language_id
+       WHERE ${isVisible}
+       GROUP BY l.id
+       ORDER BY count DESC, l.name`,
+      params
+    );
+    const heatmapResult = await pool.query(
+      `SELECT to_char((s.created_at AT TIME ZONE 'UTC')::date, 'YYYY-MM-DD')
+                AS date,
+              COUNT(*)::int AS count
+       FROM submissions s
+       JOIN problems ON problems.id = s.problem_id
+       WHERE ${isVisible}
+         AND s.created_at >= (NOW() AT TIME ZONE 'UTC')::date - $5::int
+       GROUP BY 1
+       ORDER BY 1`,
+      [...params, HEATMAP_DAYS - 1]
+    );
+
+    const problems = problemsResult.rows;
+    res.json({
+      user,
+      stats: {
+        submissions: problems.reduce(
+          (total, problem) => total + problem.submission_count,
+          0
+        ),
+        accepted:
+          verdictsResult.rows.find((row) => row.verdict === "Accepted")
+            ?.count ?? 0,
+        solved: problems.filter((problem) => problem.solved_at).length,
+        attempted: problems.filter((problem) => !problem.solved_at).length,
+      },
+      solved: problems
+        .filter((problem) => problem.solved_at)
+        .sort((left, right) => right.solved_at - left.solved_at),
+      attempted: problems.filter((problem) => !problem.solved_at),
+      verdicts: verdictsResult.rows,
+      languages: languagesResult.rows,
+      heatmap: heatmapResult.rows,
+      heatmapDays: HEATMAP_DAYS,
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to load profile." });
+  }
+});
+
 app.get("/languages", async (req, res) => {
   try {
     const { rows } = await pool.query(
@@ -43,27 +544,161 @@ app.get("/languages", async (req, res) => {
   }
 });
 
+app.get("/tags", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT t.id, t.name, COUNT(problems.id)::int AS problem_count
+       FROM tags t
+       LEFT JOIN problem_tags pt ON pt.tag_id = t.id
+       LEFT JOIN problems
+         ON problems.id = pt.problem_id
+        AND problems.is_visible = TRUE
+        AND ($1 OR NOT ${HIDDEN_BY_CONTEST})
+       GROUP BY t.id
+       ORDER BY t.name`,
+      [seesHiddenProblems(req.user)]
+    );
+    res.json({ tags: rows });
+  } catch {
+    res.status(500).json({ error: "Failed to load tags." });
+  }
+});
+
+const PROBLEM_PAGE_SIZE = 20;
+const MAX_PROBLEM_PAGE_SIZE = 100;
+
+function readIntegerParam(query, name) {
+  if (query[name] === undefined || query[name] === "") {
+    return null;
+  }
+  const value = Number(query[name]);
+  if (!Number.isInteger(value)) {
+    throw new RequestError(400, `${name} must be an integer.`);
+  }
+  return value;
+}
+
+// Filters: `tag` (repeatable, problems must have every tag), minDifficulty,
+// maxDifficulty, minPoints, maxPoints, `status` (solved or unsolved by the
+// signed-in user) and `q`, a full-text search over title and statement whose
+// matches are ordered by relevance. Pages are numbered from 1.
 app.get("/problems", async (req, res) => {
   try {
+    const conditions = [
+      "problems.is_visible = TRUE",
+      `($1 OR NOT ${HIDDEN_BY_CONTEST})`,
+    ];
+    const params = [seesHiddenProblems(req.user)];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const tags = normalizeTags([req.query.tag ?? []].flat());
+    if (tags.length > 0) {
+      conditions.push(
+        `problems.id IN (
+           SELECT pt.problem_id
+           FROM problem_tags pt
+           JOIN tags t ON t.id = pt.tag_id
+           WHERE t.name = ANY(${addParam(tags)})
+           GROUP BY pt.problem_id
+           HAVING COUNT(*) = ${addParam(tags.length)}
+         )`
+      );
+    }
+
+    for (const [name, column, operator] of [
+      ["minDifficulty", "difficulty", ">="],
+      ["maxDifficulty", "difficulty", "<="],
+      ["minPoints", "points", ">="],
+      ["maxPoints", "points", "<="],
+    ]) {
+      const value = readIntegerParam(req.query, name);
+      if (value != null) {
+        conditions.push(`problems.${column} ${operator} ${addParam(value)}`);
+      }
+    }
+
+    const userParam = req.user ? addParam(req.user.id) : null;
+    const solvedSql = userParam
+      ? `EXISTS (
+           SELECT 1
+           FROM submissions s
+           WHERE s.problem_id = problems.id
+             AND s.user_id = ${userParam}
+             AND s.verdict = 'Accepted'
+         )`
+      : "NULL::boolean";
+    const { status } = req.query;
+    if (status === "solved" || status === "unsolved") {
+      if (!req.user) {
+        throw new RequestError(401, "Sign in to filter by solved status.");
+      }
+      conditions.push(status === "solved" ? solvedSql : `NOT ${solvedSql}`);
+    } else if (status !== undefined && status !== "") {
+      throw new RequestError(400, "status must be solved or unsolved.");
+    }
+
+    const search = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    let orderBy = "problems.id";
+    if (search) {
+      const queryParam = addParam(search);
+      conditions.push(
+        `problems.search_vector @@ websearch_to_tsquery('english', ${queryParam})`
+      );
+      orderBy = `ts_rank(problems.search_vector,
+                         websearch_to_tsquery('english', ${queryParam})) DESC,
+                 problems.id`;
+    }
+
+    const pageSize = Math.min(
+      Math.max(readIntegerParam(req.query, "pageSize") ?? PROBLEM_PAGE_SIZE, 1),
+      MAX_PROBLEM_PAGE_SIZE
+    );
+    const page = Math.max(readIntegerParam(req.query, "page") ?? 1, 1);
+    const where = conditions.join(" AND ");
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM problems WHERE ${where}`,
+      params
+    );
     const { rows } = await pool.query(
-      `SELECT id, slug, title, difficulty, time_limit_ms, memory_limit_kb, points
+      `SELECT id, slug, title, difficulty, time_limit_ms, memory_limit_kb,
+              points, ${PROBLEM_TAGS}, ${solvedSql} AS solved
        FROM problems
-       WHERE is_visible = TRUE
-       ORDER BY id`
+       WHERE ${where}
+       ORDER BY ${orderBy}
+       LIMIT ${addParam(pageSize)} OFFSET ${addParam((page - 1) * pageSize)}`,
+      params
     );
-    res.json({ problems: rows });
-  } catch {
-    res.status(500).json({ error: "Failed to load problems." });
+    res.json({
+      problems: rows,
+      total: countResult.rows[0].total,
+      page,
+      pageSize,
+    });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: "Failed to load problems." });
+    }
   }
 });
 
-app.post("/preview-judge", async (req, res) => {
+app.post("/preview-judge", requireSetter, async (req, res) => {
   const {
     languageKey,
     sourceCode,
     judgeType,
     checkerLanguageKey,
     checkerSource,
+    checkerProtocol,
+    scorePolicy,
+    compareMode,
+    compareEpsilon,
+    stopOnFailure,
     timeLimitMs,
     memoryLimitKb,
     testcases,
@@ -79,7 +714,11 @@ app.post("/preview-judge", async (req, res) => {
     return;
   }
 
-  const safeJudgeType = judgeType === "custom" ? "custom" : "default";
+  const safeJudgeType = normalizeJudgeType(judgeType);
+  const safeCheckerProtocol =
+    checkerProtocol === "testlib" ? "testlib" : "json";
+  const safeScorePolicy = scorePolicy === "sum" ? "sum" : "min";
+  const comparison = normalizeComparison(compareMode, compareEpsilon);
 
   const normalizedTestcases = testcases.map((item, index) => ({
     id: index + 1,
@@ -108,13 +747,13 @@ app.post("/preview-judge", async (req, res) => {
   }
 
   if (
-    safeJudgeType === "custom" &&
+    usesJudgeProgram(safeJudgeType) &&
     (!checkerLanguageKey ||
       typeof checkerSource !== "string" ||
       !checkerSource.trim())
   ) {
     res.status(400).json({
-      error: "Checker language and script are required for custom judging.",
+      error: judgeProgramRequiredMessage(safeJudgeType),
     });
     return;
   }
@@ -122,7 +761,8 @@ app.post("/preview-judge", async (req, res) => {
   try {
     const languageResult = await pool.query(
       `SELECT id, key, name, source_ext, compile_command, run_command,
-              default_time_limit_ms, default_memory_limit_kb
+              default_time_limit_ms, default_memory_limit_kb, limit_address_space,
+              time_multiplier, time_offset_ms, memory_offset_kb
        FROM languages
        WHERE key = $1 AND enabled = TRUE`,
       [languageKey]
@@ -134,10 +774,10 @@ app.post("/preview-judge", async (req, res) => {
     }
 
     let checker = null;
-    if (safeJudgeType === "custom") {
+    if (usesJudgeProgram(safeJudgeType)) {
       const checkerLanguageResult = await pool.query(
         `SELECT id, key, name, source_ext, compile_command, run_command,
-                default_time_limit_ms, default_memory_limit_kb
+                default_time_limit_ms, default_memory_limit_kb, limit_address_space
          FROM languages
          WHERE key = $1 AND enabled = TRUE`,
         [checkerLanguageKey]
@@ -163,6 +803,11 @@ app.post("/preview-judge", async (req, res) => {
         ? parsedMemoryLimit
         : 262144,
       judge_type: safeJudgeType,
+      checker_protocol: safeCheckerProtocol,
+      score_policy: safeScorePolicy,
+      compare_mode: comparison.mode,
+      compare_epsilon: comparison.epsilon,
+      stop_on_failure: Boolean(stopOnFailure),
     };
 
     const judgeResult = await judgeSubmission({
@@ -181,9 +826,14 @@ app.post("/preview-judge", async (req, res) => {
         name: result.name,
         status: result.status,
         execTimeMs: result.execTimeMs,
+        cpuTimeMs: result.cpuTimeMs,
+        wallTimeMs: result.wallTimeMs,
         memoryKb: result.memoryKb,
+        score: result.score ?? null,
         output: result.output,
         error: result.error,
+        checkerMessage: result.checkerMessage ?? null,
+        transcript: result.transcript ?? null,
       })),
     });
   } catch {
@@ -191,7 +841,9 @@ app.post("/preview-judge", async (req, res) => {
   }
 });
 
-app.post("/problems", async (req, res) => {
+// Validates a problem definition in the POST /problems body shape and fills
+// in defaults. Throws a RequestError describing the first invalid field.
+function normalizeProblemInput(body) {
   const {
     title,
     slug,
@@ -207,9 +859,17 @@ app.post("/problems", async (req, res) => {
     judgeType,
     checkerLanguageKey,
     checkerSource,
+    checkerProtocol,
+    scorePolicy,
+    compareMode,
+    compareEpsilon,
+    stopOnFailure,
+    revealFailedHidden,
     groups,
     testcases,
-  } = req.body || {};
+    languageLimits,
+    tags,
+  } = body;
 
   const trimmedTitle = typeof title === "string" ? title.trim() : "";
   const trimmedStatement =
@@ -218,21 +878,22 @@ app.post("/problems", async (req, res) => {
     typeof slug === "string" && slug.trim()
       ? slug.trim()
       : slugify(trimmedTitle);
-  const safeJudgeType = judgeType === "custom" ? "custom" : "default";
+  const safeJudgeType = normalizeJudgeType(judgeType);
+  const safeCheckerProtocol =
+    checkerProtocol === "testlib" ? "testlib" : "json";
+  const safeScorePolicy = scorePolicy === "sum" ? "sum" : "min";
+  const comparison = normalizeComparison(compareMode, compareEpsilon);
 
   if (!trimmedTitle || !trimmedStatement) {
-    res.status(400).json({ error: "Title and statement are required." });
-    return;
+    throw new RequestError(400, "Title and statement are required.");
   }
 
   if (!normalizedSlug) {
-    res.status(400).json({ error: "Slug is required." });
-    return;
+    throw new RequestError(400, "Slug is required.");
   }
 
   if (!Array.isArray(testcases) || testcases.length === 0) {
-    res.status(400).json({ error: "At least one testcase is required." });
-    return;
+    throw new RequestError(400, "At least one testcase is required.");
   }
 
   const normalizedTestcases = testcases.map((item, index) => {
@@ -257,30 +918,72 @@ app.post("/problems", async (req, res) => {
   });
 
   if (normalizedTestcases.some((item) => !item.input.trim())) {
-    res.status(400).json({ error: "Every testcase needs input." });
-    return;
+    throw new RequestError(400, "Every testcase needs input.");
   }
 
   if (
     safeJudgeType === "default" &&
     normalizedTestcases.some((item) => !item.expectedOutput.trim())
   ) {
-    res
-      .status(400)
-      .json({ error: "Expected output is required for default judging." });
-    return;
+    throw new RequestError(
+      400,
+      "Expected output is required for default judging."
+    );
   }
 
   if (
-    safeJudgeType === "custom" &&
+    usesJudgeProgram(safeJudgeType) &&
     (!checkerLanguageKey ||
       typeof checkerSource !== "string" ||
       !checkerSource.trim())
   ) {
-    res.status(400).json({
-      error: "Checker language and script are required for custom judging.",
-    });
-    return;
+    throw new RequestError(400, judgeProgramRequiredMessage(safeJudgeType));
+  }
+
+  const normalizedLanguageLimits = Array.isArray(languageLimits)
+    ? languageLimits.map((item) => {
+        const parsedMultiplier = Number.parseFloat(item?.timeMultiplier);
+        const parsedTimeOffset = Number.parseInt(item?.timeOffsetMs, 10);
+        const parsedMemoryOffset = Number.parseInt(item?.memoryOffsetKb, 10);
+        return {
+          languageKey:
+            typeof item?.languageKey === "string"
+              ? item.languageKey.trim()
+              : "",
+          timeMultiplier: Number.isFinite(parsedMultiplier)
+            ? parsedMultiplier
+            : null,
+          timeOffsetMs: Number.isFinite(parsedTimeOffset)
+            ? parsedTimeOffset
+            : null,
+          memoryOffsetKb: Number.isFinite(parsedMemoryOffset)
+            ? parsedMemoryOffset
+            : null,
+        };
+      })
+    : [];
+
+  if (
+    normalizedLanguageLimits.some(
+      (item) =>
+        !item.languageKey ||
+        (item.timeMultiplier != null && item.timeMultiplier <= 0)
+    )
+  ) {
+    throw new RequestError(
+      400,
+      "Language limits need a language and a positive time multiplier."
+    );
+  }
+
+  if (
+    new Set(normalizedLanguageLimits.map((item) => item.languageKey)).size !==
+    normalizedLanguageLimits.length
+  ) {
+    throw new RequestError(
+      400,
+      "Each language can only have one limit override."
+    );
   }
 
   const normalizedGroups = Array.isArray(groups)
@@ -301,22 +1004,25 @@ app.post("/problems", async (req, res) => {
           clientId,
           name,
           points: groupPoints,
+          // null inherits the problem-wide stopOnFailure setting.
+          stopOnFailure:
+            typeof item?.stopOnFailure === "boolean"
+              ? item.stopOnFailure
+              : null,
           sortOrder: index + 1,
         };
       })
     : [];
 
   if (normalizedGroups.some((group) => !group.name)) {
-    res.status(400).json({ error: "Each group needs a name." });
-    return;
+    throw new RequestError(400, "Each group needs a name.");
   }
 
   const groupNameSet = new Set();
   for (const group of normalizedGroups) {
     const key = group.name.toLowerCase();
     if (groupNameSet.has(key)) {
-      res.status(400).json({ error: "Group names must be unique." });
-      return;
+      throw new RequestError(400, "Group names must be unique.");
     }
     groupNameSet.add(key);
   }
@@ -328,10 +1034,10 @@ app.post("/problems", async (req, res) => {
         (item) => item.groupId == null || !groupIdSet.has(item.groupId)
       )
     ) {
-      res.status(400).json({
-        error: "Every testcase must belong to a valid group.",
-      });
-      return;
+      throw new RequestError(
+        400,
+        "Every testcase must belong to a valid group."
+      );
     }
   }
 
@@ -339,142 +1045,217 @@ app.post("/problems", async (req, res) => {
   const parsedMemoryLimit = Number.parseInt(memoryLimitKb, 10);
   const parsedDifficulty = Number.parseInt(difficulty, 10);
   const parsedPoints = Number.parseInt(points, 10);
+  const parsedRevealFailedHidden = Number.parseInt(revealFailedHidden, 10);
+
+  const normalizeText = (value) =>
+    typeof value === "string" && value.trim() ? value.trim() : null;
+
+  return {
+    slug: normalizedSlug,
+    title: trimmedTitle,
+    statement: trimmedStatement,
+    editorial: normalizeText(editorial),
+    constraints: normalizeText(constraints),
+    inputFormat: normalizeText(inputFormat),
+    outputFormat: normalizeText(outputFormat),
+    points: Number.isFinite(parsedPoints) ? parsedPoints : 100,
+    judgeType: safeJudgeType,
+    checkerLanguageKey: usesJudgeProgram(safeJudgeType)
+      ? checkerLanguageKey
+      : null,
+    checkerSource: usesJudgeProgram(safeJudgeType)
+      ? checkerSource.trim()
+      : null,
+    checkerProtocol: safeCheckerProtocol,
+    scorePolicy: safeScorePolicy,
+    comparison,
+    stopOnFailure: Boolean(stopOnFailure),
+    revealFailedHidden:
+      parsedRevealFailedHidden > 0 ? parsedRevealFailedHidden : 0,
+    timeLimitMs: Number.isFinite(parsedTimeLimit) ? parsedTimeLimit : 2000,
+    memoryLimitKb: Number.isFinite(parsedMemoryLimit)
+      ? parsedMemoryLimit
+      : 262144,
+    difficulty: Number.isFinite(parsedDifficulty) ? parsedDifficulty : null,
+    groups: normalizedGroups,
+    testcases: normalizedTestcases,
+    languageLimits: normalizedLanguageLimits,
+    tags: tags === undefined ? [] : normalizeTags(tags),
+  };
+}
 
-  const finalTimeLimit = Number.isFinite(parsedTimeLimit)
-    ? parsedTimeLimit
-    : 2000;
-  const finalMemoryLimit = Number.isFinite(parsedMemoryLimit)
-    ? parsedMemoryLimit
-    : 262144;
-  const finalDifficulty = Number.isFinite(parsedDifficulty)
-    ? parsedDifficulty
-    : null;
-  const finalPoints = Number.isFinite(parsedPoints) ? parsedPoints : 100;
-
-  const normalizedConstraints =
-    typeof constraints === "string" && constraints.trim()
-      ? constraints.trim()
-      : null;
-  const normalizedEditorial =
-    typeof editorial === "string" && editorial.trim()
-      ? editorial.trim()
-      : null;
-  const normalizedInputFormat =
-    typeof inputFormat === "string" && inputFormat.trim()
-      ? inputFormat.trim()
-      : null;
-  const normalizedOutputFormat =
-    typeof outputFormat === "string" && outputFormat.trim()
-      ? outputFormat.trim()
-      : null;
-
-  const client = await pool.connect();
-  try {
-    await client.query("BEGIN");
-
-    const authorResult = await client.query(
-      "SELECT id FROM users WHERE username = 'guest' LIMIT 1"
+// Inserts a problem returned by normalizeProblemInput along with its groups,
+// testcases and language limits, and records it as revision 1. Runs inside
+// the caller's transaction.
+async function insertProblem(client, problem, authorId, source) {
+  let resolvedCheckerLanguage = null;
+  if (usesJudgeProgram(problem.judgeType)) {
+    const checkerLanguageResult = await client.query(
+      `SELECT key
+       FROM languages
+       WHERE key = $1 AND enabled = TRUE
+       LIMIT 1`,
+      [problem.checkerLanguageKey]
     );
-    const authorId = authorResult.rows[0]?.id ?? null;
 
-    let resolvedCheckerLanguage = null;
-    if (safeJudgeType === "custom") {
-      const checkerLanguageResult = await client.query(
-        `SELECT key
-         FROM languages
-         WHERE key = $1 AND enabled = TRUE
-         LIMIT 1`,
-        [checkerLanguageKey]
-      );
+    if (checkerLanguageResult.rows.length === 0) {
+      throw new RequestError(400, "Checker language is invalid.");
+    }
 
-      if (checkerLanguageResult.rows.length === 0) {
-        await client.query("ROLLBACK");
-        res.status(400).json({ error: "Checker language is invalid." });
-        return;
-      }
+    resolvedCheckerLanguage = checkerLanguageResult.rows[0].key;
+  }
 
-      resolvedCheckerLanguage = checkerLanguageResult.rows[0].key;
-    }
-
-    const problemInsert = await client.query(
-      `INSERT INTO problems (
-         slug,
-         title,
-         statement,
-         editorial,
-         constraints,
-         input_format,
-         output_format,
-         points,
-         judge_type,
-         checker_language_key,
-         checker_source,
-         time_limit_ms,
-         memory_limit_kb,
-         difficulty,
-         source,
-         author_id,
-         is_visible,
-         published_at
-       )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, TRUE, NOW())
-       RETURNING id, slug`,
+  const problemInsert = await client.query(
+    `INSERT INTO problems (
+       slug,
+       title,
+       statement,
+       editorial,
+       constraints,
+       input_format,
+       output_format,
+       points,
+       judge_type,
+       checker_language_key,
+       checker_source,
+       checker_protocol,
+       score_policy,
+       compare_mode,
+       compare_epsilon,
+       stop_on_failure,
+       reveal_failed_hidden,
+       time_limit_ms,
+       memory_limit_kb,
+       difficulty,
+       source,
+       author_id,
+       is_visible,
+       published_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, TRUE, NOW())
+     RETURNING id, slug`,
+    [
+      problem.slug,
+      problem.title,
+      problem.statement,
+      problem.editorial,
+      problem.constraints,
+      problem.inputFormat,
+      problem.outputFormat,
+      problem.points,
+      problem.judgeType,
+      resolvedCheckerLanguage,
+      problem.checkerSource,
+      problem.checkerProtocol,
+      problem.scorePolicy,
+      problem.comparison.mode,
+      problem.comparison.epsilon,
+      problem.stopOnFailure,
+      problem.revealFailedHidden,
+      problem.timeLimitMs,
+      problem.memoryLimitKb,
+      problem.difficulty,
+      source,
+      authorId,
+    ]
+  );
+
+  const problemId = problemInsert.rows[0].id;
+
+  const groupIdMap = new Map();
+  for (const group of problem.groups) {
+    const groupInsert = await client.query(
+      `INSERT INTO testcase_groups
+        (problem_id, name, points, stop_on_failure, sort_order)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
       [
-        normalizedSlug,
-        trimmedTitle,
-        trimmedStatement,
-        normalizedEditorial,
-        normalizedConstraints,
-        normalizedInputFormat,
-        normalizedOutputFormat,
-        finalPoints,
-        safeJudgeType,
-        resolvedCheckerLanguage,
-        safeJudgeType === "custom" ? checkerSource.trim() : null,
-        finalTimeLimit,
-        finalMemoryLimit,
-        finalDifficulty,
-        "web",
-        authorId,
+        problemId,
+        group.name,
+        group.points,
+        group.stopOnFailure,
+        group.sortOrder,
       ]
     );
+    groupIdMap.set(group.clientId, groupInsert.rows[0].id);
+  }
 
-    const problemId = problemInsert.rows[0].id;
+  for (const testcase of problem.testcases) {
+    await client.query(
+      `INSERT INTO testcases
+        (problem_id, group_id, name, input, expected_output, is_sample, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        problemId,
+        testcase.groupId != null ? groupIdMap.get(testcase.groupId) : null,
+        testcase.name,
+        testcase.input,
+        testcase.expectedOutput,
+        testcase.isSample,
+        testcase.sortOrder,
+      ]
+    );
+  }
 
-    const groupIdMap = new Map();
-    for (const group of normalizedGroups) {
-      const groupInsert = await client.query(
-        `INSERT INTO testcase_groups
-          (problem_id, name, points, sort_order)
-         VALUES ($1, $2, $3, $4)
-         RETURNING id`,
-        [problemId, group.name, group.points, group.sortOrder]
+  for (const limit of problem.languageLimits) {
+    const limitInsert = await client.query(
+      `INSERT INTO problem_language_limits
+        (problem_id, language_id, time_multiplier, time_offset_ms, memory_offset_kb)
+       SELECT $1, id, $3, $4, $5
+       FROM languages
+       WHERE key = $2`,
+      [
+        problemId,
+        limit.languageKey,
+        limit.timeMultiplier,
+        limit.timeOffsetMs,
+        limit.memoryOffsetKb,
+      ]
+    );
+
+    if (limitInsert.rowCount === 0) {
+      throw new RequestError(
+        400,
+        "Language limits refer to an unknown language."
       );
-      groupIdMap.set(group.clientId, groupInsert.rows[0].id);
     }
+  }
 
-    for (const testcase of normalizedTestcases) {
-      await client.query(
-        `INSERT INTO testcases
-          (problem_id, group_id, name, input, expected_output, is_sample, sort_order)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          problemId,
-          testcase.groupId != null ? groupIdMap.get(testcase.groupId) : null,
-          testcase.name,
-          testcase.input,
-          testcase.expectedOutput,
-          testcase.isSample,
-          testcase.sortOrder,
-        ]
-      );
+  await setProblemTags(client, problemId, problem.tags);
+
+  const revision = await recordProblemRevision(
+    client,
+    problemId,
+    authorId,
+    source === "import" ? "Imported problem package" : "Created problem"
+  );
+
+  return { problemId, slug: problemInsert.rows[0].slug, revision };
+}
+
+async function createProblem(req, res, body, source) {
+  let problem;
+  try {
+    problem = normalizeProblemInput(body);
+  } catch (error) {
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+      return;
     }
+    throw error;
+  }
 
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const created = await insertProblem(client, problem, req.user.id, source);
     await client.query("COMMIT");
-    res.status(201).json({ problemId, slug: problemInsert.rows[0].slug });
+    res.status(201).json(created);
   } catch (error) {
     await client.query("ROLLBACK");
-    if (error?.code === "23505") {
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+    } else if (error?.code === "23505") {
       res.status(409).json({ error: "Slug is already in use." });
     } else {
       res.status(500).json({ error: "Failed to create problem." });
@@ -482,6 +1263,10 @@ app.post("/problems", async (req, res) => {
   } finally {
     client.release();
   }
+}
+
+app.post("/problems", requireSetter, async (req, res) => {
+  await createProblem(req, res, req.body || {}, "web");
 });
 
 app.get("/problems/:id", async (req, res) => {
@@ -491,11 +1276,14 @@ app.get("/problems/:id", async (req, res) => {
   try {
     const problemResult = await pool.query(
       `SELECT id, slug, title, statement, editorial, constraints, input_format, output_format,
-              time_limit_ms, memory_limit_kb, difficulty, points
+              time_limit_ms, memory_limit_kb, difficulty, points, judge_type,
+              compare_mode, compare_epsilon, reveal_failed_hidden,
+              ${PROBLEM_TAGS}
        FROM problems
        WHERE ${isNumeric ? "id" : "slug"} = $1
+         AND ($2 OR NOT ${HIDDEN_BY_CONTEST})
        LIMIT 1`,
-      [id]
+      [id, seesHiddenProblems(req.user)]
     );
 
     if (problemResult.rows.length === 0) {
@@ -508,19 +1296,169 @@ app.get("/problems/:id", async (req, res) => {
     const samplesResult = await pool.query(
       `SELECT id, name, input, expected_output
        FROM testcases
-       WHERE problem_id = $1 AND is_sample = TRUE
+       WHERE problem_id = $1 AND is_sample = TRUE AND archived_at IS NULL
        ORDER BY sort_order, id`,
       [problem.id]
     );
 
-    res.json({ problem, samples: samplesResult.rows });
+    const languagesResult = await pool.query(
+      `SELECT l.key,
+              l.default_time_limit_ms,
+              l.default_memory_limit_kb,
+              COALESCE(o.time_multiplier, l.time_multiplier) AS time_multiplier,
+              COALESCE(o.time_offset_ms, l.time_offset_ms) AS time_offset_ms,
+              COALESCE(o.memory_offset_kb, l.memory_offset_kb) AS memory_offset_kb
+       FROM languages l
+       LEFT JOIN problem_language_limits o
+         ON o.language_id = l.id AND o.problem_id = $1
+       WHERE l.enabled = TRUE
+       ORDER BY l.sort_order, l.id`,
+      [problem.id]
+    );
+
+    const languageLimits = languagesResult.rows.map((language) => {
+      const limits = resolveLimits(problem, language);
+      return {
+        language_key: language.key,
+        time_limit_ms: limits.timeLimitMs,
+        memory_limit_kb: limits.memoryLimitKb,
+      };
+    });
+
+    res.json({ problem, samples: samplesResult.rows, languageLimits });
   } catch {
     res.status(500).json({ error: "Failed to load problem." });
   }
 });
 
-app.get("/problems/:id/submissions", async (req, res) => {
-  const { id } = req.params;
+const SUBMISSION_PAGE_SIZE = 50;
+const MAX_SUBMISSION_PAGE_SIZE = 100;
+
+// Reads the list filters of GET /submissions from the query string. Problems
+// and contests can be given by id or slug, users by username and languages
+// by key; `verdict` matches the submission status, so "queued" and "Judging"
+// find pending submissions.
+function readSubmissionFilters(query) {
+  const filters = {};
+  for (const key of ["problem", "contest", "user", "language", "verdict"]) {
+    if (typeof query[key] === "string" && query[key].trim()) {
+      filters[key] = query[key].trim();
+    }
+  }
+  for (const key of ["from", "to"]) {
+    if (typeof query[key] === "string" && query[key]) {
+      if (Number.isNaN(Date.parse(query[key]))) {
+        throw new RequestError(400, `${key} must be a date.`);
+      }
+      filters[key] = query[key];
+    }
+  }
+  return filters;
+}
+
+function readSubmissionPage(query) {
+  const before = Number.parseInt(query.before, 10);
+  const limit = Number.parseInt(query.limit, 10);
+  return {
+    before: Number.isFinite(before) && before > 0 ? before : null,
+    limit: Number.isFinite(limit)
+      ? Math.min(Math.max(limit, 1), MAX_SUBMISSION_PAGE_SIZE)
+      : SUBMISSION_PAGE_SIZE,
+  };
+}
+
+// Lists submissions newest first, leaving out the source code; it is loaded
+// on demand from GET /submissions/:id. Contest submissions follow
+// visibleSubmission. Pages are keyed by submission id:
+// nextCursor is passed back as `before` to load the following page.
+async function listSubmissions(user, filters, { before, limit }) {
+  const conditions = [
+    `($1 OR NOT ${HIDDEN_BY_CONTEST})`,
+    visibleSubmission("$2", "$3"),
+  ];
+  const params = [
+    seesHiddenProblems(user),
+    user?.id ?? null,
+    user?.role === "admin",
+  ];
+  const addCondition = (column, operator, value) => {
+    params.push(value);
+    conditions.push(`${column} ${operator} $${params.length}`);
+  };
+
+  if (filters.problem) {
+    addCondition(
+      /^\d+$/.test(filters.problem) ? "s.problem_id" : "problems.slug",
+      "=",
+      filters.problem
+    );
+  }
+  if (filters.contest) {
+    addCondition(
+      /^\d+$/.test(filters.contest) ? "s.contest_id" : "c.slug",
+      "=",
+      filters.contest
+    );
+  }
+  if (filters.user) {
+    addCondition("u.username", "=", filters.user);
+  }
+  if (filters.language) {
+    addCondition("l.key", "=", filters.language);
+  }
+  if (filters.verdict) {
+    addCondition("s.status", "=", filters.verdict);
+  }
+  if (filters.from) {
+    addCondition("s.created_at", ">=", filters.from);
+  }
+  if (filters.to) {
+    addCondition("s.created_at", "<", filters.to);
+  }
+  if (before != null) {
+    addCondition("s.id", "<", before);
+  }
+
+  params.push(limit + 1);
+  const { rows } = await pool.query(
+    `SELECT s.id,
+            s.problem_id,
+            problems.slug AS problem_slug,
+            problems.title AS problem_title,
+            s.contest_id,
+            c.slug AS contest_slug,
+            s.status,
+            s.verdict,
+            s.score,
+            s.exec_time_ms,
+            s.memory_kb,
+            length(s.source_code) AS code_length,
+            s.created_at,
+            s.rejudge_count,
+            l.name AS language_name,
+            l.key AS language_key,
+            u.username
+     FROM submissions s
+     JOIN problems ON problems.id = s.problem_id
+     JOIN languages l ON l.id = s.language_id
+     LEFT JOIN users u ON u.id = s.user_id
+     LEFT JOIN contests c ON c.id = s.contest_id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY s.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = rows.length > limit;
+  const submissions = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    submissions,
+    nextCursor: hasMore ? submissions[submissions.length - 1].id : null,
+  };
+}
+
+app.get("/problems/:id/submissions", async (req, res) => {
+  const { id } = req.params;
   const isNumeric = /^\d+$/.test(id);
 
   try {
@@ -537,30 +1475,157 @@ app.get("/problems/:id/submissions", async (req, res) => {
       return;
     }
 
+    res.json(
+      await listSubmissions(
+        req.user,
+        { problem: String(problemResult.rows[0].id) },
+        readSubmissionPage(req.query)
+      )
+    );
+  } catch {
+    res.status(500).json({ error: "Failed to load submissions." });
+  }
+});
+
+// Live feed of the problem's submissions: new, re-queued, judging and judged.
+// Per-testcase results are only sent on the submission's own stream.
+app.get("/problems/:id/submissions/events", async (req, res) => {
+  const { id } = req.params;
+  const isNumeric = /^\d+$/.test(id);
+
+  try {
+    const problemResult = await pool.query(
+      `SELECT id
+       FROM problems
+       WHERE ${isNumeric ? "id" : "slug"} = $1
+         AND ($2 OR NOT ${HIDDEN_BY_CONTEST})
+       LIMIT 1`,
+      [id, seesHiddenProblems(req.user)]
+    );
+
+    if (problemResult.rows.length === 0) {
+      res.status(404).json({ error: "Problem not found." });
+      return;
+    }
+
+    const problemId = String(problemResult.rows[0].id);
+    streamSubmissionEvents(
+      req,
+      res,
+      (event) =>
+        String(event.problemId) === problemId &&
+        event.type !== "result" &&
+        canSeeSubmissionEvent(req.user, event)
+    );
+  } catch {
+    res.status(500).json({ error: "Failed to open submission feed." });
+  }
+});
+
+// Reads the summaries maintained by the judge queue (see stats.js); judged
+// submissions only, so queued and running ones are not counted. The records
+// point at accepted code and the counts include frozen verdicts, so only
+// admins see them until every contest using the problem has ended and been
+// unfrozen.
+app.get("/problems/:id/stats", async (req, res) => {
+  const { id } = req.params;
+  const isNumeric = /^\d+$/.test(id);
+
+  try {
+    const problemResult = await pool.query(
+      `SELECT id,
+              EXISTS (
+                SELECT 1
+                FROM contest_problems cp
+                JOIN contests c ON c.id = cp.contest_id
+                WHERE cp.problem_id = problems.id
+                  AND (c.end_time IS NULL
+                       OR c.end_time > NOW()
+                       OR (COALESCE(c.freeze_minutes, 0) > 0
+                           AND c.unfrozen_at IS NULL))
+              ) AS hidden_by_contest
+       FROM problems
+       WHERE ${isNumeric ? "id" : "slug"} = $1
+         AND ($2 OR NOT ${HIDDEN_BY_CONTEST})
+       LIMIT 1`,
+      [id, seesHiddenProblems(req.user)]
+    );
+
+    if (problemResult.rows.length === 0) {
+      res.status(404).json({ error: "Problem not found." });
+      return;
+    }
+    if (problemResult.rows[0].hidden_by_contest && req.user?.role !== "admin") {
+      res.status(403).json({
+        error:
+          "Statistics are hidden until the contest using this problem ends.",
+      });
+      return;
+    }
+
     const problemId = problemResult.rows[0].id;
-    const { rows } = await pool.query(
-      `SELECT s.id,
-              s.status,
-              s.verdict,
-              s.score,
-              s.exec_time_ms,
-              s.memory_kb,
-              s.source_code,
-              length(s.source_code) AS code_length,
-              s.created_at,
-              l.name AS language_name,
-              l.key AS language_key
-       FROM submissions s
-       JOIN languages l ON l.id = s.language_id
-       WHERE s.problem_id = $1
-       ORDER BY s.id DESC
-       LIMIT 50`,
+    const verdictsResult = await pool.query(
+      `SELECT verdict, submission_count AS count
+       FROM problem_verdict_counts
+       WHERE problem_id = $1 AND submission_count > 0
+       ORDER BY submission_count DESC, verdict`,
+      [problemId]
+    );
+    const languagesResult = await pool.query(
+      `SELECT l.key,
+              l.name,
+              r.fastest_submission_id,
+              r.fastest_time_ms,
+              fu.username AS fastest_username,
+              r.shortest_submission_id,
+              r.shortest_length,
+              su.username AS shortest_username
+       FROM problem_language_records r
+       JOIN languages l ON l.id = r.language_id
+       LEFT JOIN submissions fs ON fs.id = r.fastest_submission_id
+       LEFT JOIN users fu ON fu.id = fs.user_id
+       LEFT JOIN submissions ss ON ss.id = r.shortest_submission_id
+       LEFT JOIN users su ON su.id = ss.user_id
+       WHERE r.problem_id = $1
+       ORDER BY l.sort_order, l.id`,
       [problemId]
     );
 
-    res.json({ submissions: rows });
+    const submissions = verdictsResult.rows.reduce(
+      (sum, row) => sum + row.count,
+      0
+    );
+    const accepted =
+      verdictsResult.rows.find((row) => row.verdict === "Accepted")?.count ?? 0;
+
+    res.json({
+      submissions,
+      accepted,
+      acceptanceRate: submissions > 0 ? accepted / submissions : null,
+      verdicts: verdictsResult.rows,
+      languages: languagesResult.rows.map((row) => ({
+        key: row.key,
+        name: row.name,
+        fastest:
+          row.fastest_submission_id != null
+            ? {
+                submissionId: row.fastest_submission_id,
+                execTimeMs: row.fastest_time_ms,
+                username: row.fastest_username,
+              }
+            : null,
+        shortest:
+          row.shortest_submission_id != null
+            ? {
+                submissionId: row.shortest_submission_id,
+                codeLength: row.shortest_length,
+                username: row.shortest_username,
+              }
+            : null,
+      })),
+    });
   } catch {
-    res.status(500).json({ error: "Failed to load submissions." });
+    res.status(500).json({ error: "Failed to load problem statistics." });
   }
 });
 
@@ -583,7 +1648,7 @@ app.get("/problems/:id/messages", async (req, res) => {
     }
 
     const { rows } = await pool.query(
-      `SELECT id, author_name, body, created_at
+      `SELECT id, user_id, author_name, body, created_at
        FROM problem_messages
        WHERE problem_id = $1
        ORDER BY id DESC`,
@@ -620,16 +1685,18 @@ app.post("/problems/:id/messages", async (req, res) => {
       return;
     }
 
-    const name =
-      typeof authorName === "string" && authorName.trim()
+    // Signed-in users always post under their own name.
+    const name = req.user
+      ? req.user.display_name || req.user.username
+      : typeof authorName === "string" && authorName.trim()
         ? authorName.trim()
         : "Anonymous";
 
     const insertResult = await pool.query(
-      `INSERT INTO problem_messages (problem_id, author_name, body)
-       VALUES ($1, $2, $3)
-       RETURNING id, author_name, body, created_at`,
-      [problemResult.rows[0].id, name, body.trim()]
+      `INSERT INTO problem_messages (problem_id, user_id, author_name, body)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, user_id, author_name, body, created_at`,
+      [problemResult.rows[0].id, req.user?.id ?? null, name, body.trim()]
     );
 
     res.status(201).json({ message: insertResult.rows[0] });
@@ -665,11 +1732,17 @@ app.post("/problems/:id/run", async (req, res) => {
     }
 
     const languageResult = await pool.query(
-      `SELECT id, key, name, source_ext, compile_command, run_command,
-              default_time_limit_ms, default_memory_limit_kb
-       FROM languages
-       WHERE ${languageKey ? "key" : "id"} = $1 AND enabled = TRUE`,
-      [languageKey || languageId]
+      `SELECT l.id, l.key, l.name, l.source_ext, l.compile_command, l.run_command,
+              l.default_time_limit_ms, l.default_memory_limit_kb,
+              l.limit_address_space,
+              COALESCE(o.time_multiplier, l.time_multiplier) AS time_multiplier,
+              COALESCE(o.time_offset_ms, l.time_offset_ms) AS time_offset_ms,
+              COALESCE(o.memory_offset_kb, l.memory_offset_kb) AS memory_offset_kb
+       FROM languages l
+       LEFT JOIN problem_language_limits o
+         ON o.language_id = l.id AND o.problem_id = $2
+       WHERE l.${languageKey ? "key" : "id"} = $1 AND l.enabled = TRUE`,
+      [languageKey || languageId, problemResult.rows[0].id]
     );
 
     if (languageResult.rows.length === 0) {
@@ -690,236 +1763,997 @@ app.post("/problems/:id/run", async (req, res) => {
   }
 });
 
-app.post("/submissions", async (req, res) => {
-  const { problemId, languageKey, languageId, sourceCode } = req.body || {};
-
-  if (!problemId || !sourceCode || (!languageKey && !languageId)) {
-    res.status(400).json({
-      error: "problemId, languageKey (or languageId), and sourceCode are required.",
-    });
-    return;
+const PROBLEM_FIELDS = [
+  ["title", "title", "string"],
+  ["slug", "slug", "string"],
+  ["statement", "statement", "string"],
+  ["editorial", "editorial", "text"],
+  ["constraints", "constraints", "text"],
+  ["inputFormat", "input_format", "text"],
+  ["outputFormat", "output_format", "text"],
+  ["points", "points", "integer"],
+  ["timeLimitMs", "time_limit_ms", "integer"],
+  ["memoryLimitKb", "memory_limit_kb", "integer"],
+  ["difficulty", "difficulty", "integer"],
+  ["judgeType", "judge_type", ["default", "custom", "interactive"]],
+  ["checkerLanguageKey", "checker_language_key", "text"],
+  ["checkerSource", "checker_source", "text"],
+  ["checkerProtocol", "checker_protocol", ["json", "testlib"]],
+  ["scorePolicy", "score_policy", ["min", "sum"]],
+  ["compareMode", "compare_mode", COMPARE_MODES],
+  ["compareEpsilon", "compare_epsilon", "number"],
+  ["stopOnFailure", "stop_on_failure", "boolean"],
+  ["revealFailedHidden", "reveal_failed_hidden", "integer"],
+  ["isVisible", "is_visible", "boolean"],
+];
+
+const TESTCASE_FIELDS = [
+  ["name", "name", "text"],
+  ["input", "input", "string"],
+  ["expectedOutput", "expected_output", "string"],
+  ["isSample", "is_sample", "boolean"],
+  ["sortOrder", "sort_order", "integer"],
+];
+
+const GROUP_FIELDS = [
+  ["name", "name", "string"],
+  ["points", "points", "integer"],
+  ["sortOrder", "sort_order", "integer"],
+];
+
+// Loads the problem named by :id for editing. Setters may only change their
+// own problems; admins may change any.
+async function findEditableProblem(client, req, { lock = false } = {}) {
+  const { id } = req.params;
+  const isNumeric = isRowId(id);
+  const { rows } = await client.query(
+    `SELECT id, author_id, judge_type, current_revision
+     FROM problems
+     WHERE ${isNumeric ? "id" : "slug"} = $1
+     LIMIT 1${lock ? " FOR UPDATE" : ""}`,
+    [id]
+  );
+  const problem = rows[0];
+  if (!problem) {
+    throw new RequestError(404, "Problem not found.");
   }
+  if (
+    req.user.role !== "admin" &&
+    String(problem.author_id) !== String(req.user.id)
+  ) {
+    throw new RequestError(403, "You can only edit your own problems.");
+  }
+  return problem;
+}
 
-  const codeLength = sourceCode.length;
-
+// Runs one edit in a transaction and records the result as a new revision.
+// `edit` returns the response body; throwing an RequestError rolls back.
+async function editProblem(req, res, note, edit, successStatus = 200) {
   const client = await pool.connect();
-  let submissionId = null;
-  let problem = null;
-  let language = null;
-  let testcases = [];
-  let checker = null;
   try {
-    const problemResult = await client.query(
-      `SELECT id,
-              time_limit_ms,
-              memory_limit_kb,
-              points,
-              judge_type,
-              checker_language_key,
-              checker_source
-       FROM problems
-       WHERE id = $1`,
-      [problemId]
+    await client.query("BEGIN");
+    const problem = await findEditableProblem(client, req, { lock: true });
+    await ensureBaselineRevision(client, problem.id, req.user.id);
+    const body = await edit(client, problem);
+    const revision = await recordProblemRevision(
+      client,
+      problem.id,
+      req.user.id,
+      typeof note === "function" ? note(body) : note
     );
+    await client.query("COMMIT");
+    res.status(successStatus).json({ ...body, revision });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+    } else if (error?.code === "23505") {
+      res.status(409).json({ error: "Slug is already in use." });
+    } else {
+      res.status(500).json({ error: "Failed to update problem." });
+    }
+  } finally {
+    client.release();
+  }
+}
 
-    if (problemResult.rows.length === 0) {
-      res.status(404).json({ error: "Problem not found." });
-      return;
+async function readEditable(req, res, load) {
+  const client = await pool.connect();
+  try {
+    const problem = await findEditableProblem(client, req);
+    res.json(await load(client, problem));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: "Failed to load problem." });
     }
+  } finally {
+    client.release();
+  }
+}
 
-    problem = problemResult.rows[0];
+function updateSql(table, fields, extra = "", condition = "") {
+  return `UPDATE ${table}
+     SET ${fields.map((field, index) => `${field.column} = $${index + 3}`).join(", ")}${extra}
+     WHERE id = $1 AND problem_id = $2${condition}
+     RETURNING *`;
+}
 
-    const languageResult = await client.query(
-      `SELECT id, key, name, source_ext, compile_command, run_command,
-              default_time_limit_ms, default_memory_limit_kb
-       FROM languages
-       WHERE ${languageKey ? "key" : "id"} = $1 AND enabled = TRUE`,
-      [languageKey || languageId]
+async function checkTestcaseGroup(client, problemId, groupId) {
+  const { rows } = await client.query(
+    "SELECT id FROM testcase_groups WHERE problem_id = $1",
+    [problemId]
+  );
+  if (groupId == null) {
+    if (rows.length > 0) {
+      throw new RequestError(
+        400,
+        "Every testcase must belong to a valid group."
+      );
+    }
+    return;
+  }
+  if (!rows.some((row) => String(row.id) === String(groupId))) {
+    throw new RequestError(400, "Every testcase must belong to a valid group.");
+  }
+}
+
+function checkTestcaseContent(problem, testcase) {
+  if (!testcase.input.trim()) {
+    throw new RequestError(400, "Every testcase needs input.");
+  }
+  if (problem.judge_type === "default" && !testcase.expected_output.trim()) {
+    throw new RequestError(
+      400,
+      "Expected output is required for default judging."
     );
+  }
+}
 
-    if (languageResult.rows.length === 0) {
-      res.status(404).json({ error: "Language not found." });
+app.patch("/problems/:id", requireSetter, async (req, res) => {
+  const fields = readFields(req.body || {}, PROBLEM_FIELDS);
+
+  if (!fields || fields.length === 0) {
+    res.status(400).json({ error: "Problem fields are invalid." });
+    return;
+  }
+
+  for (const field of fields) {
+    if (typeof field.value === "string" && field.column !== "checker_source") {
+      field.value = field.value.trim();
+    }
+    if (
+      field.value === "" &&
+      ["title", "slug", "statement"].includes(field.column)
+    ) {
+      res
+        .status(400)
+        .json({ error: "Title, slug and statement cannot be empty." });
       return;
     }
+    if (field.column === "compare_epsilon" && field.value < 0) {
+      res
+        .status(400)
+        .json({ error: "Comparison tolerance cannot be negative." });
+      return;
+    }
+    if (
+      field.column === "reveal_failed_hidden" &&
+      (!Number.isInteger(field.value) || field.value < 0)
+    ) {
+      res.status(400).json({
+        error: "Revealed hidden testcases must be a non-negative integer.",
+      });
+      return;
+    }
+  }
 
-    language = languageResult.rows[0];
-
-    if (problem.judge_type === "custom") {
-      if (!problem.checker_language_key || !problem.checker_source) {
-        res.status(500).json({ error: "Checker is not configured." });
-        return;
+  await editProblem(
+    req,
+    res,
+    "Updated problem settings",
+    async (client, problem) => {
+      const { rows } = await client.query(
+        `UPDATE problems
+       SET ${fields.map((field, index) => `${field.column} = $${index + 2}`).join(", ")}
+       WHERE id = $1
+       RETURNING id, slug, title, judge_type, checker_source,
+                 (SELECT key FROM languages
+                  WHERE key = checker_language_key AND enabled = TRUE) AS checker_language`,
+        [problem.id, ...fields.map((field) => field.value)]
+      );
+      const updated = rows[0];
+      if (
+        usesJudgeProgram(updated.judge_type) &&
+        (!updated.checker_language || !updated.checker_source?.trim())
+      ) {
+        throw new RequestError(
+          400,
+          judgeProgramRequiredMessage(updated.judge_type)
+        );
       }
+      return {
+        problem: { id: updated.id, slug: updated.slug, title: updated.title },
+      };
+    }
+  );
+});
 
-      const checkerLanguageResult = await client.query(
-        `SELECT id, key, name, source_ext, compile_command, run_command,
-                default_time_limit_ms, default_memory_limit_kb
-         FROM languages
-         WHERE key = $1 AND enabled = TRUE`,
-        [problem.checker_language_key]
-      );
+// Tags describe the problem for browsing and are not part of its revisions.
+app.put("/problems/:id/tags", requireSetter, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const tags = normalizeTags(req.body?.tags);
+    const problem = await findEditableProblem(client, req, { lock: true });
+    await setProblemTags(client, problem.id, tags);
+    await client.query("COMMIT");
+    res.json({ tags: [...tags].sort() });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: "Failed to update tags." });
+    }
+  } finally {
+    client.release();
+  }
+});
 
-      if (checkerLanguageResult.rows.length === 0) {
-        res.status(500).json({ error: "Checker language not found." });
+app.post(
+  "/problems/import",
+  requireSetter,
+  express.raw({
+    type: ["application/zip", "application/octet-stream"],
+    limit: "64mb",
+  }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      res.status(400).json({ error: "Upload the package as a zip body." });
+      return;
+    }
+
+    let body;
+    try {
+      body = await parseProblemPackage(req.body);
+    } catch (error) {
+      if (error instanceof PackageError) {
+        res.status(400).json({ error: error.message });
         return;
       }
-
-      checker = {
-        language: checkerLanguageResult.rows[0],
-        sourceCode: problem.checker_source,
-      };
+      res.status(500).json({ error: "Failed to read problem package." });
+      return;
     }
 
-    const testcasesResult = await client.query(
-      `SELECT t.id,
-              t.name,
-              t.input,
-              t.expected_output,
-              t.group_id,
-              g.points AS group_points
-       FROM testcases t
-       LEFT JOIN testcase_groups g ON g.id = t.group_id
-       WHERE t.problem_id = $1
-       ORDER BY t.sort_order, t.id`,
-      [problemId]
-    );
-    testcases = testcasesResult.rows;
+    await createProblem(req, res, body, "import");
+  }
+);
 
-    const submissionResult = await client.query(
-      `INSERT INTO submissions (problem_id, language_id, source_code, status)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id`,
-      [problemId, language.id, sourceCode, "Judging"]
+app.get("/problems/:id/export", requireSetter, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const problem = await findEditableProblem(client, req);
+    const snapshot = await loadProblemSnapshot(client, problem.id);
+    const languagesResult = await client.query(
+      "SELECT id, key, source_ext FROM languages"
     );
+    const checkerLanguage = languagesResult.rows.find(
+      (language) => language.key === snapshot.problem.checker_language_key
+    );
+    const archive = buildProblemPackage(snapshot, {
+      checkerExtension: checkerLanguage?.source_ext,
+      languages: new Map(
+        languagesResult.rows.map((language) => [
+          String(language.id),
+          language.key,
+        ])
+      ),
+    });
 
-    submissionId = submissionResult.rows[0].id;
-
-    res.status(202).json({
-      submissionId,
-      status: "Judging",
-      codeLength,
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${snapshot.problem.slug}.zip"`,
     });
-  } catch {
-    res.status(500).json({ error: "Failed to judge submission." });
+    res.send(Buffer.from(archive));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: "Failed to export problem." });
+    }
   } finally {
     client.release();
   }
+});
+
+app.get("/problems/:id/testcases", requireSetter, async (req, res) => {
+  await readEditable(req, res, async (client, problem) => {
+    const { rows } = await client.query(
+      `SELECT id, group_id, name, input, expected_output, is_sample, sort_order
+       FROM testcases
+       WHERE problem_id = $1 AND archived_at IS NULL
+       ORDER BY sort_order, id`,
+      [problem.id]
+    );
+    return { testcases: rows };
+  });
+});
 
-  if (!submissionId || !problem || !language) {
+app.post("/problems/:id/testcases", requireSetter, async (req, res) => {
+  const body = req.body || {};
+  const fields = readFields(body, TESTCASE_FIELDS);
+  const groupId = body.groupId ?? null;
+
+  if (!fields || (groupId !== null && !Number.isInteger(groupId))) {
+    res.status(400).json({ error: "Testcase fields are invalid." });
     return;
   }
 
-  const runJudge = async () => {
-    const judgeClient = await pool.connect();
-    try {
-      const judgeResult = await judgeSubmission({
-        language,
-        problem,
-        testcases,
-        sourceCode,
-        checker,
-        onResult: async (result) => {
-          await judgeClient.query(
-            `INSERT INTO submission_results
-              (submission_id, testcase_id, status, exec_time_ms, memory_kb, output, error)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-            [
-              submissionId,
-              result.testcaseId,
-              result.status,
-              result.execTimeMs,
-              result.memoryKb,
-              result.output,
-              result.error,
-            ]
-          );
-        },
-      });
+  const values = Object.fromEntries(
+    fields.map((field) => [field.column, field.value])
+  );
+  const testcase = {
+    name: values.name ?? null,
+    input: values.input ?? "",
+    expected_output: values.expected_output ?? "",
+    is_sample: values.is_sample ?? false,
+  };
 
-      await judgeClient.query(
-        `UPDATE submissions
-         SET status = $1,
-             verdict = $1,
-             exec_time_ms = $2,
-             memory_kb = $3,
-             compiler_output = $4,
-             score = $5,
-             judged_at = NOW()
-         WHERE id = $6`,
-        [
-          judgeResult.verdict,
-          judgeResult.maxTimeMs,
-          judgeResult.maxMemoryKb,
-          judgeResult.compileOutput,
-          judgeResult.score ?? 0,
-          submissionId,
-        ]
-      );
-    } catch (error) {
-      await judgeClient.query(
-        `UPDATE submissions
-         SET status = $1,
-             verdict = $1,
-             compiler_output = $2,
-             score = 0,
-             judged_at = NOW()
-         WHERE id = $3`,
+  await editProblem(
+    req,
+    res,
+    (result) => `Added testcase ${result.testcase.id}`,
+    async (client, problem) => {
+      checkTestcaseContent(problem, testcase);
+      await checkTestcaseGroup(client, problem.id, groupId);
+      const { rows } = await client.query(
+        `INSERT INTO testcases
+          (problem_id, group_id, name, input, expected_output, is_sample, sort_order)
+         SELECT $1, $2, $3, $4, $5, $6,
+                COALESCE($7, (SELECT COALESCE(MAX(sort_order), 0) + 1
+                              FROM testcases WHERE problem_id = $1))
+         RETURNING id, group_id, name, input, expected_output, is_sample, sort_order`,
         [
-          "System Error",
-          error instanceof Error ? error.message : "Judge failed.",
-          submissionId,
+          problem.id,
+          groupId,
+          testcase.name,
+          testcase.input,
+          testcase.expected_output,
+          testcase.is_sample,
+          values.sort_order ?? null,
         ]
       );
-    } finally {
-      judgeClient.release();
-    }
-  };
-
-  setImmediate(() => {
-    void runJudge();
-  });
+      return { testcase: rows[0] };
+    },
+    201
+  );
 });
 
-app.get("/submissions/:id", async (req, res) => {
-  const { id } = req.params;
-  try {
-    const submissionResult = await pool.query(
-      `SELECT id, problem_id, language_id, status, verdict, exec_time_ms,
-              compiler_output, score, created_at, judged_at
-       FROM submissions
-       WHERE id = $1`,
-      [id]
-    );
-
-    if (submissionResult.rows.length === 0) {
-      res.status(404).json({ error: "Submission not found." });
+app.patch(
+  "/problems/:id/testcases/:testcaseId",
+  requireSetter,
+  async (req, res) => {
+    const { testcaseId } = req.params;
+    const body = req.body || {};
+    const fields = readFields(body, TESTCASE_FIELDS);
+    const hasGroupId = body.groupId !== undefined;
+
+    if (!isRowId(testcaseId)) {
+      res.status(404).json({ error: "Testcase not found." });
       return;
     }
 
-    const submission = submissionResult.rows[0];
+    if (
+      !fields ||
+      (hasGroupId && body.groupId !== null && !Number.isInteger(body.groupId))
+    ) {
+      res.status(400).json({ error: "Testcase fields are invalid." });
+      return;
+    }
+    if (hasGroupId) {
+      fields.push({ column: "group_id", value: body.groupId });
+    }
+    if (fields.length === 0) {
+      res.status(400).json({ error: "Testcase fields are invalid." });
+      return;
+    }
 
-    const results = await pool.query(
-      `SELECT r.testcase_id,
-              t.name,
-              t.group_id,
-              g.name AS group_name,
-              g.points AS group_points,
-              r.status,
-              r.exec_time_ms,
-              r.memory_kb,
-              r.output,
-              r.error
-       FROM submission_results r
-       JOIN testcases t ON t.id = r.testcase_id
-       LEFT JOIN testcase_groups g ON g.id = t.group_id
-       WHERE r.submission_id = $1
-       ORDER BY r.id`,
+    await editProblem(
+      req,
+      res,
+      `Updated testcase ${testcaseId}`,
+      async (client, problem) => {
+        const { rows } = await client.query(
+          updateSql(
+            "testcases",
+            fields,
+            ", updated_at = NOW()",
+            " AND archived_at IS NULL"
+          ),
+          [testcaseId, problem.id, ...fields.map((field) => field.value)]
+        );
+        const testcase = rows[0];
+        if (!testcase) {
+          throw new RequestError(404, "Testcase not found.");
+        }
+        checkTestcaseContent(problem, testcase);
+        if (hasGroupId) {
+          await checkTestcaseGroup(client, problem.id, testcase.group_id);
+        }
+        return {
+          testcase: {
+            id: testcase.id,
+            group_id: testcase.group_id,
+            name: testcase.name,
+            input: testcase.input,
+            expected_output: testcase.expected_output,
+            is_sample: testcase.is_sample,
+            sort_order: testcase.sort_order,
+          },
+        };
+      }
+    );
+  }
+);
+
+app.delete(
+  "/problems/:id/testcases/:testcaseId",
+  requireSetter,
+  async (req, res) => {
+    const { testcaseId } = req.params;
+    if (!isRowId(testcaseId)) {
+      res.status(404).json({ error: "Testcase not found." });
+      return;
+    }
+    await editProblem(
+      req,
+      res,
+      `Deleted testcase ${testcaseId}`,
+      async (client, problem) => {
+        // Archived rather than deleted so that earlier submissions keep their
+        // results for it; restoring a revision that has it brings it back.
+        const { rowCount } = await client.query(
+          `UPDATE testcases
+           SET archived_at = NOW(),
+               updated_at = NOW()
+           WHERE id = $1 AND problem_id = $2 AND archived_at IS NULL`,
+          [testcaseId, problem.id]
+        );
+        if (rowCount === 0) {
+          throw new RequestError(404, "Testcase not found.");
+        }
+        const remaining = await client.query(
+          `SELECT 1
+           FROM testcases
+           WHERE problem_id = $1 AND archived_at IS NULL
+           LIMIT 1`,
+          [problem.id]
+        );
+        if (remaining.rows.length === 0) {
+          throw new RequestError(400, "At least one testcase is required.");
+        }
+        return {};
+      }
+    );
+  }
+);
+
+app.get("/problems/:id/groups", requireSetter, async (req, res) => {
+  await readEditable(req, res, async (client, problem) => {
+    const { rows } = await client.query(
+      `SELECT g.id, g.name, g.points, g.stop_on_failure, g.sort_order,
+              COUNT(t.id)::int AS testcase_count
+       FROM testcase_groups g
+       LEFT JOIN testcases t ON t.group_id = g.id AND t.archived_at IS NULL
+       WHERE g.problem_id = $1
+       GROUP BY g.id
+       ORDER BY g.sort_order, g.id`,
+      [problem.id]
+    );
+    return { groups: rows };
+  });
+});
+
+function readGroupFields(body) {
+  const fields = readFields(body, GROUP_FIELDS);
+  const { stopOnFailure } = body;
+  if (
+    !fields ||
+    fields.some((field) => field.column === "name" && !field.value.trim()) ||
+    (stopOnFailure !== undefined &&
+      stopOnFailure !== null &&
+      typeof stopOnFailure !== "boolean")
+  ) {
+    return null;
+  }
+  if (stopOnFailure !== undefined) {
+    // null inherits the problem-wide stopOnFailure setting.
+    fields.push({ column: "stop_on_failure", value: stopOnFailure });
+  }
+  return fields.map((field) =>
+    field.column === "name" ? { ...field, value: field.value.trim() } : field
+  );
+}
+
+async function checkGroupName(client, problemId, groupId, name) {
+  const { rows } = await client.query(
+    `SELECT 1
+     FROM testcase_groups
+     WHERE problem_id = $1 AND lower(name) = lower($2) AND id IS DISTINCT FROM $3`,
+    [problemId, name, groupId]
+  );
+  if (rows.length > 0) {
+    throw new RequestError(400, "Group names must be unique.");
+  }
+}
+
+app.post("/problems/:id/groups", requireSetter, async (req, res) => {
+  const fields = readGroupFields(req.body || {});
+  const values = Object.fromEntries(
+    (fields || []).map((field) => [field.column, field.value])
+  );
+
+  if (!fields || !values.name) {
+    res.status(400).json({ error: "Each group needs a name." });
+    return;
+  }
+
+  await editProblem(
+    req,
+    res,
+    `Added group ${values.name}`,
+    async (client, problem) => {
+      await checkGroupName(client, problem.id, null, values.name);
+      const { rows } = await client.query(
+        `INSERT INTO testcase_groups
+          (problem_id, name, points, stop_on_failure, sort_order)
+         SELECT $1, $2, $3, $4,
+                COALESCE($5, (SELECT COALESCE(MAX(sort_order), 0) + 1
+                              FROM testcase_groups WHERE problem_id = $1))
+         RETURNING id, name, points, stop_on_failure, sort_order`,
+        [
+          problem.id,
+          values.name,
+          values.points ?? 0,
+          values.stop_on_failure ?? null,
+          values.sort_order ?? null,
+        ]
+      );
+      return { group: rows[0] };
+    },
+    201
+  );
+});
+
+app.patch("/problems/:id/groups/:groupId", requireSetter, async (req, res) => {
+  const { groupId } = req.params;
+  const fields = readGroupFields(req.body || {});
+
+  if (!isRowId(groupId)) {
+    res.status(404).json({ error: "Group not found." });
+    return;
+  }
+
+  if (!fields || fields.length === 0) {
+    res.status(400).json({ error: "Group fields are invalid." });
+    return;
+  }
+
+  await editProblem(
+    req,
+    res,
+    `Updated group ${groupId}`,
+    async (client, problem) => {
+      const name = fields.find((field) => field.column === "name")?.value;
+      if (name) {
+        await checkGroupName(client, problem.id, groupId, name);
+      }
+      const { rows } = await client.query(
+        updateSql("testcase_groups", fields),
+        [groupId, problem.id, ...fields.map((field) => field.value)]
+      );
+      if (!rows[0]) {
+        throw new RequestError(404, "Group not found.");
+      }
+      const { id, points, stop_on_failure, sort_order } = rows[0];
+      return {
+        group: { id, name: rows[0].name, points, stop_on_failure, sort_order },
+      };
+    }
+  );
+});
+
+app.delete("/problems/:id/groups/:groupId", requireSetter, async (req, res) => {
+  const { groupId } = req.params;
+  if (!isRowId(groupId)) {
+    res.status(404).json({ error: "Group not found." });
+    return;
+  }
+  await editProblem(
+    req,
+    res,
+    `Deleted group ${groupId}`,
+    async (client, problem) => {
+      const testcases = await client.query(
+        `SELECT 1
+         FROM testcases
+         WHERE group_id = $1 AND archived_at IS NULL
+         LIMIT 1`,
+        [groupId]
+      );
+      if (testcases.rows.length > 0) {
+        throw new RequestError(
+          409,
+          "Move or delete the group's testcases before deleting it."
+        );
+      }
+      const { rowCount } = await client.query(
+        "DELETE FROM testcase_groups WHERE id = $1 AND problem_id = $2",
+        [groupId, problem.id]
+      );
+      if (rowCount === 0) {
+        throw new RequestError(404, "Group not found.");
+      }
+      return {};
+    }
+  );
+});
+
+app.get("/problems/:id/revisions", requireSetter, async (req, res) => {
+  await readEditable(req, res, async (client, problem) => {
+    const { rows } = await client.query(
+      `SELECT r.revision, r.note, r.created_at, u.username AS author
+       FROM problem_revisions r
+       LEFT JOIN users u ON u.id = r.author_id
+       WHERE r.problem_id = $1
+       ORDER BY r.revision DESC`,
+      [problem.id]
+    );
+    return { currentRevision: problem.current_revision, revisions: rows };
+  });
+});
+
+app.get(
+  "/problems/:id/revisions/:revision",
+  requireSetter,
+  async (req, res) => {
+    await readEditable(req, res, async (client, problem) => {
+      if (!isRowId(req.params.revision, MAX_INTEGER)) {
+        throw new RequestError(404, "Revision not found.");
+      }
+      const { rows } = await client.query(
+        `SELECT r.revision, r.note, r.created_at, u.username AS author,
+                r.snapshot
+         FROM problem_revisions r
+         LEFT JOIN users u ON u.id = r.author_id
+         WHERE r.problem_id = $1 AND r.revision = $2`,
+        [problem.id, req.params.revision]
+      );
+      if (rows.length === 0) {
+        throw new RequestError(404, "Revision not found.");
+      }
+      return { revision: rows[0] };
+    });
+  }
+);
+
+app.post(
+  "/problems/:id/revisions/:revision/restore",
+  requireSetter,
+  async (req, res) => {
+    const { revision } = req.params;
+    if (!isRowId(revision, MAX_INTEGER)) {
+      res.status(404).json({ error: "Revision not found." });
+      return;
+    }
+    await editProblem(
+      req,
+      res,
+      `Restored revision ${revision}`,
+      async (client, problem) => {
+        const { rows } = await client.query(
+          `SELECT snapshot
+           FROM problem_revisions
+           WHERE problem_id = $1 AND revision = $2`,
+          [problem.id, revision]
+        );
+        if (rows.length === 0) {
+          throw new RequestError(404, "Revision not found.");
+        }
+        await restoreProblemSnapshot(client, problem.id, rows[0].snapshot);
+        return { restoredRevision: Number(revision) };
+      }
+    );
+  }
+);
+
+app.post("/submissions", async (req, res) => {
+  const { problemId, contestId, languageKey, languageId, sourceCode } =
+    req.body || {};
+
+  if (!problemId || !sourceCode || (!languageKey && !languageId)) {
+    res.status(400).json({
+      error: "problemId, languageKey (or languageId), and sourceCode are required.",
+    });
+    return;
+  }
+
+  const codeLength = sourceCode.length;
+
+  try {
+    // Contest submissions are checked against the participant's window
+    // below, so only practice submissions honour the pre-start hiding.
+    const problemResult = await pool.query(
+      `SELECT id, judge_type, checker_language_key, checker_source
+       FROM problems
+       WHERE id = $1 AND ($2 OR NOT ${HIDDEN_BY_CONTEST})`,
+      [problemId, contestId != null || seesHiddenProblems(req.user)]
+    );
+
+    if (problemResult.rows.length === 0) {
+      res.status(404).json({ error: "Problem not found." });
+      return;
+    }
+
+    const problem = problemResult.rows[0];
+
+    if (contestId != null) {
+      if (!req.user) {
+        res.status(401).json({ error: "Sign in to submit to a contest." });
+        return;
+      }
+
+      const contest = await findContest(pool, String(contestId));
+      const inContest =
+        contest &&
+        (
+          await pool.query(
+            `SELECT 1
+             FROM contest_problems
+             WHERE contest_id = $1 AND problem_id = $2`,
+            [contest.id, problem.id]
+          )
+        ).rows.length > 0;
+      if (!inContest) {
+        res.status(404).json({ error: "Problem is not part of the contest." });
+        return;
+      }
+
+      const registration = await findRegistration(
+        pool,
+        contest.id,
+        req.user.id
+      );
+      if (!registration) {
+        res.status(403).json({ error: "Register for the contest first." });
+        return;
+      }
+      if (!isWithinWindow(participationWindow(contest, registration))) {
+        res
+          .status(403)
+          .json({ error: "Your contest time window is not open." });
+        return;
+      }
+    }
+
+    if (
+      usesJudgeProgram(problem.judge_type) &&
+      (!problem.checker_language_key || !problem.checker_source)
+    ) {
+      res.status(500).json({ error: "Checker is not configured." });
+      return;
+    }
+
+    const languageResult = await pool.query(
+      `SELECT id
+       FROM languages
+       WHERE ${languageKey ? "key" : "id"} = $1 AND enabled = TRUE`,
+      [languageKey || languageId]
+    );
+
+    if (languageResult.rows.length === 0) {
+      res.status(404).json({ error: "Language not found." });
+      return;
+    }
+
+    const submissionResult = await pool.query(
+      `INSERT INTO submissions
+         (user_id, problem_id, contest_id, language_id, source_code, status)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, status`,
+      [
+        req.user?.id ?? null,
+        problem.id,
+        contestId ?? null,
+        languageResult.rows[0].id,
+        sourceCode,
+        QUEUED_STATUS,
+      ]
+    );
+
+    await publishSubmissionEvent(pool, {
+      type: "created",
+      submissionId: submissionResult.rows[0].id,
+      problemId: problem.id,
+      contestId: contestId ?? null,
+      status: submissionResult.rows[0].status,
+    });
+
+    res.status(202).json({
+      submissionId: submissionResult.rows[0].id,
+      status: submissionResult.rows[0].status,
+      codeLength,
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to queue submission." });
+  }
+});
+
+app.get("/submissions", async (req, res) => {
+  try {
+    res.json(
+      await listSubmissions(
+        req.user,
+        readSubmissionFilters(req.query),
+        readSubmissionPage(req.query)
+      )
+    );
+  } catch (error) {
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: "Failed to load submissions." });
+    }
+  }
+});
+
+app.get("/submissions/:id", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const submissionResult = await pool.query(
+      `SELECT s.id, s.problem_id, s.problem_revision, s.language_id,
+              l.key AS language_key, s.status, s.verdict, s.exec_time_ms,
+              s.compiler_output, s.score, s.rejudge_count,
+              CASE
+                WHEN $3 OR s.user_id = $2 OR NOT ${USED_BY_UNFINISHED_CONTEST}
+                THEN s.source_code
+              END AS source_code,
+              CASE
+                WHEN judged.problem->>'judge_type' = 'default'
+                THEN COALESCE(judged.problem->>'compare_mode', 'exact')
+              END AS compare_mode,
+              (judged.problem->>'compare_epsilon')::float8 AS compare_epsilon,
+              s.created_at, s.judged_at
+       FROM submissions s
+       JOIN problems ON problems.id = s.problem_id
+       JOIN languages l ON l.id = s.language_id
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(
+                  (SELECT snapshot->'problem'
+                   FROM problem_revisions
+                   WHERE problem_id = s.problem_id
+                     AND revision = s.problem_revision
+                     AND revision <> problems.current_revision),
+                  to_jsonb(problems)
+                ) AS problem
+       ) judged
+       WHERE s.id = $1
+         AND ($4 OR NOT ${HIDDEN_BY_CONTEST})
+         AND ${visibleSubmission("$2", "$3")}`,
+      [
+        id,
+        req.user?.id ?? null,
+        req.user?.role === "admin",
+        seesHiddenProblems(req.user),
+      ]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      res.status(404).json({ error: "Submission not found." });
+      return;
+    }
+
+    // source_code is null for other users' code while a contest using the
+    // problem is unfinished. compare_mode is the built-in comparison of the
+    // revision the submission was judged against, or null when a checker or
+    // interactor decided the verdict.
+    const submission = submissionResult.rows[0];
+
+    // Expected output is shown for samples and, for practice submissions
+    // (outside contests, on problems no unfinished contest uses), for as many
+    // failing hidden testcases (in testcase order) as the problem's author
+    // allows. Expected output comes from the revision the submission was
+    // judged against and is left out when that revision has no snapshot.
+    const revealResult = await pool.query(
+      `SELECT CASE
+                WHEN s.contest_id IS NULL AND NOT EXISTS (
+                  SELECT 1
+                  FROM contest_problems cp
+                  JOIN contests c ON c.id = cp.contest_id
+                  WHERE cp.problem_id = p.id
+                    AND (c.end_time IS NULL OR c.end_time > NOW())
+                )
+                THEN p.reveal_failed_hidden
+                ELSE 0
+              END AS reveal_failed_hidden
+       FROM submissions s
+       JOIN problems p ON p.id = s.problem_id
+       WHERE s.id = $1`,
       [id]
     );
+    const revealFailedHidden = revealResult.rows[0]?.reveal_failed_hidden ?? 0;
+
+    const results = await pool.query(
+      `SELECT testcase_id, name, group_id, group_name, group_points, status,
+              exec_time_ms, cpu_time_ms, wall_time_ms, memory_kb, score,
+              output, error, checker_message, transcript, is_sample,
+              CASE
+                WHEN is_sample
+                  OR (is_failed_hidden
+                      AND COUNT(*) FILTER (WHERE is_failed_hidden)
+                            OVER (ORDER BY sort_order, testcase_id) <= $2)
+                THEN expected_output
+              END AS expected_output
+       FROM (
+         SELECT r.testcase_id,
+                t.sort_order,
+                t.name,
+                t.group_id,
+                g.name AS group_name,
+                g.points AS group_points,
+                r.status,
+                r.exec_time_ms,
+                r.cpu_time_ms,
+                r.wall_time_ms,
+                r.memory_kb,
+                r.score,
+                r.output,
+                r.error,
+                r.checker_message,
+                r.transcript,
+                judged.is_sample,
+                judged.expected_output,
+                NOT judged.is_sample
+                  AND r.status NOT IN ('Accepted', 'Skipped')
+                  AS is_failed_hidden
+         FROM submission_results r
+         JOIN submissions s ON s.id = r.submission_id
+         JOIN problems p ON p.id = s.problem_id
+         JOIN testcases t ON t.id = r.testcase_id
+         LEFT JOIN testcase_groups g ON g.id = t.group_id
+         LEFT JOIN LATERAL (
+           SELECT (tc->>'is_sample')::boolean AS is_sample,
+                  tc->>'expected_output' AS expected_output
+           FROM problem_revisions pr
+           CROSS JOIN jsonb_array_elements(pr.snapshot->'testcases') tc
+           WHERE pr.problem_id = s.problem_id
+             AND pr.revision = s.problem_revision
+             AND (tc->>'id')::int = r.testcase_id
+         ) snapshot ON s.problem_revision <> p.current_revision
+         CROSS JOIN LATERAL (
+           SELECT CASE
+                    WHEN s.problem_revision = p.current_revision
+                    THEN t.is_sample
+                    ELSE COALESCE(snapshot.is_sample, t.is_sample)
+                  END AS is_sample,
+                  CASE
+                    WHEN s.problem_revision = p.current_revision
+                    THEN t.expected_output
+                    ELSE snapshot.expected_output
+                  END AS expected_output
+         ) judged
+         WHERE r.submission_id = $1
+       ) results
+       ORDER BY sort_order, testcase_id`,
+      [id, revealFailedHidden]
+    );
 
     const totalResult = await pool.query(
       `SELECT COUNT(*)::int AS total
        FROM testcases
-       WHERE problem_id = $1`,
+       WHERE problem_id = $1 AND archived_at IS NULL`,
       [submission.problem_id]
     );
 
@@ -959,6 +2793,835 @@ app.get("/submissions/:id", async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`OJ API listening on :${PORT}`);
+// Pushes the submission's progress: "queued" and "judging" status changes, a
+// "result" per judged testcase and the final "verdict". Clients load the
+// current state from GET /submissions/:id after connecting.
+app.get("/submissions/:id/events", async (req, res) => {
+  const { id } = req.params;
+  try {
+    // Same visibility as GET /submissions/:id; a submission that is visible
+    // stays visible, so the check is made once.
+    const { rows } = await pool.query(
+      `SELECT s.id
+       FROM submissions s
+       JOIN problems ON problems.id = s.problem_id
+       WHERE s.id = $1
+         AND ($4 OR NOT ${HIDDEN_BY_CONTEST})
+         AND ${visibleSubmission("$2", "$3")}`,
+      [
+        id,
+        req.user?.id ?? null,
+        req.user?.role === "admin",
+        seesHiddenProblems(req.user),
+      ]
+    );
+
+    if (rows.length === 0) {
+      res.status(404).json({ error: "Submission not found." });
+      return;
+    }
+
+    const submissionId = String(rows[0].id);
+    streamSubmissionEvents(
+      req,
+      res,
+      (event) => String(event.submissionId) === submissionId
+    );
+  } catch {
+    res.status(500).json({ error: "Failed to open submission events." });
+  }
+});
+
+const CONTEST_FIELDS = [
+  ["title", "title", "string"],
+  ["slug", "slug", "string"],
+  ["description", "description", "text"],
+  ["startTime", "start_time", "date"],
+  ["endTime", "end_time", "date"],
+  ["durationMinutes", "duration_minutes", "integer"],
+  ["scoringMode", "scoring_mode", SCORING_MODES],
+  ["freezeMinutes", "freeze_minutes", "integer"],
+  ["isPublic", "is_public", "boolean"],
+];
+
+function canManageContest(user, contest) {
+  return (
+    user?.role === "admin" ||
+    (user != null && String(contest.created_by) === String(user.id))
+  );
+}
+
+async function findContest(client, slug) {
+  const { rows } = await client.query(
+    `SELECT id, slug, title, description, start_time, end_time,
+            duration_minutes, scoring_mode, freeze_minutes, unfrozen_at,
+            is_public, created_by
+     FROM contests
+     WHERE ${/^\d+$/.test(slug) ? "id" : "slug"} = $1
+     LIMIT 1`,
+    [slug]
+  );
+  return rows[0] ?? null;
+}
+
+async function findRegistration(client, contestId, userId) {
+  if (userId == null) {
+    return null;
+  }
+  const { rows } = await client.query(
+    `SELECT user_id, is_virtual, started_at, registered_at
+     FROM contest_registrations
+     WHERE contest_id = $1 AND user_id = $2`,
+    [contestId, userId]
+  );
+  return rows[0] ?? null;
+}
+
+function readContestProblems(problems) {
+  if (!Array.isArray(problems)) {
+    throw new RequestError(400, "problems must be a list.");
+  }
+  const normalized = problems.map((item, index) => {
+    const problemId = Number.parseInt(item?.problemId, 10);
+    const points = Number.parseInt(item?.points, 10);
+    return {
+      problemId,
+      label:
+        typeof item?.label === "string" && item.label.trim()
+          ? item.label.trim()
+          : String.fromCharCode(65 + index),
+      points: Number.isFinite(points) ? points : null,
+      sortOrder: index + 1,
+    };
+  });
+  if (normalized.some((item) => !Number.isFinite(item.problemId))) {
+    throw new RequestError(400, "Every contest problem needs a problemId.");
+  }
+  if (
+    new Set(normalized.map((item) => item.label.toLowerCase())).size !==
+      normalized.length ||
+    new Set(normalized.map((item) => item.problemId)).size !== normalized.length
+  ) {
+    throw new RequestError(400, "Contest problems and labels must be unique.");
+  }
+  return normalized;
+}
+
+// Attaching a problem hides it from the problem set until the contest starts,
+// so setters may only attach their own published problems. Problems already
+// in the contest (added by an admin) may stay.
+async function checkContestProblems(client, user, contestId, problems) {
+  if (user.role === "admin") {
+    return;
+  }
+  const { rows } = await client.query(
+    `SELECT p.id, p.author_id, p.is_visible,
+            EXISTS (
+              SELECT 1
+              FROM contest_problems cp
+              WHERE cp.contest_id = $2 AND cp.problem_id = p.id
+            ) AS is_attached
+     FROM problems p
+     WHERE p.id = ANY($1)`,
+    [problems.map((problem) => problem.problemId), contestId]
+  );
+  for (const row of rows) {
+    if (row.is_attached) {
+      continue;
+    }
+    if (String(row.author_id) !== String(user.id)) {
+      throw new RequestError(
+        403,
+        `You can only add your own problems to a contest (problem ${row.id}).`
+      );
+    }
+    if (!row.is_visible) {
+      throw new RequestError(
+        400,
+        `Problem ${row.id} must be published before it is added to a contest.`
+      );
+    }
+  }
+}
+
+async function replaceContestProblems(client, user, contestId, problems) {
+  await checkContestProblems(client, user, contestId, problems);
+  await client.query("DELETE FROM contest_problems WHERE contest_id = $1", [
+    contestId,
+  ]);
+  for (const problem of problems) {
+    const { rowCount } = await client.query(
+      `INSERT INTO contest_problems
+        (contest_id, problem_id, label, points, sort_order)
+       SELECT $1, id, $3, $4, $5
+       FROM problems
+       WHERE id = $2`,
+      [
+        contestId,
+        problem.problemId,
+        problem.label,
+        problem.points,
+        problem.sortOrder,
+      ]
+    );
+    if (rowCount === 0) {
+      throw new RequestError(400, `Problem ${problem.problemId} not found.`);
+    }
+  }
+}
+
+async function checkContestSchedule(client, contestId) {
+  const { rows } = await client.query(
+    `SELECT start_time, end_time, duration_minutes, freeze_minutes
+     FROM contests
+     WHERE id = $1`,
+    [contestId]
+  );
+  const contest = rows[0];
+  if (
+    contest.start_time &&
+    contest.end_time &&
+    contest.end_time <= contest.start_time
+  ) {
+    throw new RequestError(400, "The contest must end after it starts.");
+  }
+  if (contest.duration_minutes != null && contest.duration_minutes <= 0) {
+    throw new RequestError(400, "durationMinutes must be positive.");
+  }
+  if (contest.freeze_minutes != null && contest.freeze_minutes < 0) {
+    throw new RequestError(400, "freezeMinutes cannot be negative.");
+  }
+}
+
+function contestErrorResponse(res, error, fallback) {
+  if (error instanceof RequestError) {
+    res.status(error.status).json({ error: error.message });
+  } else if (error?.code === "23505") {
+    res.status(409).json({ error: "Slug is already in use." });
+  } else {
+    res.status(500).json({ error: fallback });
+  }
+}
+
+app.get("/contests", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.id, c.slug, c.title, c.start_time, c.end_time,
+              c.duration_minutes, c.is_public,
+              (SELECT COUNT(*)::int
+               FROM contest_registrations r
+               WHERE r.contest_id = c.id) AS participant_count,
+              EXISTS (
+                SELECT 1
+                FROM contest_registrations r
+                WHERE r.contest_id = c.id AND r.user_id = $1
+              ) AS is_registered
+       FROM contests c
+       WHERE c.is_public = TRUE OR $2 OR c.created_by = $1
+       ORDER BY c.start_time DESC NULLS FIRST, c.id DESC`,
+      [req.user?.id ?? null, req.user?.role === "admin"]
+    );
+    res.json({
+      contests: rows.map((contest) => ({
+        ...contest,
+        phase: contestPhase(contest),
+      })),
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to load contests." });
+  }
 });
+
+app.post("/contests", requireSetter, async (req, res) => {
+  const body = req.body || {};
+  const fields = readFields(body, CONTEST_FIELDS);
+
+  if (!fields) {
+    res.status(400).json({ error: "Contest fields are invalid." });
+    return;
+  }
+
+  const values = Object.fromEntries(
+    fields.map((field) => [field.column, field.value])
+  );
+  const title = values.title?.trim() ?? "";
+  const slug = values.slug?.trim() || slugify(title);
+
+  if (!title || !slug) {
+    res.status(400).json({ error: "Title is required." });
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    const problems = readContestProblems(body.problems ?? []);
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `INSERT INTO contests
+        (slug, title, description, start_time, end_time, duration_minutes,
+         scoring_mode, freeze_minutes, is_public, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id, slug`,
+      [
+        slug,
+        title,
+        values.description ?? null,
+        values.start_time ?? null,
+        values.end_time ?? null,
+        values.duration_minutes ?? null,
+        values.scoring_mode ?? "ioi",
+        values.freeze_minutes ?? null,
+        values.is_public ?? true,
+        req.user.id,
+      ]
+    );
+    await checkContestSchedule(client, rows[0].id);
+    await replaceContestProblems(client, req.user, rows[0].id, problems);
+    await client.query("COMMIT");
+    res.status(201).json({ contest: rows[0] });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    contestErrorResponse(res, error, "Failed to create contest.");
+  } finally {
+    client.release();
+  }
+});
+
+app.patch("/contests/:slug", requireSetter, async (req, res) => {
+  const body = req.body || {};
+  const fields = readFields(body, CONTEST_FIELDS);
+
+  if (
+    !fields ||
+    (fields.length === 0 && body.problems === undefined) ||
+    fields.some(
+      (field) =>
+        (field.column === "title" || field.column === "slug") &&
+        !field.value.trim()
+    )
+  ) {
+    res.status(400).json({ error: "Contest fields are invalid." });
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    const problems =
+      body.problems !== undefined ? readContestProblems(body.problems) : null;
+    await client.query("BEGIN");
+    const contest = await findContest(client, req.params.slug);
+    if (!contest) {
+      throw new RequestError(404, "Contest not found.");
+    }
+    if (!canManageContest(req.user, contest)) {
+      throw new RequestError(403, "You can only edit your own contests.");
+    }
+    if (fields.length > 0) {
+      await client.query(
+        `UPDATE contests
+         SET ${fields.map((field, index) => `${field.column} = $${index + 2}`).join(", ")},
+             updated_at = NOW()
+         WHERE id = $1`,
+        [
+          contest.id,
+          ...fields.map((field) =>
+            typeof field.value === "string" ? field.value.trim() : field.value
+          ),
+        ]
+      );
+      await checkContestSchedule(client, contest.id);
+    }
+    if (problems) {
+      await replaceContestProblems(client, req.user, contest.id, problems);
+    }
+    await client.query("COMMIT");
+    const updated = await findContest(pool, String(contest.id));
+    res.json({ contest: { id: updated.id, slug: updated.slug } });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    contestErrorResponse(res, error, "Failed to update contest.");
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/contests/:slug", requireSetter, async (req, res) => {
+  try {
+    const contest = await findContest(pool, req.params.slug);
+    if (!contest) {
+      res.status(404).json({ error: "Contest not found." });
+      return;
+    }
+    if (!canManageContest(req.user, contest)) {
+      res.status(403).json({ error: "You can only delete your own contests." });
+      return;
+    }
+    await pool.query("DELETE FROM contests WHERE id = $1", [contest.id]);
+    res.status(204).end();
+  } catch {
+    res.status(500).json({ error: "Failed to delete contest." });
+  }
+});
+
+app.get("/contests/:slug", async (req, res) => {
+  try {
+    const contest = await findContest(pool, req.params.slug);
+    const registration = contest
+      ? await findRegistration(pool, contest.id, req.user?.id)
+      : null;
+    const canManage = contest != null && canManageContest(req.user, contest);
+
+    if (!contest || (!contest.is_public && !canManage && !registration)) {
+      res.status(404).json({ error: "Contest not found." });
+      return;
+    }
+
+    const phase = contestPhase(contest);
+    const problemsVisible = phase !== "upcoming" || canManage;
+    const problemsResult = problemsVisible
+      ? await pool.query(
+          `SELECT cp.label, cp.problem_id, p.slug, p.title,
+                  COALESCE(cp.points, p.points) AS points
+           FROM contest_problems cp
+           JOIN problems p ON p.id = cp.problem_id
+           WHERE cp.contest_id = $1
+           ORDER BY cp.sort_order, cp.label`,
+          [contest.id]
+        )
+      : { rows: [] };
+
+    const window = registration
+      ? participationWindow(contest, registration)
+      : null;
+
+    res.json({
+      contest: {
+        id: contest.id,
+        slug: contest.slug,
+        title: contest.title,
+        description: contest.description,
+        start_time: contest.start_time,
+        end_time: contest.end_time,
+        duration_minutes: contest.duration_minutes,
+        scoring_mode: contest.scoring_mode,
+        freeze_minutes: contest.freeze_minutes,
+        is_public: contest.is_public,
+        phase,
+      },
+      problems: problemsResult.rows,
+      problemsVisible,
+      registration: registration
+        ? {
+            is_virtual: registration.is_virtual,
+            registered_at: registration.registered_at,
+            window_start: window.start,
+            window_end: window.end,
+            is_active: isWithinWindow(window),
+          }
+        : null,
+      canManage,
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to load contest." });
+  }
+});
+
+// Regular registration is open until the contest ends. Afterwards users can
+// register virtually, which starts their own timed run immediately.
+app.post("/contests/:slug/register", requireUser, async (req, res) => {
+  const isVirtual = Boolean(req.body?.virtual);
+  try {
+    const contest = await findContest(pool, req.params.slug);
+    if (
+      !contest ||
+      (!contest.is_public && !canManageContest(req.user, contest))
+    ) {
+      res.status(404).json({ error: "Contest not found." });
+      return;
+    }
+
+    const phase = contestPhase(contest);
+    if (isVirtual && phase !== "ended") {
+      res.status(400).json({
+        error: "Virtual participation opens after the contest ends.",
+      });
+      return;
+    }
+    if (!isVirtual && phase === "ended") {
+      res.status(400).json({
+        error: "The contest has ended; register for virtual participation.",
+      });
+      return;
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO contest_registrations
+        (contest_id, user_id, is_virtual, started_at)
+       VALUES ($1, $2, $3, CASE WHEN $3 THEN NOW() END)
+       ON CONFLICT (contest_id, user_id) DO NOTHING
+       RETURNING is_virtual, started_at, registered_at`,
+      [contest.id, req.user.id, isVirtual]
+    );
+
+    if (rows.length === 0) {
+      res.status(409).json({ error: "You are already registered." });
+      return;
+    }
+
+    res.status(201).json({ registration: rows[0] });
+  } catch {
+    res.status(500).json({ error: "Failed to register." });
+  }
+});
+
+// Contest managers always see the live scoreboard; everyone else sees it
+// frozen from freeze_minutes before the end until it is unfrozen.
+app.get("/contests/:slug/standings", async (req, res) => {
+  try {
+    const contest = await findContest(pool, req.params.slug);
+    const canManage = contest != null && canManageContest(req.user, contest);
+    if (
+      !contest ||
+      (!contest.is_public &&
+        !canManage &&
+        !(await findRegistration(pool, contest.id, req.user?.id)))
+    ) {
+      res.status(404).json({ error: "Contest not found." });
+      return;
+    }
+
+    const phase = contestPhase(contest);
+    const canUnfreeze =
+      canManage && phase === "ended" && freezeTime(contest) != null;
+    if (phase === "upcoming") {
+      res.json({
+        mode: contest.scoring_mode,
+        frozen: false,
+        freezeAt: null,
+        problems: [],
+        rows: [],
+        canUnfreeze,
+      });
+      return;
+    }
+
+    const standings = await loadStandings(pool, contest, {
+      revealFrozen: canManage,
+    });
+    res.json({ ...standings, canUnfreeze });
+  } catch {
+    res.status(500).json({ error: "Failed to load standings." });
+  }
+});
+
+// Resolves a frozen scoreboard once the contest is over, publishing the
+// results of the submissions made during the freeze.
+app.post("/contests/:slug/unfreeze", requireSetter, async (req, res) => {
+  try {
+    const contest = await findContest(pool, req.params.slug);
+    if (!contest) {
+      res.status(404).json({ error: "Contest not found." });
+      return;
+    }
+    if (!canManageContest(req.user, contest)) {
+      res
+        .status(403)
+        .json({ error: "You can only unfreeze your own contests." });
+      return;
+    }
+    if (contestPhase(contest) !== "ended") {
+      res
+        .status(409)
+        .json({ error: "The scoreboard can be unfrozen after the contest." });
+      return;
+    }
+    if (freezeTime(contest) == null) {
+      res.status(409).json({ error: "The scoreboard is not frozen." });
+      return;
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE contests
+       SET unfrozen_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING unfrozen_at`,
+      [contest.id]
+    );
+    res.json({ contest: { id: contest.id, unfrozen_at: rows[0].unfrozen_at } });
+  } catch {
+    res.status(500).json({ error: "Failed to unfreeze standings." });
+  }
+});
+
+app.get("/admin/users", requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, username, email, display_name, role, is_active, created_at,
+              last_login_at
+       FROM users
+       ORDER BY id`
+    );
+    res.json({ users: rows });
+  } catch {
+    res.status(500).json({ error: "Failed to load users." });
+  }
+});
+
+app.patch("/admin/users/:id", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { role, isActive } = req.body || {};
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    res.status(400).json({ error: `Role must be one of ${ROLES.join(", ")}.` });
+    return;
+  }
+
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    res.status(400).json({ error: "isActive must be a boolean." });
+    return;
+  }
+
+  if (String(req.user.id) === id) {
+    res.status(400).json({ error: "You cannot change your own account." });
+    return;
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE users
+       SET role = COALESCE($1, role),
+           is_active = COALESCE($2, is_active),
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING id, username, email, display_name, role, is_active`,
+      [role ?? null, isActive ?? null, id]
+    );
+
+    if (rows.length === 0) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+
+    if (isActive === false) {
+      await pool.query("DELETE FROM sessions WHERE user_id = $1", [id]);
+    }
+
+    res.json({ user: rows[0] });
+  } catch {
+    res.status(500).json({ error: "Failed to update user." });
+  }
+});
+
+app.post("/admin/submissions/:id/rejudge", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { rows } = await pool.query(
+      "SELECT id FROM submissions WHERE id = $1",
+      [id]
+    );
+    if (rows.length === 0) {
+      res.status(404).json({ error: "Submission not found." });
+      return;
+    }
+
+    const submissionIds = await requeueSubmissions([rows[0].id], req.user.id);
+    if (submissionIds.length === 0) {
+      res.status(409).json({ error: "Submission is still being judged." });
+      return;
+    }
+
+    res.status(202).json({ submissionIds });
+  } catch {
+    res.status(500).json({ error: "Failed to rejudge submission." });
+  }
+});
+
+// Rejudges every finished submission for a problem. `verdicts` narrows this
+// to submissions with one of the given verdicts.
+app.post("/admin/problems/:id/rejudge", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const isNumeric = /^\d+$/.test(id);
+  const { verdicts } = req.body || {};
+
+  if (
+    verdicts !== undefined &&
+    (!Array.isArray(verdicts) ||
+      verdicts.length === 0 ||
+      !verdicts.every((verdict) => typeof verdict === "string"))
+  ) {
+    res.status(400).json({ error: "verdicts must be a list of verdicts." });
+    return;
+  }
+
+  try {
+    const problemResult = await pool.query(
+      `SELECT id
+       FROM problems
+       WHERE ${isNumeric ? "id" : "slug"} = $1
+       LIMIT 1`,
+      [id]
+    );
+
+    if (problemResult.rows.length === 0) {
+      res.status(404).json({ error: "Problem not found." });
+      return;
+    }
+
+    const { rows } = await pool.query(
+      `SELECT s.id
+       FROM submissions s
+       WHERE s.problem_id = $1
+         AND ($2::text[] IS NULL OR s.verdict = ANY($2))
+       ORDER BY s.id`,
+      [problemResult.rows[0].id, verdicts ?? null]
+    );
+
+    const submissionIds = await requeueSubmissions(
+      rows.map((row) => row.id),
+      req.user.id
+    );
+
+    res.status(202).json({ submissionIds });
+  } catch {
+    res.status(500).json({ error: "Failed to rejudge submissions." });
+  }
+});
+
+app.get("/admin/submissions/:id/history", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { rows } = await pool.query(
+      `SELECT h.verdict, h.score, h.exec_time_ms, h.memory_kb,
+              h.problem_revision, h.judged_at, h.rejudged_at,
+              u.username AS rejudged_by
+       FROM submission_verdict_history h
+       LEFT JOIN users u ON u.id = h.rejudged_by
+       WHERE h.submission_id = $1
+       ORDER BY h.id DESC`,
+      [id]
+    );
+    res.json({ history: rows });
+  } catch {
+    res.status(500).json({ error: "Failed to load verdict history." });
+  }
+});
+
+const LANGUAGE_FIELDS = [
+  ["name", "name", "string"],
+  ["version", "version", "string"],
+  ["sourceExt", "source_ext", "string"],
+  ["compileCommand", "compile_command", "command"],
+  ["runCommand", "run_command", "command"],
+  ["isInterpreted", "is_interpreted", "boolean"],
+  ["defaultTimeLimitMs", "default_time_limit_ms", "integer"],
+  ["defaultMemoryLimitKb", "default_memory_limit_kb", "integer"],
+  ["limitAddressSpace", "limit_address_space", "boolean"],
+  ["timeMultiplier", "time_multiplier", "number"],
+  ["timeOffsetMs", "time_offset_ms", "integer"],
+  ["memoryOffsetKb", "memory_offset_kb", "integer"],
+  ["enabled", "enabled", "boolean"],
+  ["sortOrder", "sort_order", "integer"],
+];
+
+app.get("/admin/languages", requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, key, name, version, source_ext, compile_command, run_command,
+              is_interpreted, default_time_limit_ms, default_memory_limit_kb,
+              limit_address_space, time_multiplier, time_offset_ms,
+              memory_offset_kb, enabled, sort_order
+       FROM languages
+       ORDER BY sort_order, id`
+    );
+    res.json({ languages: rows });
+  } catch {
+    res.status(500).json({ error: "Failed to load languages." });
+  }
+});
+
+app.post("/admin/languages", requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const key = typeof body.key === "string" ? body.key.trim() : "";
+  const fields = readFields(body, LANGUAGE_FIELDS);
+
+  if (!key || !fields) {
+    res.status(400).json({ error: "Language fields are invalid." });
+    return;
+  }
+
+  const columns = new Set(fields.map((field) => field.column));
+  if (
+    !columns.has("name") ||
+    !columns.has("source_ext") ||
+    !columns.has("run_command") ||
+    fields.some((field) => field.column === "run_command" && !field.value)
+  ) {
+    res
+      .status(400)
+      .json({ error: "name, sourceExt and runCommand are required." });
+    return;
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO languages (key, ${fields.map((field) => field.column).join(", ")})
+       VALUES ($1, ${fields.map((_, index) => `$${index + 2}`).join(", ")})
+       ON CONFLICT (key) DO NOTHING
+       RETURNING id, key, name, enabled`,
+      [key, ...fields.map((field) => field.value)]
+    );
+
+    if (rows.length === 0) {
+      res.status(409).json({ error: "A language with that key exists." });
+      return;
+    }
+
+    res.status(201).json({ language: rows[0] });
+  } catch {
+    res.status(500).json({ error: "Failed to create language." });
+  }
+});
+
+app.patch("/admin/languages/:id", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const fields = readFields(req.body || {}, LANGUAGE_FIELDS);
+
+  if (
+    !fields ||
+    fields.length === 0 ||
+    fields.some((field) => field.column === "run_command" && !field.value)
+  ) {
+    res.status(400).json({ error: "Language fields are invalid." });
+    return;
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE languages
+       SET ${fields.map((field, index) => `${field.column} = $${index + 1}`).join(", ")},
+           updated_at = NOW()
+       WHERE id = $${fields.length + 1}
+       RETURNING id, key, name, enabled`,
+      [...fields.map((field) => field.value), id]
+    );
+
+    if (rows.length === 0) {
+      res.status(404).json({ error: "Language not found." });
+      return;
+    }
+
+    res.json({ language: rows[0] });
+  } catch {
+    res.status(500).json({ error: "Failed to update language." });
+  }
+});
+
+ensureBootstrapAdmin()
+  .catch((error) => {
+    console.error("Failed to create the bootstrap admin account", error);
+  })
+  .finally(() => {
+    app.listen(PORT, () => {
+      console.log(`OJ API listening on :${PORT}`);
+    });
+  });
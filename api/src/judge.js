@@ -2,10 +2,30 @@ import { spawn } from "child_process";
 import fs from "fs/promises";
 import os from "os";
 import path from "path";
+import { compareOutputs } from "./compare.js";
+import { compileCacheKey, withCompileCache } from "./compile-cache.js";
+import { buildSandboxCommand, reclaimWorkDir } from "./sandbox.js";
 
 const OUTPUT_LIMIT = 64 * 1024;
 const COMPILE_TIMEOUT_MS = 10000;
+const COMPILE_MEMORY_LIMIT_KB = 2 * 1024 * 1024;
 const TIME_COMMAND_PATH = "/usr/bin/time";
+// Peak RSS (KB), user CPU (s), system CPU (s), elapsed wall clock (s).
+const TIME_FORMAT = "%M %U %S %e";
+const WALL_TIME_FACTOR = 2;
+const WALL_TIME_EXTRA_MS = 1000;
+const CHECKER_MESSAGE_LIMIT = 1024;
+const TRANSCRIPT_LIMIT = 16 * 1024;
+const TESTLIB_VERDICTS = new Map([
+  [0, "Accepted"],
+  [1, "Wrong Answer"],
+  [2, "Presentation Error"],
+  [4, "Wrong Answer"],
+  [8, "Presentation Error"],
+]);
+const TESTLIB_FAIL_EXIT_CODE = 3;
+const TESTLIB_POINTS_EXIT_CODE = 7;
+const TESTLIB_PARTIAL_BASE_EXIT_CODE = 50;
 
 let timeCommandChecked = false;
 let cachedTimeCommand = null;
@@ -33,10 +53,6 @@ function fillPlaceholders(args, replacements) {
   );
 }
 
-function normalizeOutput(text) {
-  return text.replace(/\r\n/g, "\n").trimEnd();
-}
-
 function parseCheckerVerdict(text) {
   const trimmed = text.trim();
   if (!trimmed) {
@@ -79,6 +95,124 @@ function parseCheckerVerdict(text) {
   return null;
 }
 
+function parseTimeReport(content) {
+  // GNU time prefixes the report with "Command exited with non-zero status"
+  // or "Command terminated by signal" lines, so only the last line counts.
+  const lines = content.trim().split(/\r?\n/);
+  const fields = lines[lines.length - 1].trim().split(/\s+/);
+  if (fields.length < 4) {
+    return null;
+  }
+  const [memoryKb, userSeconds, systemSeconds, elapsedSeconds] = fields.map(
+    (value) => Number.parseFloat(value)
+  );
+  const values = [memoryKb, userSeconds, systemSeconds, elapsedSeconds];
+  if (!values.every(Number.isFinite)) {
+    return null;
+  }
+  return {
+    memoryKb: Math.round(memoryKb),
+    cpuTimeMs: Math.round((userSeconds + systemSeconds) * 1000),
+    wallTimeMs: Math.round(elapsedSeconds * 1000),
+  };
+}
+
+function truncateCheckerMessage(text) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return null;
+  }
+  return trimmed.length > CHECKER_MESSAGE_LIMIT
+    ? `${trimmed.slice(0, CHECKER_MESSAGE_LIMIT)}...`
+    : trimmed;
+}
+
+function scoreToVerdict(score) {
+  if (score >= 1) {
+    return "Accepted";
+  }
+  return score > 0 ? "Partially Correct" : "Wrong Answer";
+}
+
+// JSON checkers may answer with a bare verdict word or an object such as
+// {"status": "WA", "message": "..."} or {"score": 0.4, "message": "..."}.
+function parseCheckerResult(text) {
+  const trimmed = text.trim();
+  let payload = null;
+  if (trimmed.startsWith("{")) {
+    try {
+      payload = JSON.parse(trimmed);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!payload || typeof payload !== "object") {
+    const status = parseCheckerVerdict(trimmed);
+    return status ? { status } : null;
+  }
+
+  const rawScore = Number(payload.score);
+  const score =
+    payload.score != null && Number.isFinite(rawScore)
+      ? Math.min(Math.max(rawScore, 0), 1)
+      : null;
+  const message =
+    typeof payload.message === "string"
+      ? truncateCheckerMessage(payload.message)
+      : null;
+  const hasVerdict =
+    payload.status != null || payload.result != null || payload.verdict != null;
+  if (!hasVerdict) {
+    return score != null
+      ? { status: scoreToVerdict(score), score, message }
+      : null;
+  }
+
+  // An explicit rejection wins over any score the checker also reported.
+  const status = parseCheckerVerdict(trimmed);
+  if (!status) {
+    return null;
+  }
+  if (status !== "Accepted" || score == null) {
+    return { status, score: null, message };
+  }
+  return { status: scoreToVerdict(score), score, message };
+}
+
+// testlib reports through its exit code and writes a message to stderr.
+// Points (exit code 7, "points <value> ...") and partially-correct results
+// (50 + percent) are both mapped to a 0..1 fraction of the testcase.
+function parseTestlibVerdict(exitCode, message) {
+  const verdict = TESTLIB_VERDICTS.get(exitCode);
+  if (verdict) {
+    return { status: verdict, message };
+  }
+
+  if (exitCode === TESTLIB_FAIL_EXIT_CODE) {
+    return { error: message || "Checker failed.", message };
+  }
+
+  if (exitCode === TESTLIB_POINTS_EXIT_CODE) {
+    const match = (message ?? "").match(/^(?:points\s+)?(-?\d+(?:\.\d+)?)/i);
+    if (!match) {
+      return null;
+    }
+    const score = Math.min(Math.max(Number.parseFloat(match[1]), 0), 1);
+    return { status: scoreToVerdict(score), score, message };
+  }
+
+  if (exitCode >= TESTLIB_PARTIAL_BASE_EXIT_CODE) {
+    const score = Math.min(
+      Math.max((exitCode - TESTLIB_PARTIAL_BASE_EXIT_CODE) / 100, 0),
+      1
+    );
+    return { status: scoreToVerdict(score), score, message };
+  }
+
+  return null;
+}
+
 async function getTimeCommandPath() {
   if (timeCommandChecked) {
     return cachedTimeCommand;
@@ -96,6 +230,47 @@ async function getTimeCommandPath() {
   return cachedTimeCommand;
 }
 
+function parseCpuList(value) {
+  const cpus = [];
+  for (const part of value.split(",")) {
+    const [start, end = start] = part
+      .trim()
+      .split("-")
+      .map((item) => Number.parseInt(item, 10));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      continue;
+    }
+    for (let cpu = start; cpu <= end; cpu += 1) {
+      cpus.push(cpu);
+    }
+  }
+  return cpus;
+}
+
+// One entry per parallel testcase slot: the CPU the slot is pinned to, or
+// null when testcases run one at a time unpinned (the default). Slots are
+// pinned to JUDGE_TESTCASE_CPUS (e.g. "2-5") or else to all CPUs, so
+// parallel runs do not compete for the same core and skew CPU times. Each
+// worker slot (see JUDGE_CONCURRENCY) takes its own run of CPUs from that
+// list; workers sharing a host need disjoint JUDGE_TESTCASE_CPUS.
+function getTestcaseCpus(workerSlot = 0) {
+  const parsed = Number.parseInt(process.env.JUDGE_TESTCASE_PARALLELISM, 10);
+  const parallelism = Number.isFinite(parsed) && parsed > 1 ? parsed : 1;
+  if (parallelism === 1 || process.platform !== "linux") {
+    return [null];
+  }
+  const configured = parseCpuList(process.env.JUDGE_TESTCASE_CPUS ?? "");
+  const cpus =
+    configured.length > 0
+      ? configured
+      : Array.from({ length: os.availableParallelism() }, (_, cpu) => cpu);
+  // With fewer CPUs than slots need, slots wrap around and share cores.
+  return Array.from(
+    { length: Math.min(parallelism, cpus.length) },
+    (_, index) => cpus[(workerSlot * parallelism + index) % cpus.length]
+  );
+}
+
 function normalizeTestcaseText(text) {
   if (text == null) {
     return "";
@@ -114,16 +289,28 @@ function normalizeTestcaseText(text) {
     .replace(/\\t/g, "\t");
 }
 
-function runProcess(command, args, input, timeoutMs, cwd) {
+function killProcessTree(child) {
+  try {
+    process.kill(-child.pid, "SIGKILL");
+  } catch {
+    child.kill("SIGKILL");
+  }
+}
+
+function runProcess(command, args, input, timeoutMs, cwd, env) {
   return new Promise((resolve, reject) => {
-    const child = spawn(command, args, { cwd });
+    const child = spawn(command, args, {
+      cwd,
+      env: env ?? process.env,
+      detached: process.platform !== "win32",
+    });
     let stdout = "";
     let stderr = "";
     let timedOut = false;
 
     const timer = setTimeout(() => {
       timedOut = true;
-      child.kill("SIGKILL");
+      killProcessTree(child);
     }, timeoutMs);
 
     child.stdout.on("data", (chunk) => {
@@ -174,13 +361,39 @@ async function compileIfNeeded(language, sourcePath, exePath, workDir) {
   });
   const [command, ...args] = compileArgs;
 
-  const result = await runProcess(
-    command,
-    args,
-    null,
-    COMPILE_TIMEOUT_MS,
-    workDir
-  );
+  // The compiler reads untrusted source (and whatever it #includes), so it
+  // gets the same isolation and scrubbed environment as the program itself.
+  let sandboxed;
+  try {
+    sandboxed = await buildSandboxCommand({
+      command,
+      args,
+      workDir,
+      memoryLimitKb: COMPILE_MEMORY_LIMIT_KB,
+      cpuLimitMs: COMPILE_TIMEOUT_MS,
+      limitAddressSpace: language.limit_address_space !== false,
+      writableWorkDir: true,
+    });
+  } catch (error) {
+    return {
+      ok: false,
+      output: error instanceof Error ? error.message : "Sandbox unavailable.",
+    };
+  }
+
+  let result;
+  try {
+    result = await runProcess(
+      sandboxed.command,
+      sandboxed.args,
+      null,
+      COMPILE_TIMEOUT_MS,
+      workDir,
+      sandboxed.env
+    );
+  } finally {
+    await reclaimWorkDir(workDir);
+  }
 
   if (result.timedOut || result.exitCode !== 0) {
     return {
@@ -192,33 +405,76 @@ async function compileIfNeeded(language, sourcePath, exePath, workDir) {
   return { ok: true, output: `${result.stdout}${result.stderr}`.trim() || null };
 }
 
-async function executeProgram({
+// Writes the source into `workDir` and compiles it, reusing an earlier build
+// of identical source for the same language when one is cached.
+async function compileSource(
+  language,
+  sourceCode,
+  sourcePath,
+  exePath,
+  workDir
+) {
+  await fs.writeFile(sourcePath, sourceCode, "utf8");
+  if (!normalizeCommand(language.compile_command)) {
+    return { ok: true, output: null };
+  }
+
+  const key = compileCacheKey([
+    language.key,
+    JSON.stringify(language.compile_command),
+    path.basename(sourcePath),
+    path.basename(exePath),
+    sourceCode,
+  ]);
+  return withCompileCache(key, workDir, () =>
+    compileIfNeeded(language, sourcePath, exePath, workDir)
+  );
+}
+
+async function prepareProgram({
   language,
   sourcePath,
   exePath,
   workDir,
-  input,
+  extraArgs = [],
   timeoutMs,
   memoryLimitKb,
+  cpu = null,
 }) {
   const runTemplate = normalizeCommand(language.run_command);
   if (!runTemplate) {
+    return { error: "Run command not configured." };
+  }
+
+  const runArgs = [
+    ...fillPlaceholders(runTemplate, {
+      src: sourcePath,
+      exe: exePath,
+      workdir: workDir,
+    }),
+    ...extraArgs,
+  ];
+  let sandboxed;
+  try {
+    sandboxed = await buildSandboxCommand({
+      command: runArgs[0],
+      args: runArgs.slice(1),
+      workDir,
+      memoryLimitKb,
+      cpuLimitMs: timeoutMs,
+      limitAddressSpace: language.limit_address_space !== false,
+    });
+  } catch (error) {
     return {
-      status: "System Error",
-      execTimeMs: null,
-      output: null,
-      error: "Run command not configured.",
-      memoryKb: null,
+      error: error instanceof Error ? error.message : "Sandbox unavailable.",
     };
   }
-
-  const runArgs = fillPlaceholders(runTemplate, {
-    src: sourcePath,
-    exe: exePath,
-    workdir: workDir,
-  });
-  let command = runArgs[0];
-  let args = runArgs.slice(1);
+  let command = sandboxed.command;
+  let args = sandboxed.args;
+  if (cpu != null) {
+    args = ["--cpu-list", String(cpu), command, ...args];
+    command = "taskset";
+  }
   const timeCommand = await getTimeCommandPath();
   let timeFile = null;
 
@@ -227,74 +483,507 @@ async function executeProgram({
       workDir,
       `time-${Date.now()}-${Math.random().toString(36).slice(2)}.txt`
     );
-    args = ["-o", timeFile, "-f", "%M", command, ...args];
+    args = ["-o", timeFile, "-f", TIME_FORMAT, command, ...args];
     command = timeCommand;
   }
 
-  const start = Date.now();
-  const result = await runProcess(
+  // Without a CPU-time report the wall clock is all we can judge on, so the
+  // limit is applied to it directly.
+  const wallLimitMs = timeCommand
+    ? timeoutMs * WALL_TIME_FACTOR + WALL_TIME_EXTRA_MS
+    : timeoutMs;
+
+  return {
     command,
     args,
-    input,
+    env: sandboxed.env,
+    cwd: workDir,
+    timeFile,
+    wallLimitMs,
     timeoutMs,
-    workDir
-  );
-  const execTimeMs = Date.now() - start;
+    memoryLimitKb,
+  };
+}
+
+async function readMeasurements(prepared, elapsedMs) {
+  let wallTimeMs = elapsedMs;
+  let cpuTimeMs = null;
   let memoryKb = null;
 
-  if (timeFile) {
+  if (prepared.timeFile) {
     try {
-      const content = await fs.readFile(timeFile, "utf8");
-      const parsed = Number.parseInt(content.trim(), 10);
-      if (Number.isFinite(parsed)) {
-        memoryKb = parsed;
+      const report = parseTimeReport(
+        await fs.readFile(prepared.timeFile, "utf8")
+      );
+      if (report) {
+        memoryKb = report.memoryKb;
+        cpuTimeMs = report.cpuTimeMs;
+        wallTimeMs = report.wallTimeMs;
       }
     } catch {
       memoryKb = null;
     } finally {
-      await fs.rm(timeFile, { force: true });
+      await fs.rm(prepared.timeFile, { force: true });
     }
   }
 
-  if (result.timedOut) {
+  return {
+    execTimeMs: cpuTimeMs ?? wallTimeMs,
+    cpuTimeMs,
+    wallTimeMs,
+    memoryKb,
+  };
+}
+
+function classifyExecution(prepared, result, measurements) {
+  const { timeoutMs, memoryLimitKb } = prepared;
+  const { cpuTimeMs, memoryKb } = measurements;
+
+  if (result.timedOut || (cpuTimeMs != null && cpuTimeMs > timeoutMs)) {
     return {
       status: "Time Limit Exceeded",
-      execTimeMs,
-      memoryKb,
+      ...measurements,
       output: result.stdout.trim(),
       error: result.stderr.trim() || null,
     };
   }
 
-  if (result.exitCode !== 0) {
+  if (memoryLimitKb != null && memoryKb != null && memoryKb > memoryLimitKb) {
     return {
-      status: "Runtime Error",
-      execTimeMs,
-      memoryKb,
-      output: result.stdout.trim(),
+      status: "Memory Limit Exceeded",
+      ...measurements,
+      output: result.stdout.trim() || null,
       error: result.stderr.trim() || null,
     };
   }
 
-  if (memoryLimitKb != null && memoryKb != null && memoryKb > memoryLimitKb) {
+  if (result.exitCode !== 0) {
     return {
-      status: "Memory Limit Exceeded",
-      execTimeMs,
-      memoryKb,
-      output: result.stdout.trim() || null,
+      status: "Runtime Error",
+      ...measurements,
+      exitCode: result.exitCode,
+      output: result.stdout.trim(),
       error: result.stderr.trim() || null,
     };
   }
 
   return {
     status: "OK",
-    execTimeMs,
-    memoryKb,
+    ...measurements,
+    exitCode: result.exitCode,
     output: result.stdout.trim() || null,
     error: result.stderr.trim() || null,
   };
 }
 
+async function executeProgram({ input, ...options }) {
+  const prepared = await prepareProgram(options);
+  if (prepared.error) {
+    return {
+      status: "System Error",
+      execTimeMs: null,
+      output: null,
+      error: prepared.error,
+      memoryKb: null,
+    };
+  }
+
+  const start = Date.now();
+  const result = await runProcess(
+    prepared.command,
+    prepared.args,
+    input,
+    prepared.wallLimitMs,
+    prepared.cwd,
+    prepared.env
+  );
+  const measurements = await readMeasurements(prepared, Date.now() - start);
+  return classifyExecution(prepared, result, measurements);
+}
+
+// Records both directions of an interactive exchange line by line: "> " is
+// what the solution wrote, "< " is what the interactor answered.
+function createTranscript(limit) {
+  let text = "";
+  let truncated = false;
+  const pending = new Map([
+    [">", ""],
+    ["<", ""],
+  ]);
+
+  const push = (line) => {
+    if (truncated) {
+      return;
+    }
+    if (text.length + line.length + 1 > limit) {
+      truncated = true;
+      return;
+    }
+    text += `${line}\n`;
+  };
+
+  return {
+    append(marker, chunk) {
+      if (truncated) {
+        return;
+      }
+      const lines = `${pending.get(marker)}${chunk.toString("utf8")}`.split(
+        "\n"
+      );
+      pending.set(marker, lines.pop().slice(0, limit));
+      for (const line of lines) {
+        push(`${marker} ${line}`);
+      }
+    },
+    finish() {
+      for (const [marker, rest] of pending) {
+        if (rest) {
+          push(`${marker} ${rest}`);
+        }
+      }
+      if (truncated) {
+        return `${text}...`;
+      }
+      return text.trimEnd() || null;
+    },
+  };
+}
+
+function spawnPrepared(prepared) {
+  const child = spawn(prepared.command, prepared.args, {
+    cwd: prepared.cwd,
+    env: prepared.env ?? process.env,
+    detached: process.platform !== "win32",
+  });
+  const state = {
+    child,
+    exitCode: null,
+    signal: null,
+    stdout: "",
+    stderr: "",
+    timedOut: false,
+    startedAt: Date.now(),
+    elapsedMs: 0,
+  };
+
+  child.stderr.on("data", (chunk) => {
+    if (state.stderr.length < OUTPUT_LIMIT) {
+      state.stderr += chunk.toString("utf8");
+    }
+  });
+  // Either side may exit while the other is still writing to it.
+  child.stdin.on("error", () => {});
+
+  return state;
+}
+
+function runInteraction(solution, interactor) {
+  return new Promise((resolve, reject) => {
+    const transcript = createTranscript(TRANSCRIPT_LIMIT);
+    const states = [spawnPrepared(solution), spawnPrepared(interactor)];
+    const [solutionState, interactorState] = states;
+    let remaining = states.length;
+    let failed = false;
+
+    solutionState.child.stdout.pipe(interactorState.child.stdin);
+    interactorState.child.stdout.pipe(solutionState.child.stdin);
+    solutionState.child.stdout.on("data", (chunk) =>
+      transcript.append(">", chunk)
+    );
+    interactorState.child.stdout.on("data", (chunk) =>
+      transcript.append("<", chunk)
+    );
+
+    states.forEach((state, index) => {
+      const prepared = index === 0 ? solution : interactor;
+      const timer = setTimeout(() => {
+        state.timedOut = true;
+        killProcessTree(state.child);
+      }, prepared.wallLimitMs);
+
+      state.child.on("error", (error) => {
+        clearTimeout(timer);
+        if (!failed) {
+          failed = true;
+          states.forEach((other) => killProcessTree(other.child));
+          reject(error);
+        }
+      });
+
+      state.child.on("close", (code, signal) => {
+        clearTimeout(timer);
+        state.exitCode = code;
+        state.signal = signal;
+        state.elapsedMs = Date.now() - state.startedAt;
+        remaining -= 1;
+        if (remaining === 0 && !failed) {
+          resolve({
+            solution: solutionState,
+            interactor: interactorState,
+            transcript: transcript.finish(),
+          });
+        }
+      });
+    });
+  });
+}
+
+async function runJsonChecker(
+  checkerContext,
+  { testcase, input, output, timeoutMs, memoryLimitKb, cpu }
+) {
+  const checkerPayload = JSON.stringify({
+    input,
+    expectedOutput: normalizeTestcaseText(testcase.expected_output),
+    output,
+  });
+  const checkerResult = await executeProgram({
+    language: checkerContext.language,
+    sourcePath: checkerContext.sourcePath,
+    exePath: checkerContext.exePath,
+    workDir: checkerContext.workDir,
+    input: checkerPayload,
+    timeoutMs,
+    memoryLimitKb,
+    cpu,
+  });
+
+  if (checkerResult.status !== "OK") {
+    return {
+      error: checkerResult.error || checkerResult.output || "Checker failed.",
+    };
+  }
+
+  const checkerVerdict = parseCheckerResult(checkerResult.output ?? "");
+  if (!checkerVerdict) {
+    return {
+      error:
+        checkerResult.output || "Checker returned an unrecognized verdict.",
+    };
+  }
+
+  return checkerVerdict;
+}
+
+async function runTestlibChecker(
+  checkerContext,
+  { testcase, input, output, timeoutMs, memoryLimitKb, cpu }
+) {
+  const filesDir = await fs.mkdtemp(
+    path.join(checkerContext.workDir, "files-")
+  );
+  // The checker may run as an unprivileged sandbox user.
+  await fs.chmod(filesDir, 0o755);
+  const inputPath = path.join(filesDir, "input.txt");
+  const outputPath = path.join(filesDir, "output.txt");
+  const answerPath = path.join(filesDir, "answer.txt");
+
+  try {
+    await Promise.all([
+      fs.writeFile(inputPath, input, "utf8"),
+      fs.writeFile(outputPath, output, "utf8"),
+      fs.writeFile(
+        answerPath,
+        normalizeTestcaseText(testcase.expected_output),
+        "utf8"
+      ),
+    ]);
+
+    const checkerResult = await executeProgram({
+      language: checkerContext.language,
+      sourcePath: checkerContext.sourcePath,
+      exePath: checkerContext.exePath,
+      workDir: checkerContext.workDir,
+      extraArgs: [inputPath, outputPath, answerPath],
+      input: null,
+      timeoutMs,
+      memoryLimitKb,
+      cpu,
+    });
+
+    if (
+      checkerResult.status !== "OK" &&
+      checkerResult.status !== "Runtime Error"
+    ) {
+      return {
+        error: checkerResult.error || `Checker ${checkerResult.status}.`,
+      };
+    }
+
+    const message = truncateCheckerMessage(
+      checkerResult.error || checkerResult.output || ""
+    );
+    const verdict = parseTestlibVerdict(checkerResult.exitCode, message);
+    if (!verdict) {
+      return {
+        error: `Checker exited with unexpected code ${checkerResult.exitCode}.`,
+        message,
+      };
+    }
+    return verdict;
+  } finally {
+    await fs.rm(filesDir, { recursive: true, force: true });
+  }
+}
+
+function runChecker(checkerContext, options) {
+  if (checkerContext.protocol === "testlib") {
+    return runTestlibChecker(checkerContext, options);
+  }
+  return runJsonChecker(checkerContext, options);
+}
+
+// The interactor follows testlib's convention: it is started as
+// `interactor <input> <output> <answer>`, talks to the solution over
+// stdin/stdout and reports the verdict through its exit code.
+async function runInteractiveTestcase(
+  language,
+  sourcePath,
+  exePath,
+  workDir,
+  testcase,
+  timeoutMs,
+  memoryLimitKb,
+  interactorContext,
+  cpu
+) {
+  const filesDir = await fs.mkdtemp(
+    path.join(interactorContext.workDir, "files-")
+  );
+  // The interactor may run as an unprivileged sandbox user.
+  await fs.chmod(filesDir, 0o755);
+  const inputPath = path.join(filesDir, "input.txt");
+  const answerPath = path.join(filesDir, "answer.txt");
+
+  const systemError = (error, extra = {}) => ({
+    status: "System Error",
+    execTimeMs: null,
+    cpuTimeMs: null,
+    wallTimeMs: null,
+    memoryKb: null,
+    output: null,
+    error,
+    ...extra,
+  });
+
+  try {
+    await Promise.all([
+      fs.writeFile(inputPath, normalizeTestcaseText(testcase.input), "utf8"),
+      fs.writeFile(
+        answerPath,
+        normalizeTestcaseText(testcase.expected_output),
+        "utf8"
+      ),
+    ]);
+
+    const solution = await prepareProgram({
+      language,
+      sourcePath,
+      exePath,
+      workDir,
+      timeoutMs,
+      memoryLimitKb,
+      cpu,
+    });
+    if (solution.error) {
+      return systemError(solution.error);
+    }
+
+    // The interactor mostly sits blocked on the solution, so it gets the
+    // solution's whole wall-clock budget as CPU time.
+    const interactor = await prepareProgram({
+      language: interactorContext.language,
+      sourcePath: interactorContext.sourcePath,
+      exePath: interactorContext.exePath,
+      workDir: interactorContext.workDir,
+      // Nothing reads the interactor's own output file, and the sandboxed
+      // work directory is read-only anyway.
+      extraArgs: [inputPath, os.devNull, answerPath],
+      timeoutMs: solution.wallLimitMs,
+      memoryLimitKb,
+      cpu,
+    });
+    if (interactor.error) {
+      return systemError(interactor.error);
+    }
+
+    const interaction = await runInteraction(solution, interactor);
+    const solutionResult = classifyExecution(
+      solution,
+      interaction.solution,
+      await readMeasurements(solution, interaction.solution.elapsedMs)
+    );
+    const interactorResult = classifyExecution(
+      interactor,
+      interaction.interactor,
+      await readMeasurements(interactor, interaction.interactor.elapsedMs)
+    );
+
+    const measurements = {
+      execTimeMs: solutionResult.execTimeMs,
+      cpuTimeMs: solutionResult.cpuTimeMs,
+      wallTimeMs: solutionResult.wallTimeMs,
+      memoryKb: solutionResult.memoryKb,
+    };
+    const base = {
+      ...measurements,
+      output: null,
+      error: solutionResult.error,
+      transcript: interaction.transcript,
+    };
+
+    if (
+      solutionResult.status === "Time Limit Exceeded" ||
+      solutionResult.status === "Memory Limit Exceeded"
+    ) {
+      return { status: solutionResult.status, ...base };
+    }
+
+    if (
+      interactorResult.status !== "OK" &&
+      interactorResult.status !== "Runtime Error"
+    ) {
+      return systemError(
+        interactorResult.error || `Interactor ${interactorResult.status}.`,
+        { ...measurements, transcript: interaction.transcript }
+      );
+    }
+
+    const message = truncateCheckerMessage(interactorResult.error || "");
+    const verdict = parseTestlibVerdict(interactorResult.exitCode, message);
+    if (!verdict || verdict.error) {
+      return systemError(
+        verdict?.error ??
+          `Interactor exited with unexpected code ${interactorResult.exitCode}.`,
+        {
+          ...measurements,
+          checkerMessage: message,
+          transcript: interaction.transcript,
+        }
+      );
+    }
+
+    // A rejected exchange explains a solution that then died on a closed
+    // pipe; a crash after an accepted exchange is still the solution's fault.
+    if (
+      solutionResult.status === "Runtime Error" &&
+      verdict.status !== "Wrong Answer" &&
+      verdict.status !== "Presentation Error"
+    ) {
+      return { status: "Runtime Error", ...base, checkerMessage: message };
+    }
+
+    return {
+      status: verdict.status,
+      score: verdict.score ?? null,
+      ...base,
+      checkerMessage: message,
+    };
+  } finally {
+    await fs.rm(filesDir, { recursive: true, force: true });
+  }
+}
+
 async function runTestcase(
   language,
   sourcePath,
@@ -304,8 +993,24 @@ async function runTestcase(
   timeoutMs,
   memoryLimitKb,
   checkerContext,
-  judgeType
+  judgeType,
+  comparison,
+  cpu
 ) {
+  if (judgeType === "interactive" && checkerContext) {
+    return runInteractiveTestcase(
+      language,
+      sourcePath,
+      exePath,
+      workDir,
+      testcase,
+      timeoutMs,
+      memoryLimitKb,
+      checkerContext,
+      cpu
+    );
+  }
+
   const input = normalizeTestcaseText(testcase.input);
   const execResult = await executeProgram({
     language,
@@ -315,6 +1020,7 @@ async function runTestcase(
     input,
     timeoutMs,
     memoryLimitKb,
+    cpu,
   });
 
   if (execResult.status !== "OK") {
@@ -322,68 +1028,144 @@ async function runTestcase(
   }
 
   if (judgeType === "custom" && checkerContext) {
-    const checkerPayload = JSON.stringify({
+    const checkerResult = await runChecker(checkerContext, {
+      testcase,
       input,
-      expectedOutput: normalizeTestcaseText(testcase.expected_output),
       output: execResult.output ?? "",
-    });
-    const checkerResult = await executeProgram({
-      language: checkerContext.language,
-      sourcePath: checkerContext.sourcePath,
-      exePath: checkerContext.exePath,
-      workDir: checkerContext.workDir,
-      input: checkerPayload,
       timeoutMs: Math.min(timeoutMs, 2000),
       memoryLimitKb,
+      cpu,
     });
 
-    if (checkerResult.status !== "OK") {
+    if (checkerResult.error) {
       return {
         status: "System Error",
         execTimeMs: execResult.execTimeMs,
+        cpuTimeMs: execResult.cpuTimeMs,
+        wallTimeMs: execResult.wallTimeMs,
         memoryKb: execResult.memoryKb,
         output: execResult.output,
-        error: checkerResult.error || checkerResult.output || "Checker failed.",
-      };
-    }
-
-    const checkerVerdict = parseCheckerVerdict(checkerResult.output ?? "");
-    if (!checkerVerdict) {
-      return {
-        status: "System Error",
-        execTimeMs: execResult.execTimeMs,
-        memoryKb: execResult.memoryKb,
-        output: execResult.output,
-        error:
-          checkerResult.output ||
-          "Checker returned an unrecognized verdict.",
+        error: checkerResult.error,
+        checkerMessage: checkerResult.message ?? null,
       };
     }
 
     return {
-      status: checkerVerdict,
+      status: checkerResult.status,
+      score: checkerResult.score ?? null,
       execTimeMs: execResult.execTimeMs,
+      cpuTimeMs: execResult.cpuTimeMs,
+      wallTimeMs: execResult.wallTimeMs,
       memoryKb: execResult.memoryKb,
       output: execResult.output,
       error: execResult.error,
+      checkerMessage: checkerResult.message ?? null,
     };
   }
 
-  const expected = normalizeOutput(
-    normalizeTestcaseText(testcase.expected_output)
+  const isMatch = compareOutputs(
+    comparison?.mode,
+    normalizeTestcaseText(testcase.expected_output),
+    execResult.output ?? "",
+    comparison?.epsilon
   );
-  const actual = normalizeOutput(execResult.output ?? "");
-  const status = actual === expected ? "Accepted" : "Wrong Answer";
+  const status = isMatch ? "Accepted" : "Wrong Answer";
 
   return {
     status,
     execTimeMs: execResult.execTimeMs,
+    cpuTimeMs: execResult.cpuTimeMs,
+    wallTimeMs: execResult.wallTimeMs,
     memoryKb: execResult.memoryKb,
     output: execResult.output,
     error: execResult.error,
   };
 }
 
+function resultFraction(result) {
+  if (result.score != null) {
+    return result.score;
+  }
+  return result.status === "Accepted" ? 1 : 0;
+}
+
+const SKIPPED_STATUS = "Skipped";
+
+// Testcases share a failure scope with the rest of their group, or with all
+// ungrouped testcases. Groups without their own setting follow the problem.
+function getFailureScope(problem, testcase) {
+  if (testcase.group_id != null) {
+    return {
+      key: `group:${testcase.group_id}`,
+      stopOnFailure:
+        testcase.group_stop_on_failure ?? Boolean(problem.stop_on_failure),
+    };
+  }
+  return { key: "ungrouped", stopOnFailure: Boolean(problem.stop_on_failure) };
+}
+
+function skippedResult() {
+  return {
+    status: SKIPPED_STATUS,
+    execTimeMs: null,
+    cpuTimeMs: null,
+    wallTimeMs: null,
+    memoryKb: null,
+    output: null,
+    error: null,
+  };
+}
+
+function createScoreStats() {
+  return { total: 0, judged: 0, minFraction: 1, sumFraction: 0 };
+}
+
+function addResultToScoreStats(stats, result) {
+  const fraction = resultFraction(result);
+  stats.judged += 1;
+  stats.minFraction = Math.min(stats.minFraction, fraction);
+  stats.sumFraction += fraction;
+}
+
+// "min" awards the group's points scaled by its weakest testcase (all or
+// nothing for plain verdicts); "sum" scales by the average over all tests.
+function scoreStatsFraction(stats, policy) {
+  if (stats.total === 0) {
+    return policy === "sum" ? 0 : 1;
+  }
+  if (policy === "sum") {
+    return stats.sumFraction / stats.total;
+  }
+  return stats.judged === stats.total ? stats.minFraction : 0;
+}
+
+/**
+ * Custom and interactive problems both run an author-supplied program (the
+ * checker or the interactor) stored in the problem's checker columns.
+ */
+export function usesJudgeProgram(judgeType) {
+  return judgeType === "custom" || judgeType === "interactive";
+}
+
+/**
+ * Applies the language's time multiplier/offset and memory allowance (already
+ * merged with any per-problem override by the caller) to the problem limits.
+ */
+export function resolveLimits(problem, language) {
+  const baseTimeMs =
+    problem.time_limit_ms || language.default_time_limit_ms || 2000;
+  const baseMemoryKb =
+    problem.memory_limit_kb ?? language.default_memory_limit_kb ?? null;
+  const multiplier = Number(language.time_multiplier) || 1;
+  const timeOffsetMs = Number(language.time_offset_ms) || 0;
+  const memoryOffsetKb = Number(language.memory_offset_kb) || 0;
+
+  return {
+    timeLimitMs: Math.round(baseTimeMs * multiplier + timeOffsetMs),
+    memoryLimitKb: baseMemoryKb == null ? null : baseMemoryKb + memoryOffsetKb,
+  };
+}
+
 export async function judgeSubmission({
   language,
   problem,
@@ -391,6 +1173,7 @@ export async function judgeSubmission({
   sourceCode,
   checker,
   onResult,
+  workerSlot = 0,
 }) {
   const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "oj-"));
   let checkerWorkDir = null;
@@ -399,10 +1182,9 @@ export async function judgeSubmission({
   const exePath = path.join(workDir, "main");
 
   try {
-    await fs.writeFile(sourcePath, sourceCode, "utf8");
-
-    const compileResult = await compileIfNeeded(
+    const compileResult = await compileSource(
       language,
+      sourceCode,
       sourcePath,
       exePath,
       workDir
@@ -418,11 +1200,13 @@ export async function judgeSubmission({
       };
     }
 
-    if (problem.judge_type === "custom") {
+    if (usesJudgeProgram(problem.judge_type)) {
+      const programLabel =
+        problem.judge_type === "interactive" ? "interactor" : "checker";
       if (!checker || !checker.language || !checker.sourceCode) {
         return {
           verdict: "System Error",
-          compileOutput: "Checker is not configured for this problem.",
+          compileOutput: `The ${programLabel} is not configured for this problem.`,
           results: [],
           maxTimeMs: null,
           maxMemoryKb: null,
@@ -435,10 +1219,9 @@ export async function judgeSubmission({
         `Checker.${checker.language.source_ext}`
       );
       const checkerExePath = path.join(checkerWorkDir, "checker");
-      await fs.writeFile(checkerSourcePath, checker.sourceCode, "utf8");
-
-      const checkerCompile = await compileIfNeeded(
+      const checkerCompile = await compileSource(
         checker.language,
+        checker.sourceCode,
         checkerSourcePath,
         checkerExePath,
         checkerWorkDir
@@ -447,7 +1230,8 @@ export async function judgeSubmission({
       if (!checkerCompile.ok) {
         return {
           verdict: "System Error",
-          compileOutput: checkerCompile.output || "Failed to compile checker.",
+          compileOutput:
+            checkerCompile.output || `Failed to compile ${programLabel}.`,
           results: [],
           maxTimeMs: null,
           maxMemoryKb: null,
@@ -459,44 +1243,120 @@ export async function judgeSubmission({
         sourcePath: checkerSourcePath,
         exePath: checkerExePath,
         workDir: checkerWorkDir,
+        protocol: problem.checker_protocol ?? "json",
       };
     }
 
-    const timeoutMs =
-      problem.time_limit_ms || language.default_time_limit_ms || 2000;
-    const memoryLimitKb =
-      problem.memory_limit_kb ?? language.default_memory_limit_kb ?? null;
+    const { timeLimitMs: timeoutMs, memoryLimitKb } = resolveLimits(
+      problem,
+      language
+    );
     const judgeType = problem.judge_type ?? "default";
+    const comparison = {
+      mode: problem.compare_mode ?? "exact",
+      epsilon: problem.compare_epsilon,
+    };
 
-    const results = [];
-    for (const testcase of testcases) {
-      const result = await runTestcase(
-        language,
-        sourcePath,
-        exePath,
-        workDir,
-        testcase,
-        timeoutMs,
-        memoryLimitKb,
-        checkerContext,
-        judgeType
-      );
-      const enriched = {
-        testcaseId: testcase.id,
-        name: testcase.name,
-        ...result,
-      };
-      results.push(enriched);
-      if (onResult) {
-        await onResult(enriched);
+    // Results are produced out of order when testcases run in parallel but
+    // are handed to onResult strictly in testcase order. Skips follow that
+    // order too: a testcase is skipped when an earlier one in its scope
+    // failed, even if a parallel slot already ran it.
+    const results = new Array(testcases.length);
+    let nextIndex = 0;
+    let emittedCount = 0;
+    let emitting = Promise.resolve();
+    let aborted = false;
+    // Lowest failing testcase index per scope, known so far.
+    const firstFailures = new Map();
+    const emittedFailures = new Set();
+
+    const emitReady = async () => {
+      while (emittedCount < testcases.length && results[emittedCount]) {
+        const testcase = testcases[emittedCount];
+        const scope = getFailureScope(problem, testcase);
+        if (
+          scope.stopOnFailure &&
+          emittedFailures.has(scope.key) &&
+          results[emittedCount].status !== SKIPPED_STATUS
+        ) {
+          results[emittedCount] = {
+            testcaseId: testcase.id,
+            name: testcase.name,
+            ...skippedResult(),
+          };
+        }
+        const result = results[emittedCount];
+        if (resultFraction(result) === 0) {
+          emittedFailures.add(scope.key);
+        }
+        emittedCount += 1;
+        if (onResult) {
+          await onResult(result);
+        }
       }
+    };
+
+    const runSlot = async (cpu) => {
+      while (!aborted && nextIndex < testcases.length) {
+        const index = nextIndex;
+        nextIndex += 1;
+        const testcase = testcases[index];
+        const scope = getFailureScope(problem, testcase);
+        try {
+          const result =
+            scope.stopOnFailure && firstFailures.get(scope.key) < index
+              ? skippedResult()
+              : await runTestcase(
+                  language,
+                  sourcePath,
+                  exePath,
+                  workDir,
+                  testcase,
+                  timeoutMs,
+                  memoryLimitKb,
+                  checkerContext,
+                  judgeType,
+                  comparison,
+                  cpu
+                );
+          if (
+            resultFraction(result) === 0 &&
+            !(firstFailures.get(scope.key) < index)
+          ) {
+            firstFailures.set(scope.key, index);
+          }
+          results[index] = {
+            testcaseId: testcase.id,
+            name: testcase.name,
+            ...result,
+          };
+          emitting = emitting.then(emitReady);
+          await emitting;
+        } catch (error) {
+          aborted = true;
+          throw error;
+        }
+      }
+    };
+
+    const slots = await Promise.allSettled(
+      getTestcaseCpus(workerSlot).map(runSlot)
+    );
+    const failedSlot = slots.find((slot) => slot.status === "rejected");
+    if (failedSlot) {
+      throw failedSlot.reason;
     }
 
     const verdict =
-      results.find((item) => item.status !== "Accepted")?.status ??
-      "Accepted";
+      results.find(
+        (item) => item.status !== "Accepted" && item.status !== SKIPPED_STATUS
+      )?.status ?? "Accepted";
 
     let score = 0;
+    // Points earned per testcase group, kept so that contests can combine the
+    // best group results across several submissions.
+    let groupScores = null;
+    const scorePolicy = problem.score_policy === "sum" ? "sum" : "min";
     const testcaseById = new Map(testcases.map((item) => [item.id, item]));
     const hasGroups = testcases.some((item) => item.group_id != null);
     if (hasGroups) {
@@ -508,35 +1368,39 @@ export async function judgeSubmission({
         if (!groupStats.has(testcase.group_id)) {
           groupStats.set(testcase.group_id, {
             points: testcase.group_points ?? 0,
-            total: 0,
-            passed: 0,
+            ...createScoreStats(),
           });
         }
         groupStats.get(testcase.group_id).total += 1;
       }
 
       for (const result of results) {
-        if (result.status !== "Accepted") {
-          continue;
-        }
         const testcase = testcaseById.get(result.testcaseId);
         if (!testcase || testcase.group_id == null) {
           continue;
         }
         const group = groupStats.get(testcase.group_id);
         if (group) {
-          group.passed += 1;
+          addResultToScoreStats(group, result);
         }
       }
 
-      for (const group of groupStats.values()) {
-        if (group.total > 0 && group.passed === group.total) {
-          score += group.points;
-        }
+      groupScores = {};
+      for (const [groupId, group] of groupStats) {
+        const groupScore =
+          group.points * scoreStatsFraction(group, scorePolicy);
+        groupScores[groupId] = groupScore;
+        score += groupScore;
+      }
+    } else {
+      const stats = { ...createScoreStats(), total: testcases.length };
+      for (const result of results) {
+        addResultToScoreStats(stats, result);
       }
-    } else if (verdict === "Accepted") {
-      score = Number.isFinite(problem.points) ? problem.points : 0;
+      const points = Number.isFinite(problem.points) ? problem.points : 0;
+      score = points * scoreStatsFraction(stats, scorePolicy);
     }
+    score = Math.round(score);
 
     const maxTimeMs = results.reduce((max, item) => {
       if (!item.execTimeMs) {
@@ -559,6 +1423,7 @@ export async function judgeSubmission({
       compileOutput: compileResult.output,
       results,
       score,
+      groupScores,
       maxTimeMs,
       maxMemoryKb,
     };
@@ -576,10 +1441,9 @@ export async function runCode({ language, problem, sourceCode, input }) {
   const exePath = path.join(workDir, "main");
 
   try {
-    await fs.writeFile(sourcePath, sourceCode, "utf8");
-
-    const compileResult = await compileIfNeeded(
+    const compileResult = await compileSource(
       language,
+      sourceCode,
       sourcePath,
       exePath,
       workDir
@@ -590,16 +1454,18 @@ export async function runCode({ language, problem, sourceCode, input }) {
         status: "Compilation Error",
         compileOutput: compileResult.output,
         execTimeMs: null,
+        cpuTimeMs: null,
+        wallTimeMs: null,
         memoryKb: null,
         output: null,
         error: null,
       };
     }
 
-    const timeoutMs =
-      problem.time_limit_ms || language.default_time_limit_ms || 2000;
-    const memoryLimitKb =
-      problem.memory_limit_kb ?? language.default_memory_limit_kb ?? null;
+    const { timeLimitMs: timeoutMs, memoryLimitKb } = resolveLimits(
+      problem,
+      language
+    );
 
     const execResult = await executeProgram({
       language,
@@ -615,6 +1481,8 @@ export async function runCode({ language, problem, sourceCode, input }) {
       status: execResult.status === "OK" ? "Ran" : execResult.status,
       compileOutput: compileResult.output,
       execTimeMs: execResult.execTimeMs,
+      cpuTimeMs: execResult.cpuTimeMs,
+      wallTimeMs: execResult.wallTimeMs,
       memoryKb: execResult.memoryKb,
       output: execResult.output,
       error: execResult.error,
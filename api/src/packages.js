@@ -0,0 +1,611 @@
+import path from "path";
+import { strFromU8, strToU8, unzip, zipSync } from "fflate";
+import yaml from "js-yaml";
+
+export const PACKAGE_FORMAT = "oj-problem-package";
+const PACKAGE_VERSION = 1;
+const MAX_UNPACKED_BYTES = 256 * 1024 * 1024;
+
+// Statement sections stored as separate markdown files in native packages.
+const STATEMENT_FILES = [
+  ["statement", "statement.md"],
+  ["inputFormat", "input-format.md"],
+  ["outputFormat", "output-format.md"],
+  ["constraints", "constraints.md"],
+  ["editorial", "editorial.md"],
+];
+
+// Languages of checkers and interactors found in Polygon packages.
+const POLYGON_LANGUAGE_PREFIXES = [
+  ["cpp", "cpp17"],
+  ["python", "python3"],
+  ["java", "java11"],
+];
+
+// Polygon's standard checkers that have a built-in comparison equivalent.
+const POLYGON_STANDARD_CHECKERS = {
+  "std::wcmp.cpp": { mode: "tokens" },
+  "std::ncmp.cpp": { mode: "tokens" },
+  "std::lcmp.cpp": { mode: "tokens" },
+  "std::fcmp.cpp": { mode: "exact" },
+  "std::yesno.cpp": { mode: "case-insensitive" },
+  "std::nyesno.cpp": { mode: "case-insensitive" },
+  "std::rcmp4.cpp": { mode: "float-relative", epsilon: 1e-4 },
+  "std::rcmp6.cpp": { mode: "float-relative", epsilon: 1e-6 },
+  "std::rcmp9.cpp": { mode: "float-relative", epsilon: 1e-9 },
+  "std::acmp.cpp": { mode: "float-absolute", epsilon: 1.5e-5 },
+  "std::dcmp.cpp": { mode: "float-absolute", epsilon: 1e-6 },
+};
+
+export class PackageError extends Error {}
+
+// Large entries are inflated on worker threads so an upload does not block
+// the API's event loop.
+function unzipEntries(buffer) {
+  return new Promise((resolve, reject) => {
+    const invalid = () =>
+      new PackageError("Package is not a valid zip archive.");
+    let unpackedBytes = 0;
+    try {
+      unzip(
+        new Uint8Array(buffer),
+        {
+          filter: (file) => {
+            unpackedBytes += file.originalSize;
+            return (
+              unpackedBytes <= MAX_UNPACKED_BYTES && !file.name.endsWith("/")
+            );
+          },
+        },
+        (error, entries) => {
+          if (unpackedBytes > MAX_UNPACKED_BYTES) {
+            reject(new PackageError("Package is too large when unpacked."));
+          } else if (error) {
+            reject(invalid());
+          } else {
+            resolve(entries);
+          }
+        }
+      );
+    } catch {
+      reject(invalid());
+    }
+  });
+}
+
+async function readArchive(buffer) {
+  const entries = await unzipEntries(buffer);
+
+  // Archives made by zipping a folder put everything under one directory.
+  const names = Object.keys(entries).filter(
+    (name) => !name.startsWith("__MACOSX/")
+  );
+  const prefixes = new Set(names.map((name) => name.split("/")[0]));
+  const stripPrefix =
+    prefixes.size === 1 && names.every((name) => name.includes("/"));
+
+  const files = new Map();
+  for (const name of names) {
+    const key = stripPrefix ? name.slice(name.indexOf("/") + 1) : name;
+    files.set(key, entries[name]);
+  }
+  return files;
+}
+
+function readText(files, name) {
+  const data = files.get(name);
+  return data ? strFromU8(data) : null;
+}
+
+function requireText(files, name) {
+  const text = readText(files, name);
+  if (text == null) {
+    throw new PackageError(`Package is missing ${name}.`);
+  }
+  return text;
+}
+
+function naturalCompare(left, right) {
+  return left.localeCompare(right, undefined, { numeric: true });
+}
+
+function parseNativePackage(files) {
+  let manifest;
+  try {
+    manifest = JSON.parse(requireText(files, "manifest.json"));
+  } catch (error) {
+    if (error instanceof PackageError) {
+      throw error;
+    }
+    throw new PackageError("manifest.json is not valid JSON.");
+  }
+
+  const body = {
+    slug: manifest.slug,
+    title: manifest.title,
+    points: manifest.points,
+    timeLimitMs: manifest.timeLimitMs,
+    memoryLimitKb: manifest.memoryLimitKb,
+    difficulty: manifest.difficulty,
+    judgeType: manifest.judgeType,
+    scorePolicy: manifest.scorePolicy,
+    compareMode: manifest.compareMode,
+    compareEpsilon: manifest.compareEpsilon,
+    stopOnFailure: manifest.stopOnFailure,
+    revealFailedHidden: manifest.revealFailedHidden,
+    languageLimits: manifest.languageLimits,
+  };
+  for (const [field, fileName] of STATEMENT_FILES) {
+    body[field] = readText(files, fileName);
+  }
+
+  if (manifest.checker) {
+    body.checkerLanguageKey = manifest.checker.languageKey;
+    body.checkerProtocol = manifest.checker.protocol;
+    body.checkerSource = requireText(files, manifest.checker.path);
+  }
+
+  const groups = Array.isArray(manifest.groups) ? manifest.groups : [];
+  body.groups = groups.map((group, index) => ({
+    id: index + 1,
+    name: group.name,
+    points: group.points,
+    stopOnFailure: group.stopOnFailure,
+  }));
+  const groupIds = new Map(
+    groups.map((group, index) => [group.name, index + 1])
+  );
+
+  const tests = Array.isArray(manifest.tests)
+    ? manifest.tests
+    : [...files.keys()]
+        .filter((name) => /^tests\/[^/]+\.in$/.test(name))
+        .sort(naturalCompare)
+        .map((name) => ({
+          input: name,
+          output: name.replace(/\.in$/, ".out"),
+        }));
+  body.testcases = tests.map((test) => ({
+    name: test.name,
+    input: requireText(files, test.input),
+    expectedOutput: readText(files, test.output) ?? "",
+    groupId: groupIds.get(test.group) ?? null,
+    isSample: Boolean(test.sample),
+  }));
+
+  return body;
+}
+
+function xmlAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2]
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&");
+  }
+  return attributes;
+}
+
+function xmlElement(xml, name) {
+  return (xml.match(
+    new RegExp(`<${name}\\b[^>]*?(?:/>|>[\\s\\S]*?</${name}>)`)
+  ) ?? [null])[0];
+}
+
+function xmlText(xml, name) {
+  const match = xml?.match(new RegExp(`<${name}\\b[^>]*>([^<]*)</${name}>`));
+  return match ? match[1].trim() : null;
+}
+
+function polygonLanguageKey(sourceType) {
+  const match = POLYGON_LANGUAGE_PREFIXES.find(([prefix]) =>
+    sourceType?.startsWith(prefix)
+  );
+  if (!match) {
+    throw new PackageError(`Unsupported Polygon source type ${sourceType}.`);
+  }
+  return match[1];
+}
+
+// The <source> of a problem.xml <interactor> or <checker> element.
+function polygonSource(element, name) {
+  const tag = element.match(/<source\b[^>]*>/);
+  const source = tag ? xmlAttributes(tag[0]) : {};
+  if (!source.path) {
+    throw new PackageError(`The ${name} in problem.xml has no source.`);
+  }
+  return source;
+}
+
+function formatTestPath(pattern, index) {
+  return pattern.replace(/%0?(\d*)d/, (_, width) =>
+    String(index).padStart(Number(width) || 0, "0")
+  );
+}
+
+function readPolygonStatement(files) {
+  const languages = [
+    ...new Set(
+      [...files.keys()]
+        .map((name) => name.match(/^statement-sections\/([^/]+)\//)?.[1])
+        .filter(Boolean)
+    ),
+  ];
+  const language = languages.includes("english") ? "english" : languages[0];
+  const properties = readText(
+    files,
+    `statements/${language ?? "english"}/problem-properties.json`
+  );
+  if (properties) {
+    let parsed;
+    try {
+      parsed = JSON.parse(properties);
+    } catch {
+      throw new PackageError("problem-properties.json is not valid JSON.");
+    }
+    return {
+      name: parsed.name,
+      statement: parsed.legend,
+      inputFormat: parsed.input,
+      outputFormat: parsed.output,
+      editorial: parsed.tutorial,
+    };
+  }
+  if (!language) {
+    return {};
+  }
+  const section = (name) =>
+    readText(files, `statement-sections/${language}/${name}`);
+  return {
+    name: section("name.tex"),
+    statement: section("legend.tex"),
+    inputFormat: section("input.tex"),
+    outputFormat: section("output.tex"),
+    editorial: section("tutorial.tex"),
+  };
+}
+
+function parsePolygonPackage(files) {
+  const xml = requireText(files, "problem.xml");
+  const problemTag = xmlAttributes(xml.match(/<problem\b[^>]*>/)?.[0] ?? "");
+  const statement = readPolygonStatement(files);
+  const nameTag =
+    xml.match(/<name\b[^>]*language="english"[^>]*\/>/)?.[0] ??
+    xml.match(/<name\b[^>]*\/>/)?.[0];
+
+  const testset =
+    xml.match(/<testset\b[^>]*name="tests"[^>]*>[\s\S]*?<\/testset>/)?.[0] ??
+    xmlElement(xml, "testset");
+  if (!testset) {
+    throw new PackageError("problem.xml has no testset.");
+  }
+
+  const timeLimit = Number.parseInt(xmlText(testset, "time-limit"), 10);
+  const memoryLimit = Number.parseInt(xmlText(testset, "memory-limit"), 10);
+  const inputPattern = xmlText(testset, "input-path-pattern") ?? "tests/%02d";
+  const answerPattern =
+    xmlText(testset, "answer-path-pattern") ?? `${inputPattern}.a`;
+
+  const tests = [...testset.matchAll(/<test[\s/][^>]*>/g)].map((match) =>
+    xmlAttributes(match[0])
+  );
+  const groupNames = [
+    ...new Set(tests.map((test) => test.group).filter(Boolean)),
+  ];
+  const groupTags = new Map(
+    [...testset.matchAll(/<group\b[^>]*\/?>/g)]
+      .map((match) => xmlAttributes(match[0]))
+      .map((group) => [group.name, group])
+  );
+
+  const body = {
+    slug: problemTag["short-name"],
+    title: statement.name?.trim() || xmlAttributes(nameTag ?? "").value,
+    statement: statement.statement,
+    inputFormat: statement.inputFormat,
+    outputFormat: statement.outputFormat,
+    editorial: statement.editorial,
+    timeLimitMs: Number.isFinite(timeLimit) ? timeLimit : undefined,
+    memoryLimitKb: Number.isFinite(memoryLimit)
+      ? Math.round(memoryLimit / 1024)
+      : undefined,
+    groups: groupNames.map((name, index) => {
+      const testPoints = tests
+        .filter((test) => test.group === name)
+        .reduce((total, test) => total + (Number(test.points) || 0), 0);
+      const groupPoints = Number(groupTags.get(name)?.points);
+      return {
+        id: index + 1,
+        name,
+        points: Number.isFinite(groupPoints) ? groupPoints : testPoints,
+      };
+    }),
+    testcases: tests.map((test, index) => ({
+      name: `Test ${index + 1}`,
+      input: requireText(files, formatTestPath(inputPattern, index + 1)),
+      expectedOutput:
+        readText(files, formatTestPath(answerPattern, index + 1)) ?? "",
+      groupId: test.group ? groupNames.indexOf(test.group) + 1 : null,
+      isSample: test.sample === "true",
+    })),
+  };
+  // "each-test" groups award points per passed test, which is what the
+  // "sum" policy approximates; "complete-group" matches the default.
+  if (
+    [...groupTags.values()].some(
+      (group) => group["points-policy"] === "each-test"
+    )
+  ) {
+    body.scorePolicy = "sum";
+  }
+
+  const interactor = xmlElement(xml, "interactor");
+  const checker = xmlElement(xml, "checker");
+  const checkerName = xmlAttributes(
+    checker?.match(/<checker\b[^>]*>/)?.[0] ?? ""
+  ).name;
+  const builtInChecker = POLYGON_STANDARD_CHECKERS[checkerName];
+
+  // Polygon always lists a checker, a standard one unless the author wrote
+  // their own. The interactor's exit code is the verdict here and there is
+  // nowhere to run a checker on its output afterwards, so a standard checker
+  // is dropped and only a custom one is refused.
+  if (interactor && checker && !checkerName?.startsWith("std::")) {
+    throw new PackageError(
+      "Polygon packages with both an interactor and a custom checker are not supported; " +
+        "report the verdict from the interactor and use a standard checker."
+    );
+  }
+  if (interactor) {
+    const source = polygonSource(interactor, "interactor");
+    body.judgeType = "interactive";
+    body.checkerProtocol = "testlib";
+    body.checkerLanguageKey = polygonLanguageKey(source.type);
+    body.checkerSource = requireText(files, source.path);
+  } else if (builtInChecker) {
+    body.compareMode = builtInChecker.mode;
+    body.compareEpsilon = builtInChecker.epsilon;
+  } else if (checker) {
+    const source = polygonSource(checker, "checker");
+    body.judgeType = "custom";
+    body.checkerProtocol = "testlib";
+    body.checkerLanguageKey = polygonLanguageKey(source.type);
+    body.checkerSource = requireText(files, source.path);
+  }
+
+  return body;
+}
+
+function parseKattisComparison(validatorFlags) {
+  const flags = String(validatorFlags ?? "")
+    .split(/\s+/)
+    .filter(Boolean);
+  const flagValue = (name) => {
+    const index = flags.indexOf(name);
+    return index >= 0 ? Number.parseFloat(flags[index + 1]) : null;
+  };
+  const absolute = flagValue("float_absolute_tolerance");
+  const relative =
+    flagValue("float_relative_tolerance") ?? flagValue("float_tolerance");
+
+  if (absolute != null) {
+    return { compareMode: "float-absolute", compareEpsilon: absolute };
+  }
+  if (relative != null) {
+    return { compareMode: "float-relative", compareEpsilon: relative };
+  }
+  // Kattis's default validator ignores case unless told otherwise.
+  return {
+    compareMode: flags.includes("case_sensitive")
+      ? "tokens"
+      : "case-insensitive",
+  };
+}
+
+function parseKattisPackage(files) {
+  let config = {};
+  try {
+    config = yaml.load(readText(files, "problem.yaml") ?? "") ?? {};
+  } catch {
+    throw new PackageError("problem.yaml is not valid YAML.");
+  }
+
+  const validation = String(config.validation ?? "default");
+  if (validation !== "default") {
+    throw new PackageError(
+      "Kattis output validators and interactors are not supported; " +
+        "convert them to testlib checkers and use a native package."
+    );
+  }
+
+  // Markdown statements are preferred over LaTeX when both exist.
+  const statementName = [...files.keys()]
+    .filter((name) =>
+      /^(problem_statement|statement)\/problem(\.en)?\.(md|tex)$/.test(name)
+    )
+    .sort((left, right) =>
+      naturalCompare(path.extname(left), path.extname(right))
+    )[0];
+  const statement = statementName ? readText(files, statementName) : null;
+  const statementTitle = statement?.match(/\\problemname\{([^}]*)\}/)?.[1];
+
+  const timeLimitSeconds =
+    config.limits?.time_limit ??
+    Number.parseFloat(readText(files, ".timelimit") ?? "");
+  const memoryLimitMb = Number.parseInt(config.limits?.memory, 10);
+
+  const testcases = [];
+  const groups = [];
+  const addDirectory = (directory, groupId, isSample) => {
+    const inputs = [...files.keys()]
+      .filter(
+        (name) => path.posix.dirname(name) === directory && name.endsWith(".in")
+      )
+      .sort(naturalCompare);
+    for (const input of inputs) {
+      const base = input.slice(0, -".in".length);
+      testcases.push({
+        name: path.posix.basename(base),
+        input: requireText(files, input),
+        expectedOutput: readText(files, `${base}.ans`) ?? "",
+        groupId,
+        isSample,
+      });
+    }
+  };
+
+  const secretGroups = [
+    ...new Set(
+      [...files.keys()]
+        .map((name) => name.match(/^data\/secret\/([^/]+)\/[^/]+$/)?.[1])
+        .filter(Boolean)
+    ),
+  ].sort(naturalCompare);
+
+  if (secretGroups.length === 0) {
+    addDirectory("data/sample", null, true);
+    addDirectory("data/secret", null, false);
+  } else {
+    // Scoring problems keep each secret subgroup's score in testdata.yaml.
+    groups.push({ id: 1, name: "sample", points: 0 });
+    addDirectory("data/sample", 1, true);
+    for (const name of secretGroups) {
+      const testdata =
+        yaml.load(readText(files, `data/secret/${name}/testdata.yaml`) ?? "") ??
+        {};
+      const range = String(testdata.range ?? "").split(/\s+/);
+      const points = Number.parseInt(
+        testdata.accept_score ?? range[range.length - 1],
+        10
+      );
+      const id = groups.length + 1;
+      groups.push({ id, name, points: Number.isFinite(points) ? points : 0 });
+      addDirectory(`data/secret/${name}`, id, false);
+    }
+  }
+
+  return {
+    title: config.name?.en ?? config.name ?? statementTitle,
+    statement,
+    timeLimitMs: Number.isFinite(timeLimitSeconds)
+      ? Math.round(timeLimitSeconds * 1000)
+      : undefined,
+    memoryLimitKb: Number.isFinite(memoryLimitMb)
+      ? memoryLimitMb * 1024
+      : undefined,
+    ...parseKattisComparison(config.validator_flags),
+    groups,
+    testcases,
+  };
+}
+
+/**
+ * Reads a zipped problem package into the body accepted by POST /problems.
+ * Native packages (manifest.json), Polygon packages (problem.xml) and
+ * Kattis/ICPC packages (problem.yaml with data/) are recognised by layout.
+ */
+export async function parseProblemPackage(buffer) {
+  const files = await readArchive(buffer);
+  if (files.has("manifest.json")) {
+    return parseNativePackage(files);
+  }
+  if (files.has("problem.xml")) {
+    return parsePolygonPackage(files);
+  }
+  if (
+    files.has("problem.yaml") ||
+    [...files.keys()].some((name) => name.startsWith("data/"))
+  ) {
+    return parseKattisPackage(files);
+  }
+  throw new PackageError(
+    "Unrecognised package layout; expected manifest.json, problem.xml or problem.yaml."
+  );
+}
+
+/**
+ * Builds a native package from a problem snapshot (see loadProblemSnapshot).
+ * `checkerExtension` is the source extension of the checker's language.
+ */
+export function buildProblemPackage(snapshot, { checkerExtension, languages }) {
+  const { problem, groups, testcases } = snapshot;
+  const files = {};
+  const groupNames = new Map(
+    groups.map((group) => [String(group.id), group.name])
+  );
+  const width = Math.max(2, String(testcases.length).length);
+
+  const tests = testcases.map((testcase, index) => {
+    const base = `tests/${String(index + 1).padStart(width, "0")}`;
+    files[`${base}.in`] = strToU8(testcase.input);
+    files[`${base}.out`] = strToU8(testcase.expected_output);
+    return {
+      name: testcase.name,
+      input: `${base}.in`,
+      output: `${base}.out`,
+      group:
+        testcase.group_id != null
+          ? groupNames.get(String(testcase.group_id))
+          : undefined,
+      sample: testcase.is_sample,
+    };
+  });
+
+  let checker = null;
+  if (problem.checker_source) {
+    checker = {
+      languageKey: problem.checker_language_key,
+      protocol: problem.checker_protocol,
+      path: `checker.${checkerExtension ?? "txt"}`,
+    };
+    files[checker.path] = strToU8(problem.checker_source);
+  }
+
+  const sections = {
+    statement: problem.statement,
+    inputFormat: problem.input_format,
+    outputFormat: problem.output_format,
+    constraints: problem.constraints,
+    editorial: problem.editorial,
+  };
+  for (const [field, fileName] of STATEMENT_FILES) {
+    if (sections[field]) {
+      files[fileName] = strToU8(sections[field]);
+    }
+  }
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    slug: problem.slug,
+    title: problem.title,
+    points: problem.points,
+    timeLimitMs: problem.time_limit_ms,
+    memoryLimitKb: problem.memory_limit_kb,
+    difficulty: problem.difficulty,
+    judgeType: problem.judge_type,
+    scorePolicy: problem.score_policy,
+    compareMode: problem.compare_mode,
+    compareEpsilon: problem.compare_epsilon,
+    stopOnFailure: problem.stop_on_failure,
+    revealFailedHidden: problem.reveal_failed_hidden,
+    checker,
+    groups: groups.map((group) => ({
+      name: group.name,
+      points: group.points,
+      stopOnFailure: group.stop_on_failure,
+    })),
+    tests,
+    languageLimits: snapshot.languageLimits.map((limit) => ({
+      languageKey: languages.get(String(limit.language_id)),
+      timeMultiplier: limit.time_multiplier,
+      timeOffsetMs: limit.time_offset_ms,
+      memoryOffsetKb: limit.memory_offset_kb,
+    })),
+  };
+  files["manifest.json"] = strToU8(`${JSON.stringify(manifest, null, 2)}\n`);
+
+  return zipSync(files);
+}
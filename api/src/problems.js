@@ -0,0 +1,221 @@
+// Problem columns captured in a revision snapshot and written back on restore.
+const SNAPSHOT_COLUMNS = [
+  "slug",
+  "title",
+  "statement",
+  "editorial",
+  "constraints",
+  "input_format",
+  "output_format",
+  "points",
+  "judge_type",
+  "checker_language_key",
+  "checker_source",
+  "checker_protocol",
+  "score_policy",
+  "compare_mode",
+  "compare_epsilon",
+  "stop_on_failure",
+  "reveal_failed_hidden",
+  "time_limit_ms",
+  "memory_limit_kb",
+  "difficulty",
+  "is_visible",
+];
+
+export async function loadProblemSnapshot(client, problemId) {
+  const problemResult = await client.query(
+    `SELECT ${SNAPSHOT_COLUMNS.join(", ")}
+     FROM problems
+     WHERE id = $1`,
+    [problemId]
+  );
+  const groupsResult = await client.query(
+    `SELECT id, name, points, stop_on_failure, sort_order
+     FROM testcase_groups
+     WHERE problem_id = $1
+     ORDER BY sort_order, id`,
+    [problemId]
+  );
+  const testcasesResult = await client.query(
+    `SELECT id, group_id, name, input, expected_output, is_sample, sort_order
+     FROM testcases
+     WHERE problem_id = $1 AND archived_at IS NULL
+     ORDER BY sort_order, id`,
+    [problemId]
+  );
+  const limitsResult = await client.query(
+    `SELECT language_id, time_multiplier, time_offset_ms, memory_offset_kb
+     FROM problem_language_limits
+     WHERE problem_id = $1
+     ORDER BY language_id`,
+    [problemId]
+  );
+
+  return {
+    problem: problemResult.rows[0],
+    groups: groupsResult.rows,
+    testcases: testcasesResult.rows,
+    languageLimits: limitsResult.rows,
+  };
+}
+
+/**
+ * Stores the problem's current statement, settings, groups and testcases as
+ * its next revision and makes that revision current. Callers hold the row
+ * lock on the problem so revision numbers cannot race.
+ */
+export async function recordProblemRevision(client, problemId, authorId, note) {
+  const snapshot = await loadProblemSnapshot(client, problemId);
+  const { rows } = await client.query(
+    `INSERT INTO problem_revisions (problem_id, revision, snapshot, author_id, note)
+     SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3, $4
+     FROM problem_revisions
+     WHERE problem_id = $1
+     RETURNING revision`,
+    [problemId, JSON.stringify(snapshot), authorId, note]
+  );
+  const revision = rows[0].revision;
+  await client.query(
+    `UPDATE problems
+     SET current_revision = $1,
+         updated_at = NOW()
+     WHERE id = $2`,
+    [revision, problemId]
+  );
+  return revision;
+}
+
+// Problems created before revisions existed (such as the seed data) get
+// their untouched state recorded before the first edit.
+export async function ensureBaselineRevision(client, problemId, authorId) {
+  const { rows } = await client.query(
+    "SELECT 1 FROM problem_revisions WHERE problem_id = $1 LIMIT 1",
+    [problemId]
+  );
+  if (rows.length === 0) {
+    await recordProblemRevision(client, problemId, authorId, "Initial version");
+  }
+}
+
+/**
+ * Makes the problem match a snapshot. Groups and testcases that still exist
+ * are updated in place so that results of earlier submissions stay attached
+ * to them; the rest are recreated, and testcases the snapshot lacks are
+ * archived rather than deleted along with their results. Columns added after
+ * the snapshot was taken are reset to their defaults.
+ */
+export async function restoreProblemSnapshot(client, problemId, snapshot) {
+  const columns = SNAPSHOT_COLUMNS.filter(
+    (column) => snapshot.problem[column] !== undefined
+  );
+  const assignments = SNAPSHOT_COLUMNS.map((column) =>
+    columns.includes(column)
+      ? `${column} = $${columns.indexOf(column) + 2}`
+      : `${column} = DEFAULT`
+  );
+  await client.query(
+    `UPDATE problems
+     SET ${assignments.join(", ")}
+     WHERE id = $1`,
+    [problemId, ...columns.map((column) => snapshot.problem[column])]
+  );
+
+  const groupIdMap = new Map();
+  for (const group of snapshot.groups) {
+    const values = [
+      group.name,
+      group.points,
+      group.stop_on_failure,
+      group.sort_order,
+    ];
+    const updated = await client.query(
+      `UPDATE testcase_groups
+       SET name = $3, points = $4, stop_on_failure = $5, sort_order = $6
+       WHERE id = $1 AND problem_id = $2
+       RETURNING id`,
+      [group.id, problemId, ...values]
+    );
+    const restored =
+      updated.rows[0] ??
+      (
+        await client.query(
+          `INSERT INTO testcase_groups
+            (problem_id, name, points, stop_on_failure, sort_order)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [problemId, ...values]
+        )
+      ).rows[0];
+    groupIdMap.set(String(group.id), restored.id);
+  }
+  await client.query(
+    `DELETE FROM testcase_groups
+     WHERE problem_id = $1 AND NOT (id = ANY($2::bigint[]))`,
+    [problemId, [...groupIdMap.values()]]
+  );
+
+  const testcaseIds = [];
+  for (const testcase of snapshot.testcases) {
+    const values = [
+      testcase.group_id != null
+        ? (groupIdMap.get(String(testcase.group_id)) ?? null)
+        : null,
+      testcase.name,
+      testcase.input,
+      testcase.expected_output,
+      testcase.is_sample,
+      testcase.sort_order,
+    ];
+    const updated = await client.query(
+      `UPDATE testcases
+       SET group_id = $3, name = $4, input = $5, expected_output = $6,
+           is_sample = $7, sort_order = $8, archived_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND problem_id = $2
+       RETURNING id`,
+      [testcase.id, problemId, ...values]
+    );
+    const restored =
+      updated.rows[0] ??
+      (
+        await client.query(
+          `INSERT INTO testcases
+            (problem_id, group_id, name, input, expected_output, is_sample, sort_order)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [problemId, ...values]
+        )
+      ).rows[0];
+    testcaseIds.push(restored.id);
+  }
+  await client.query(
+    `UPDATE testcases
+     SET archived_at = NOW()
+     WHERE problem_id = $1
+       AND archived_at IS NULL
+       AND NOT (id = ANY($2::bigint[]))`,
+    [problemId, testcaseIds]
+  );
+
+  await client.query(
+    "DELETE FROM problem_language_limits WHERE problem_id = $1",
+    [problemId]
+  );
+  for (const limit of snapshot.languageLimits ?? []) {
+    await client.query(
+      `INSERT INTO problem_language_limits
+        (problem_id, language_id, time_multiplier, time_offset_ms, memory_offset_kb)
+       SELECT $1, id, $3, $4, $5
+       FROM languages
+       WHERE id = $2`,
+      [
+        problemId,
+        limit.language_id,
+        limit.time_multiplier,
+        limit.time_offset_ms,
+        limit.memory_offset_kb,
+      ]
+    );
+  }
+}
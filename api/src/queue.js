@@ -0,0 +1,425 @@
+import { pool } from "./db.js";
+import { publishSubmissionEvent } from "./events.js";
+import { judgeSubmission, usesJudgeProgram } from "./judge.js";
+import { recordJudgedSubmission, retractJudgedSubmissions } from "./stats.js";
+
+export const QUEUED_STATUS = "queued";
+export const JUDGING_STATUS = "Judging";
+
+function publishQueuedEvents(client, submissions) {
+  return Promise.all(
+    submissions.map((submission) =>
+      publishSubmissionEvent(client, {
+        type: "queued",
+        submissionId: submission.id,
+        problemId: submission.problem_id,
+        contestId: submission.contest_id,
+        status: QUEUED_STATUS,
+      })
+    )
+  );
+}
+
+export async function claimNextSubmission(workerId) {
+  const { rows } = await pool.query(
+    `UPDATE submissions
+     SET status = $1,
+         judge_worker = $2,
+         judge_started_at = NOW()
+     WHERE id = (
+       SELECT id
+       FROM submissions
+       WHERE status = $3
+       ORDER BY id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING id`,
+    [JUDGING_STATUS, workerId, QUEUED_STATUS]
+  );
+  return rows[0]?.id ?? null;
+}
+
+export async function requeueInterruptedSubmissions(workerId, staleAfterMs) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `UPDATE submissions
+       SET status = $1,
+           judge_worker = NULL,
+           judge_started_at = NULL
+       WHERE status = $2
+         AND (judge_worker = $3
+              OR judge_started_at IS NULL
+              OR judge_started_at < NOW() - make_interval(secs => $4))
+       RETURNING id, problem_id, contest_id`,
+      [QUEUED_STATUS, JUDGING_STATUS, workerId, staleAfterMs / 1000]
+    );
+    const ids = rows.map((row) => row.id);
+    if (ids.length > 0) {
+      await client.query(
+        "DELETE FROM submission_results WHERE submission_id = ANY($1)",
+        [ids]
+      );
+    }
+    await publishQueuedEvents(client, rows);
+    await client.query("COMMIT");
+    return ids;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Puts judged submissions back in the queue after archiving their verdict in
+ * submission_verdict_history and taking it out of the problem statistics.
+ * Submissions that are still queued or being judged are left alone. Returns
+ * the ids that were re-queued.
+ */
+export async function requeueSubmissions(submissionIds, rejudgedBy) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT id, problem_id, contest_id
+       FROM submissions
+       WHERE id = ANY($1) AND status NOT IN ($2, $3)
+       ORDER BY id
+       FOR UPDATE`,
+      [submissionIds, QUEUED_STATUS, JUDGING_STATUS]
+    );
+    const ids = rows.map((row) => row.id);
+    if (ids.length > 0) {
+      await client.query(
+        `INSERT INTO submission_verdict_history
+          (submission_id, verdict, score, exec_time_ms, memory_kb,
+           problem_revision, judged_at, rejudged_by)
+         SELECT id, verdict, score, exec_time_ms, memory_kb, problem_revision,
+                judged_at, $2
+         FROM submissions
+         WHERE id = ANY($1)`,
+        [ids, rejudgedBy]
+      );
+      await retractJudgedSubmissions(client, ids);
+      await client.query(
+        "DELETE FROM submission_results WHERE submission_id = ANY($1)",
+        [ids]
+      );
+      await client.query(
+        `UPDATE submissions
+         SET status = $2,
+             verdict = NULL,
+             score = NULL,
+             group_scores = NULL,
+             exec_time_ms = NULL,
+             memory_kb = NULL,
+             compiler_output = NULL,
+             runtime_output = NULL,
+             judge_worker = NULL,
+             judge_started_at = NULL,
+             judged_at = NULL,
+             rejudge_count = rejudge_count + 1
+         WHERE id = ANY($1)`,
+        [ids, QUEUED_STATUS]
+      );
+    }
+    await publishQueuedEvents(client, rows);
+    await client.query("COMMIT");
+    return ids;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function loadJudgeJob(client, submissionId) {
+  const submissionResult = await client.query(
+    `SELECT id, problem_id, contest_id, language_id, source_code
+     FROM submissions
+     WHERE id = $1`,
+    [submissionId]
+  );
+  const submission = submissionResult.rows[0];
+  if (!submission) {
+    return null;
+  }
+
+  const problemResult = await client.query(
+    `SELECT id,
+            time_limit_ms,
+            memory_limit_kb,
+            points,
+            judge_type,
+            checker_language_key,
+            checker_source,
+            checker_protocol,
+            score_policy,
+            compare_mode,
+            compare_epsilon,
+            stop_on_failure,
+            current_revision
+     FROM problems
+     WHERE id = $1`,
+    [submission.problem_id]
+  );
+  const problem = problemResult.rows[0];
+
+  const languageResult = await client.query(
+    `SELECT l.id, l.key, l.name, l.source_ext, l.compile_command, l.run_command,
+            l.default_time_limit_ms, l.default_memory_limit_kb,
+            l.limit_address_space,
+            COALESCE(o.time_multiplier, l.time_multiplier) AS time_multiplier,
+            COALESCE(o.time_offset_ms, l.time_offset_ms) AS time_offset_ms,
+            COALESCE(o.memory_offset_kb, l.memory_offset_kb) AS memory_offset_kb
+     FROM languages l
+     LEFT JOIN problem_language_limits o
+       ON o.language_id = l.id AND o.problem_id = $2
+     WHERE l.id = $1`,
+    [submission.language_id, submission.problem_id]
+  );
+  const language = languageResult.rows[0];
+
+  if (!problem || !language) {
+    throw new Error("Problem or language no longer exists.");
+  }
+
+  let checker = null;
+  if (usesJudgeProgram(problem.judge_type)) {
+    if (!problem.checker_language_key || !problem.checker_source) {
+      throw new Error("Checker is not configured.");
+    }
+
+    const checkerLanguageResult = await client.query(
+      `SELECT id, key, name, source_ext, compile_command, run_command,
+              default_time_limit_ms, default_memory_limit_kb, limit_address_space
+       FROM languages
+       WHERE key = $1 AND enabled = TRUE`,
+      [problem.checker_language_key]
+    );
+
+    if (checkerLanguageResult.rows.length === 0) {
+      throw new Error("Checker language not found.");
+    }
+
+    checker = {
+      language: checkerLanguageResult.rows[0],
+      sourceCode: problem.checker_source,
+    };
+  }
+
+  const testcasesResult = await client.query(
+    `SELECT t.id,
+            t.name,
+            t.input,
+            t.expected_output,
+            t.group_id,
+            g.name AS group_name,
+            g.points AS group_points,
+            g.stop_on_failure AS group_stop_on_failure
+     FROM testcases t
+     LEFT JOIN testcase_groups g ON g.id = t.group_id
+     WHERE t.problem_id = $1 AND t.archived_at IS NULL
+     ORDER BY t.sort_order, t.id`,
+    [problem.id]
+  );
+
+  return {
+    submissionId: submission.id,
+    contestId: submission.contest_id,
+    sourceCode: submission.source_code,
+    problem,
+    language,
+    checker,
+    testcases: testcasesResult.rows,
+  };
+}
+
+async function publishVerdictEvent(client, submissionId) {
+  const { rows } = await client.query(
+    `SELECT problem_id, contest_id, status, verdict, score, exec_time_ms,
+            memory_kb, judged_at
+     FROM submissions
+     WHERE id = $1`,
+    [submissionId]
+  );
+  if (rows.length === 0) {
+    return;
+  }
+  const {
+    problem_id: problemId,
+    contest_id: contestId,
+    ...submission
+  } = rows[0];
+  await publishSubmissionEvent(client, {
+    type: "verdict",
+    submissionId,
+    problemId,
+    contestId,
+    submission,
+  });
+}
+
+// The verdict and the statistics it feeds are committed together, so the
+// summaries cannot drift from the submissions they count.
+async function writeVerdict(client, submissionId, query, params) {
+  await client.query("BEGIN");
+  try {
+    await client.query(query, params);
+    await recordJudgedSubmission(client, submissionId);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+// `workerSlot` is the index of the worker's judging slot; it decides which
+// CPUs parallel testcases are pinned to.
+export async function judgeClaimedSubmission(submissionId, workerSlot = 0) {
+  const judgeClient = await pool.connect();
+  try {
+    // The problem, checker and testcases are read from one snapshot so a
+    // concurrent edit cannot mix two revisions into a single judgement.
+    await judgeClient.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+    let job;
+    try {
+      job = await loadJudgeJob(judgeClient, submissionId);
+      await judgeClient.query("COMMIT");
+    } catch (error) {
+      await judgeClient.query("ROLLBACK");
+      throw error;
+    }
+    if (!job) {
+      return;
+    }
+
+    await judgeClient.query(
+      "UPDATE submissions SET problem_revision = $1 WHERE id = $2",
+      [job.problem.current_revision, submissionId]
+    );
+    const problemId = job.problem.id;
+    const { contestId } = job;
+    await publishSubmissionEvent(judgeClient, {
+      type: "judging",
+      submissionId,
+      problemId,
+      contestId,
+      status: JUDGING_STATUS,
+      totalTestcases: job.testcases.length,
+    });
+
+    const testcaseById = new Map(
+      job.testcases.map((testcase) => [testcase.id, testcase])
+    );
+
+    const judgeResult = await judgeSubmission({
+      language: job.language,
+      problem: job.problem,
+      testcases: job.testcases,
+      sourceCode: job.sourceCode,
+      checker: job.checker,
+      workerSlot,
+      onResult: async (result) => {
+        await judgeClient.query(
+          `INSERT INTO submission_results
+            (submission_id, testcase_id, status, exec_time_ms, cpu_time_ms,
+             wall_time_ms, memory_kb, score, output, error, checker_message,
+             transcript)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+          [
+            submissionId,
+            result.testcaseId,
+            result.status,
+            result.execTimeMs,
+            result.cpuTimeMs,
+            result.wallTimeMs,
+            result.memoryKb,
+            result.score ?? null,
+            result.output,
+            result.error,
+            result.checkerMessage ?? null,
+            result.transcript ?? null,
+          ]
+        );
+        const testcase = testcaseById.get(result.testcaseId);
+        await publishSubmissionEvent(judgeClient, {
+          type: "result",
+          submissionId,
+          problemId,
+          contestId,
+          result: {
+            testcase_id: result.testcaseId,
+            name: testcase?.name ?? null,
+            group_id: testcase?.group_id ?? null,
+            group_name: testcase?.group_name ?? null,
+            status: result.status,
+            exec_time_ms: result.execTimeMs,
+            cpu_time_ms: result.cpuTimeMs,
+            wall_time_ms: result.wallTimeMs,
+            memory_kb: result.memoryKb,
+            score: result.score ?? null,
+          },
+        });
+      },
+    });
+
+    await writeVerdict(
+      judgeClient,
+      submissionId,
+      `UPDATE submissions
+       SET status = $1,
+           verdict = $1,
+           exec_time_ms = $2,
+           memory_kb = $3,
+           compiler_output = $4,
+           score = $5,
+           group_scores = $6,
+           judged_at = NOW()
+       WHERE id = $7`,
+      [
+        judgeResult.verdict,
+        judgeResult.maxTimeMs,
+        judgeResult.maxMemoryKb,
+        judgeResult.compileOutput,
+        judgeResult.score ?? 0,
+        judgeResult.groupScores
+          ? JSON.stringify(judgeResult.groupScores)
+          : null,
+        submissionId,
+      ]
+    );
+  } catch (error) {
+    await writeVerdict(
+      judgeClient,
+      submissionId,
+      `UPDATE submissions
+       SET status = $1,
+           verdict = $1,
+           compiler_output = $2,
+           score = 0,
+           judged_at = NOW()
+       WHERE id = $3`,
+      [
+        "System Error",
+        error instanceof Error ? error.message : "Judge failed.",
+        submissionId,
+      ]
+    );
+  } finally {
+    try {
+      await publishVerdictEvent(judgeClient, submissionId);
+    } catch (error) {
+      console.error(
+        `Failed to publish the verdict of submission ${submissionId}`,
+        error
+      );
+    }
+    judgeClient.release();
+  }
+}
@@ -0,0 +1,254 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// JUDGE_SANDBOX selects the isolation. "namespaces" (the default) refuses to
+// run anything when namespaces are unavailable; the weaker "rlimits" and
+// "none" modes are only used when asked for explicitly.
+const SANDBOX_MODES = ["namespaces", "rlimits", "none"];
+// Processes and threads one sandboxed run may need (compilers, JVMs).
+const SANDBOX_NPROC_PER_RUN = 64;
+const SANDBOX_NOFILE_LIMIT = 256;
+const SANDBOX_FSIZE_LIMIT_KB = 64 * 1024;
+const SANDBOX_TMPFS_SIZE_KB = 64 * 1024;
+const ADDRESS_SPACE_SLACK_KB = 64 * 1024;
+const DEFAULT_SANDBOX_UID = 65534;
+
+const NAMESPACE_ARGS = [
+  "--user",
+  "--map-root-user",
+  "--mount",
+  "--pid",
+  "--fork",
+  "--kill-child",
+  "--mount-proc",
+  "--net",
+  "--ipc",
+  "--uts",
+];
+
+// Runs as root inside the fresh user namespace. The work directory usually
+// lives under /tmp, so it is entered before /tmp is replaced with an empty
+// tmpfs and then bound back from the (now hidden) current directory. The
+// root and, unless a compiler needs to write its output there, the work
+// directory become read-only and every capability is dropped so the program
+// cannot undo the mounts.
+const MOUNT_SCRIPT = `set -e
+work="$1"
+access="$2"
+shift 2
+cd "$work"
+mount -t tmpfs -o size=${SANDBOX_TMPFS_SIZE_KB}k,mode=1777 tmpfs /tmp
+mount -t tmpfs -o size=${SANDBOX_TMPFS_SIZE_KB}k,mode=1777 tmpfs /dev/shm
+mkdir -p "$work"
+mount --no-canonicalize --bind . "$work"
+if [ "$access" != rw ]; then mount -o remount,bind,ro "$work"; fi
+mount -o remount,bind,ro /
+cd "$work"
+exec setpriv --no-new-privs --bounding-set=-all --inh-caps=-all -- "$@"`;
+
+const SANDBOX_ENV = {
+  PATH: process.env.PATH ?? "/usr/local/bin:/usr/bin:/bin",
+  LANG: "C.UTF-8",
+  HOME: "/tmp",
+  TMPDIR: "/tmp",
+};
+
+let namespacesProbe = null;
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// RLIMIT_NPROC counts every process of the sandbox uid, not those of one run,
+// so it is a budget shared by all runs that drop to that uid at once: every
+// worker slot (JUDGE_CONCURRENCY), its parallel testcases
+// (JUDGE_TESTCASE_PARALLELISM) and, for interactive problems, the interactor
+// next to the program. The default gives each of them SANDBOX_NPROC_PER_RUN.
+// Set JUDGE_SANDBOX_NPROC when other workers or the API's Code Test runs use
+// the same uid on the host, or give them their own JUDGE_SANDBOX_UID. A run
+// that forks until the budget is spent makes forks in the other runs fail
+// too, which surfaces as a Runtime Error there.
+function getNprocLimit() {
+  const concurrentRuns =
+    readPositiveInt(process.env.JUDGE_CONCURRENCY, 1) *
+    readPositiveInt(process.env.JUDGE_TESTCASE_PARALLELISM, 1) *
+    2;
+  return readPositiveInt(
+    process.env.JUDGE_SANDBOX_NPROC,
+    SANDBOX_NPROC_PER_RUN * concurrentRuns
+  );
+}
+
+function getSandboxMode() {
+  const mode = (process.env.JUDGE_SANDBOX || "namespaces").toLowerCase();
+  return SANDBOX_MODES.includes(mode) ? mode : "namespaces";
+}
+
+// rlimits such as RLIMIT_NPROC are not enforced for root, so when the judge
+// itself runs as root the sandbox is entered as an unprivileged account.
+function getSandboxUser() {
+  if (typeof process.getuid !== "function" || process.getuid() !== 0) {
+    return null;
+  }
+  const parsedUid = Number.parseInt(process.env.JUDGE_SANDBOX_UID, 10);
+  const uid = Number.isFinite(parsedUid) ? parsedUid : DEFAULT_SANDBOX_UID;
+  const parsedGid = Number.parseInt(process.env.JUDGE_SANDBOX_GID, 10);
+  const gid = Number.isFinite(parsedGid) ? parsedGid : uid;
+  return { uid, gid };
+}
+
+function getPrivilegeDropArgs() {
+  const user = getSandboxUser();
+  if (!user) {
+    return [];
+  }
+  const { uid, gid } = user;
+  return [
+    "setpriv",
+    `--reuid=${uid}`,
+    `--regid=${gid}`,
+    "--clear-groups",
+    "--",
+  ];
+}
+
+function withPrivilegeDrop(command, args) {
+  const dropArgs = getPrivilegeDropArgs();
+  if (dropArgs.length === 0) {
+    return { command, args };
+  }
+  return { command: dropArgs[0], args: [...dropArgs.slice(1), command, ...args] };
+}
+
+function probeNamespaces() {
+  return new Promise((resolve) => {
+    const probe = withPrivilegeDrop("unshare", [
+      ...NAMESPACE_ARGS,
+      "--",
+      "sh",
+      "-c",
+      MOUNT_SCRIPT,
+      "sh",
+      os.tmpdir(),
+      "ro",
+      "true",
+    ]);
+    const child = spawn(probe.command, probe.args, { stdio: "ignore" });
+    child.on("error", () => resolve(false));
+    child.on("close", (code) => resolve(code === 0));
+  });
+}
+
+function canUseNamespaces() {
+  if (!namespacesProbe) {
+    namespacesProbe =
+      process.platform === "linux" ? probeNamespaces() : Promise.resolve(false);
+  }
+  return namespacesProbe;
+}
+
+function buildRlimitArgs({ memoryLimitKb, cpuLimitMs, limitAddressSpace }) {
+  const args = [
+    `--nproc=${getNprocLimit()}`,
+    `--nofile=${SANDBOX_NOFILE_LIMIT}`,
+    `--fsize=${SANDBOX_FSIZE_LIMIT_KB * 1024}`,
+    "--core=0",
+  ];
+  if (cpuLimitMs != null) {
+    args.push(`--cpu=${Math.ceil(cpuLimitMs / 1000) + 1}`);
+  }
+  if (limitAddressSpace && memoryLimitKb != null) {
+    args.push(`--as=${(memoryLimitKb + ADDRESS_SPACE_SLACK_KB) * 1024}`);
+  }
+  return args;
+}
+
+async function chownTree(target, uid, gid) {
+  await fs.chown(target, uid, gid);
+  const stat = await fs.lstat(target);
+  if (!stat.isDirectory()) {
+    return;
+  }
+  for (const name of await fs.readdir(target)) {
+    await chownTree(path.join(target, name), uid, gid);
+  }
+}
+
+/**
+ * Gives the work directory and everything a sandboxed compiler wrote into it
+ * back to the judge, so the programs that run there later cannot modify the
+ * build products.
+ */
+export async function reclaimWorkDir(workDir) {
+  if (!getSandboxUser() || getSandboxMode() === "none") {
+    return;
+  }
+  await chownTree(workDir, process.getuid(), process.getgid());
+  await fs.chmod(workDir, 0o755);
+}
+
+/**
+ * Wraps a program invocation so that it runs isolated from the judge:
+ * private user/mount/pid/net/ipc namespaces, a read-only root, private tmp,
+ * no capabilities and hard rlimits. Returns the command, arguments and
+ * scrubbed environment to spawn. `writableWorkDir` is for compilers, which
+ * write their output next to the source; call reclaimWorkDir afterwards.
+ */
+export async function buildSandboxCommand({
+  command,
+  args,
+  workDir,
+  memoryLimitKb,
+  cpuLimitMs,
+  limitAddressSpace,
+  writableWorkDir = false,
+}) {
+  const mode = getSandboxMode();
+  if (mode === "none") {
+    return { command, args, env: SANDBOX_ENV };
+  }
+  // Checked before the work dir is opened up to the sandbox user.
+  if (mode === "namespaces" && !(await canUseNamespaces())) {
+    throw new Error(
+      "Sandbox namespaces are not available on this host. Set JUDGE_SANDBOX=rlimits to judge with rlimits only."
+    );
+  }
+
+  const user = getSandboxUser();
+  if (user && writableWorkDir) {
+    await fs.chown(workDir, user.uid, user.gid);
+    await fs.chmod(workDir, 0o700);
+  } else if (user) {
+    await fs.chmod(workDir, 0o755);
+  }
+
+  const limited = [
+    ...buildRlimitArgs({ memoryLimitKb, cpuLimitMs, limitAddressSpace }),
+    "--",
+    command,
+    ...args,
+  ];
+
+  if (mode === "rlimits") {
+    return { ...withPrivilegeDrop("prlimit", limited), env: SANDBOX_ENV };
+  }
+
+  return {
+    ...withPrivilegeDrop("unshare", [
+      ...NAMESPACE_ARGS,
+      "--",
+      "sh",
+      "-c",
+      MOUNT_SCRIPT,
+      "sh",
+      workDir,
+      writableWorkDir ? "rw" : "ro",
+      "prlimit",
+      ...limited,
+    ]),
+    env: SANDBOX_ENV,
+  };
+}
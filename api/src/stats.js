@@ -0,0 +1,106 @@
+// Problem statistics are kept in summary tables that the judge queue updates
+// as verdicts are written and retracted, so reading them never scans the
+// problem's submissions.
+
+const ACCEPTED = "Accepted";
+
+// Conditions for an accepted submission (EXCLUDED) replacing a record (r).
+const FASTER = `EXCLUDED.fastest_submission_id IS NOT NULL
+  AND (r.fastest_submission_id IS NULL
+       OR EXCLUDED.fastest_time_ms < r.fastest_time_ms)`;
+const SHORTER = `r.shortest_submission_id IS NULL
+  OR EXCLUDED.shortest_length < r.shortest_length`;
+
+/**
+ * Adds a freshly judged submission to its problem's verdict counts and, when
+ * accepted, to the per-language fastest and shortest records. Ties keep the
+ * earlier record.
+ */
+export async function recordJudgedSubmission(client, submissionId) {
+  await client.query(
+    `INSERT INTO problem_verdict_counts (problem_id, verdict, submission_count)
+     SELECT problem_id, verdict, 1
+     FROM submissions
+     WHERE id = $1 AND verdict IS NOT NULL
+     ON CONFLICT (problem_id, verdict) DO UPDATE
+     SET submission_count = problem_verdict_counts.submission_count + 1`,
+    [submissionId]
+  );
+  await client.query(
+    `INSERT INTO problem_language_records AS r
+      (problem_id, language_id, fastest_submission_id, fastest_time_ms,
+       shortest_submission_id, shortest_length)
+     SELECT problem_id,
+            language_id,
+            CASE WHEN exec_time_ms IS NULL THEN NULL ELSE id END,
+            exec_time_ms,
+            id,
+            length(source_code)
+     FROM submissions
+     WHERE id = $1 AND verdict = $2
+     ON CONFLICT (problem_id, language_id) DO UPDATE
+     SET fastest_submission_id = CASE WHEN ${FASTER}
+           THEN EXCLUDED.fastest_submission_id ELSE r.fastest_submission_id END,
+         fastest_time_ms = CASE WHEN ${FASTER}
+           THEN EXCLUDED.fastest_time_ms ELSE r.fastest_time_ms END,
+         shortest_submission_id = CASE WHEN ${SHORTER}
+           THEN EXCLUDED.shortest_submission_id ELSE r.shortest_submission_id END,
+         shortest_length = CASE WHEN ${SHORTER}
+           THEN EXCLUDED.shortest_length ELSE r.shortest_length END`,
+    [submissionId, ACCEPTED]
+  );
+}
+
+/**
+ * Takes judged submissions back out of the summaries before their verdicts
+ * are cleared for a rejudge. Records held by one of them are rebuilt from the
+ * remaining accepted submissions of that problem and language.
+ */
+export async function retractJudgedSubmissions(client, submissionIds) {
+  await client.query(
+    `UPDATE problem_verdict_counts c
+     SET submission_count = c.submission_count - s.submission_count
+     FROM (
+       SELECT problem_id, verdict, COUNT(*)::int AS submission_count
+       FROM submissions
+       WHERE id = ANY($1) AND verdict IS NOT NULL
+       GROUP BY problem_id, verdict
+     ) s
+     WHERE c.problem_id = s.problem_id AND c.verdict = s.verdict`,
+    [submissionIds]
+  );
+  const { rows } = await client.query(
+    `DELETE FROM problem_language_records
+     WHERE fastest_submission_id = ANY($1)
+        OR shortest_submission_id = ANY($1)
+     RETURNING problem_id, language_id`,
+    [submissionIds]
+  );
+  for (const row of rows) {
+    await client.query(
+      `INSERT INTO problem_language_records
+        (problem_id, language_id, fastest_submission_id, fastest_time_ms,
+         shortest_submission_id, shortest_length)
+       SELECT $2, $3, fastest.id, fastest.exec_time_ms, shortest.id,
+              shortest.length
+       FROM (
+         SELECT id, length(source_code) AS length
+         FROM submissions
+         WHERE problem_id = $2 AND language_id = $3 AND verdict = $4
+           AND id <> ALL($1)
+         ORDER BY length(source_code), id
+         LIMIT 1
+       ) shortest
+       LEFT JOIN (
+         SELECT id, exec_time_ms
+         FROM submissions
+         WHERE problem_id = $2 AND language_id = $3 AND verdict = $4
+           AND exec_time_ms IS NOT NULL
+           AND id <> ALL($1)
+         ORDER BY exec_time_ms, id
+         LIMIT 1
+       ) fastest ON TRUE`,
+      [submissionIds, row.problem_id, row.language_id, ACCEPTED]
+    );
+  }
+}
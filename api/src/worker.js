@@ -0,0 +1,92 @@
+import os from "os";
+import { pool } from "./db.js";
+import {
+  claimNextSubmission,
+  judgeClaimedSubmission,
+  requeueInterruptedSubmissions,
+} from "./queue.js";
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// JUDGE_WORKER_ID must stay stable across restarts so that this worker can
+// reclaim its own interrupted submissions; set it explicitly when running
+// several workers on one host.
+const WORKER_ID = process.env.JUDGE_WORKER_ID || os.hostname();
+const CONCURRENCY = readPositiveInt(process.env.JUDGE_CONCURRENCY, 1);
+const POLL_INTERVAL_MS = readPositiveInt(process.env.JUDGE_POLL_INTERVAL_MS, 500);
+const STALE_AFTER_MS = readPositiveInt(
+  process.env.JUDGE_STALE_AFTER_MS,
+  10 * 60 * 1000
+);
+
+let stopping = false;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function runSlot(slot) {
+  while (!stopping) {
+    let submissionId = null;
+    try {
+      submissionId = await claimNextSubmission(WORKER_ID);
+    } catch (error) {
+      console.error(`[worker ${WORKER_ID}#${slot}] failed to claim`, error);
+    }
+
+    if (!submissionId) {
+      await sleep(POLL_INTERVAL_MS);
+      continue;
+    }
+
+    try {
+      await judgeClaimedSubmission(submissionId, slot - 1);
+    } catch (error) {
+      console.error(
+        `[worker ${WORKER_ID}#${slot}] failed to judge submission ${submissionId}`,
+        error
+      );
+    }
+  }
+}
+
+async function main() {
+  const requeued = await requeueInterruptedSubmissions(
+    WORKER_ID,
+    STALE_AFTER_MS
+  );
+  if (requeued.length > 0) {
+    console.log(
+      `Re-queued ${requeued.length} interrupted submission(s): ${requeued.join(", ")}`
+    );
+  }
+
+  console.log(
+    `OJ judge worker ${WORKER_ID} started with concurrency ${CONCURRENCY}`
+  );
+
+  const slots = Array.from({ length: CONCURRENCY }, (_, index) =>
+    runSlot(index + 1)
+  );
+  await Promise.all(slots);
+  await pool.end();
+}
+
+const shutdown = () => {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+  console.log("Finishing in-flight submissions before exit...");
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+main().catch((error) => {
+  console.error("Judge worker crashed", error);
+  process.exit(1);
+});
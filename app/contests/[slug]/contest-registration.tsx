@@ -0,0 +1,131 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { useCurrentUser } from "@/lib/use-current-user";
+
+type Registration = {
+  is_virtual: boolean;
+  window_start: string | null;
+  window_end: string | null;
+  is_active: boolean;
+};
+
+type ContestRegistrationProps = {
+  slug: string;
+  phase: "upcoming" | "running" | "ended";
+};
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+export default function ContestRegistration({
+  slug,
+  phase,
+}: ContestRegistrationProps) {
+  const { user, isLoading } = useCurrentUser();
+  const [registration, setRegistration] = useState<Registration | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadRegistration = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiBase}/contests/${slug}`, {
+        credentials: "include",
+      });
+      if (!response.ok) {
+        return;
+      }
+      const payload = (await response.json()) as {
+        registration: Registration | null;
+      };
+      setRegistration(payload.registration);
+    } catch {
+      setRegistration(null);
+    }
+  }, [slug]);
+
+  useEffect(() => {
+    if (user) {
+      loadRegistration();
+    }
+  }, [user, loadRegistration]);
+
+  const handleRegister = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${apiBase}/contests/${slug}/register`, {
+        method: "POST",
+        credentials: "include",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ virtual: phase === "ended" }),
+      });
+      const payload = (await response.json()) as { error?: string };
+      if (!response.ok) {
+        throw new Error(payload.error || "Registration failed.");
+      }
+      await loadRegistration();
+    } catch (registerError) {
+      setError(
+        registerError instanceof Error
+          ? registerError.message
+          : "Registration failed."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  if (!user) {
+    return (
+      <p className="text-sm text-slate-600">
+        <Link href="/login" className="font-semibold text-amber-700">
+          Sign in
+        </Link>{" "}
+        to take part in this contest.
+      </p>
+    );
+  }
+
+  if (registration) {
+    return (
+      <div className="space-y-1 text-sm text-slate-700">
+        <p className="font-semibold">
+          {registration.is_virtual
+            ? "Registered for virtual participation."
+            : "You are registered."}
+        </p>
+        {registration.window_end ? (
+          <p className="text-slate-600">
+            {registration.is_active ? "Submissions close" : "Your window ends"}{" "}
+            {new Date(registration.window_end).toLocaleString()}.
+          </p>
+        ) : null}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <button
+        type="button"
+        className="rounded-full bg-amber-500 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-60"
+        onClick={handleRegister}
+        disabled={isSubmitting}
+      >
+        {phase === "ended" ? "Start Virtual Participation" : "Register"}
+      </button>
+      {error ? (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+
+type IcpcResult = {
+  label: string;
+  attempted: boolean;
+  solved?: boolean;
+  minutes?: number | null;
+  failedAttempts?: number;
+  pendingAttempts?: number;
+  firstSolve?: boolean;
+};
+
+type IoiResult = {
+  label: string;
+  attempted: boolean;
+  score?: number | null;
+  pendingAttempts?: number;
+};
+
+type StandingsRow = {
+  userId: number;
+  username: string;
+  displayName: string | null;
+  isVirtual: boolean;
+  rank: number;
+  score: number;
+  penalty: number | null;
+  results: (IcpcResult & IoiResult)[];
+};
+
+type Standings = {
+  mode: "icpc" | "ioi";
+  frozen: boolean;
+  freezeAt: string | null;
+  problems: { label: string; points: number }[];
+  rows: StandingsRow[];
+  canUnfreeze: boolean;
+};
+
+type ContestStandingsProps = {
+  slug: string;
+};
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+const REFRESH_INTERVAL_MS = 30000;
+
+function IcpcCell({ result }: { result: IcpcResult }) {
+  if (!result.attempted) {
+    return <span className="text-slate-400">-</span>;
+  }
+  if (result.solved) {
+    return (
+      <span
+        className={`inline-flex flex-col rounded-md px-2 py-1 font-semibold ${
+          result.firstSolve
+            ? "bg-emerald-600 text-white"
+            : "bg-emerald-100 text-emerald-700"
+        }`}
+        title={result.firstSolve ? "First to solve" : undefined}
+      >
+        +{result.failedAttempts ? result.failedAttempts : ""}
+        <span className="text-[10px] font-normal">{result.minutes}′</span>
+      </span>
+    );
+  }
+  if (result.pendingAttempts) {
+    return (
+      <span
+        className="inline-flex rounded-md bg-sky-100 px-2 py-1 font-semibold text-sky-700"
+        title="Submitted during the freeze"
+      >
+        {result.failedAttempts ? `-${result.failedAttempts} ` : ""}?
+        {result.pendingAttempts}
+      </span>
+    );
+  }
+  return (
+    <span className="inline-flex rounded-md bg-red-50 px-2 py-1 font-semibold text-red-600">
+      -{result.failedAttempts}
+    </span>
+  );
+}
+
+function IoiCell({ result }: { result: IoiResult }) {
+  if (!result.attempted) {
+    return <span className="text-slate-400">-</span>;
+  }
+  return (
+    <span
+      className={
+        result.score
+          ? "font-semibold text-emerald-700"
+          : "font-semibold text-red-600"
+      }
+    >
+      {result.score ?? 0}
+      {result.pendingAttempts ? (
+        <span className="ml-1 text-sky-600" title="Submitted during the freeze">
+          ?
+        </span>
+      ) : null}
+    </span>
+  );
+}
+
+export default function ContestStandings({ slug }: ContestStandingsProps) {
+  const [standings, setStandings] = useState<Standings | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isUnfreezing, setIsUnfreezing] = useState(false);
+
+  const loadStandings = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiBase}/contests/${slug}/standings`, {
+        credentials: "include",
+        cache: "no-store",
+      });
+      if (!response.ok) {
+        return;
+      }
+      setStandings((await response.json()) as Standings);
+    } catch {
+      // Keep the last scoreboard and try again on the next refresh.
+    }
+  }, [slug]);
+
+  useEffect(() => {
+    loadStandings();
+    const interval = window.setInterval(loadStandings, REFRESH_INTERVAL_MS);
+    return () => window.clearInterval(interval);
+  }, [loadStandings]);
+
+  const handleUnfreeze = async () => {
+    setIsUnfreezing(true);
+    setError(null);
+    try {
+      const response = await fetch(`${apiBase}/contests/${slug}/unfreeze`, {
+        method: "POST",
+        credentials: "include",
+      });
+      const payload = (await response.json()) as { error?: string };
+      if (!response.ok) {
+        throw new Error(payload.error || "Unfreeze failed.");
+      }
+      await loadStandings();
+    } catch (unfreezeError) {
+      setError(
+        unfreezeError instanceof Error
+          ? unfreezeError.message
+          : "Unfreeze failed."
+      );
+    } finally {
+      setIsUnfreezing(false);
+    }
+  };
+
+  if (!standings || standings.rows.length === 0) {
+    return null;
+  }
+
+  const isIcpc = standings.mode === "icpc";
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-lg font-semibold">
+          Standings
+          <span className="ml-3 rounded-full bg-slate-100 px-3 py-1 text-xs font-semibold uppercase tracking-[0.15em] text-slate-600">
+            {standings.mode}
+          </span>
+        </h2>
+        {standings.canUnfreeze ? (
+          <button
+            type="button"
+            className="rounded-full bg-sky-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-sky-700 disabled:cursor-not-allowed disabled:opacity-60"
+            onClick={handleUnfreeze}
+            disabled={isUnfreezing}
+          >
+            Unfreeze Scoreboard
+          </button>
+        ) : null}
+      </div>
+      {standings.frozen && standings.freezeAt ? (
+        <p className="mt-3 rounded-lg border border-sky-200 bg-sky-50 p-3 text-sm text-sky-800">
+          The scoreboard has been frozen since{" "}
+          {new Date(standings.freezeAt).toLocaleString()}. Later submissions are
+          shown as pending until the results are revealed.
+        </p>
+      ) : null}
+      {error ? (
+        <div className="mt-3 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      ) : null}
+      <div className="mt-4 overflow-x-auto">
+        <table className="min-w-full text-left text-xs text-slate-700">
+          <thead className="text-[11px] uppercase tracking-[0.2em] text-slate-500">
+            <tr>
+              <th className="py-2 pr-4">Rank</th>
+              <th className="py-2 pr-4">Participant</th>
+              <th className="py-2 pr-4">{isIcpc ? "Solved" : "Score"}</th>
+              {isIcpc ? <th className="py-2 pr-4">Penalty</th> : null}
+              {standings.problems.map((problem) => (
+                <th
+                  key={problem.label}
+                  className="py-2 pr-4"
+                  title={`${problem.points} pts`}
+                >
+                  {problem.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-200">
+            {standings.rows.map((row) => (
+              <tr key={row.userId}>
+                <td className="py-3 pr-4 font-semibold">{row.rank}</td>
+                <td className="py-3 pr-4">
+                  <Link
+                    href={`/users/${row.username}`}
+                    className="transition hover:text-amber-700"
+                  >
+                    {row.displayName || row.username}
+                  </Link>
+                  {row.isVirtual ? (
+                    <span className="ml-2 text-[10px] uppercase tracking-[0.15em] text-slate-400">
+                      virtual
+                    </span>
+                  ) : null}
+                </td>
+                <td className="py-3 pr-4 font-semibold">{row.score}</td>
+                {isIcpc ? <td className="py-3 pr-4">{row.penalty}</td> : null}
+                {row.results.map((result) => (
+                  <td key={result.label} className="py-3 pr-4">
+                    {isIcpc ? (
+                      <IcpcCell result={result} />
+                    ) : (
+                      <IoiCell result={result} />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
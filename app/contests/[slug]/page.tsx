@@ -0,0 +1,136 @@
+import Link from "next/link";
+import { cookies } from "next/headers";
+import { notFound } from "next/navigation";
+import { getApiBase } from "@/lib/api";
+import ContestRegistration from "./contest-registration";
+import ContestStandings from "./contest-standings";
+
+export const dynamic = "force-dynamic";
+
+type ContestDetail = {
+  id: number;
+  slug: string;
+  title: string;
+  description: string | null;
+  start_time: string | null;
+  end_time: string | null;
+  duration_minutes: number | null;
+  scoring_mode: "icpc" | "ioi";
+  freeze_minutes: number | null;
+  phase: "upcoming" | "running" | "ended";
+};
+
+type ContestProblem = {
+  label: string;
+  problem_id: number;
+  title: string;
+  points: number;
+};
+
+async function fetchContest(slug: string) {
+  const apiBase = getApiBase();
+  const cookieHeader = (await cookies()).toString();
+  const response = await fetch(`${apiBase}/contests/${slug}`, {
+    cache: "no-store",
+    headers: cookieHeader ? { cookie: cookieHeader } : undefined,
+  });
+  if (!response.ok) {
+    return null;
+  }
+  return (await response.json()) as {
+    contest: ContestDetail;
+    problems: ContestProblem[];
+    problemsVisible: boolean;
+  };
+}
+
+function formatTime(value: string | null) {
+  return value ? new Date(value).toLocaleString() : "TBA";
+}
+
+export default async function ContestPage({
+  params,
+}: {
+  params: { slug: string } | Promise<{ slug: string }>;
+}) {
+  const { slug } = await Promise.resolve(params);
+  const contestPayload = await fetchContest(slug);
+
+  if (!contestPayload) {
+    notFound();
+  }
+
+  const { contest, problems, problemsVisible } = contestPayload;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-amber-50 to-white text-slate-900">
+      <div className="mx-auto flex max-w-5xl flex-col gap-10 px-6 py-10">
+        <Link
+          href="/contests"
+          className="text-sm font-semibold uppercase tracking-[0.2em] text-amber-700"
+        >
+          Back to contests
+        </Link>
+
+        <header className="space-y-4">
+          <p className="text-xs font-semibold uppercase tracking-[0.3em] text-slate-500">
+            {contest.phase}
+          </p>
+          <h1 className="text-4xl font-semibold">{contest.title}</h1>
+          <p className="text-sm text-slate-600">
+            {formatTime(contest.start_time)} – {formatTime(contest.end_time)}
+            {contest.duration_minutes
+              ? ` · ${contest.duration_minutes} minutes for virtual runs`
+              : null}
+            {` · ${contest.scoring_mode.toUpperCase()} scoring`}
+            {contest.freeze_minutes
+              ? ` · scoreboard freezes ${contest.freeze_minutes} minutes before the end`
+              : null}
+          </p>
+          {contest.description ? (
+            <p className="max-w-2xl whitespace-pre-wrap text-sm text-slate-700">
+              {contest.description}
+            </p>
+          ) : null}
+          <ContestRegistration slug={contest.slug} phase={contest.phase} />
+        </header>
+
+        <section className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+          <h2 className="text-lg font-semibold">Problems</h2>
+          {!problemsVisible ? (
+            <p className="mt-4 text-sm text-slate-600">
+              Problems are revealed when the contest starts.
+            </p>
+          ) : problems.length === 0 ? (
+            <p className="mt-4 text-sm text-slate-600">
+              No problems have been added yet.
+            </p>
+          ) : (
+            <ul className="mt-4 divide-y divide-slate-200">
+              {problems.map((problem) => (
+                <li key={problem.problem_id}>
+                  <Link
+                    href={`/problems/${problem.problem_id}?contest=${contest.id}`}
+                    className="flex items-center justify-between gap-4 py-3 text-sm transition hover:text-amber-700"
+                  >
+                    <span>
+                      <span className="mr-3 inline-flex h-7 w-7 items-center justify-center rounded-full bg-amber-100 font-semibold text-amber-700">
+                        {problem.label}
+                      </span>
+                      {problem.title}
+                    </span>
+                    <span className="text-xs font-semibold text-slate-500">
+                      {problem.points} pts
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <ContestStandings slug={contest.slug} />
+      </div>
+    </div>
+  );
+}
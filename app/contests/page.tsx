@@ -0,0 +1,101 @@
+import Link from "next/link";
+import { cookies } from "next/headers";
+import { getApiBase } from "@/lib/api";
+
+export const dynamic = "force-dynamic";
+
+type ContestSummary = {
+  id: number;
+  slug: string;
+  title: string;
+  start_time: string | null;
+  end_time: string | null;
+  duration_minutes: number | null;
+  participant_count: number;
+  phase: "upcoming" | "running" | "ended";
+};
+
+const phaseStyles: Record<ContestSummary["phase"], string> = {
+  upcoming: "bg-sky-100 text-sky-700",
+  running: "bg-emerald-100 text-emerald-700",
+  ended: "bg-slate-100 text-slate-600",
+};
+
+async function fetchContests(): Promise<ContestSummary[]> {
+  const apiBase = getApiBase();
+  const cookieHeader = (await cookies()).toString();
+  const response = await fetch(`${apiBase}/contests`, {
+    cache: "no-store",
+    headers: cookieHeader ? { cookie: cookieHeader } : undefined,
+  });
+  if (!response.ok) {
+    return [];
+  }
+  const data = (await response.json()) as { contests: ContestSummary[] };
+  return data.contests ?? [];
+}
+
+function formatTime(value: string | null) {
+  return value ? new Date(value).toLocaleString() : "TBA";
+}
+
+export default async function ContestsPage() {
+  const contests = await fetchContests();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-amber-50 to-white text-slate-900">
+      <div className="mx-auto flex max-w-5xl flex-col gap-10 px-6 py-14">
+        <Link
+          href="/"
+          className="text-sm font-semibold uppercase tracking-[0.2em] text-amber-700"
+        >
+          Back to problem list
+        </Link>
+
+        <header className="space-y-2">
+          <h1 className="text-4xl font-semibold">Contests</h1>
+          <p className="text-sm text-slate-600">
+            Register for upcoming rounds, or replay finished ones as a virtual
+            participant.
+          </p>
+        </header>
+
+        <div className="grid gap-4">
+          {contests.length === 0 ? (
+            <div className="rounded-2xl border border-dashed border-slate-300 bg-white/70 p-6 text-sm text-slate-600">
+              No contests scheduled yet.
+            </div>
+          ) : (
+            contests.map((contest) => (
+              <Link
+                key={contest.id}
+                href={`/contests/${contest.slug}`}
+                className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm transition hover:-translate-y-0.5 hover:border-amber-200 hover:shadow-lg"
+              >
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <h2 className="text-xl font-semibold text-slate-900">
+                    {contest.title}
+                  </h2>
+                  <div className="flex flex-wrap gap-2 text-xs font-semibold">
+                    <span
+                      className={`rounded-full px-3 py-1 capitalize ${phaseStyles[contest.phase]}`}
+                    >
+                      {contest.phase}
+                    </span>
+                    <span className="rounded-full bg-slate-100 px-3 py-1 text-slate-700">
+                      {contest.participant_count} registered
+                    </span>
+                  </div>
+                </div>
+                <p className="mt-3 text-sm text-slate-600">
+                  {formatTime(contest.start_time)} –{" "}
+                  {formatTime(contest.end_time)}
+                </p>
+              </Link>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import Link from "next/link";
+import AuthForm from "@/components/auth-form";
+
+export default function LoginPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-amber-50 to-white text-slate-900">
+      <div className="mx-auto flex max-w-md flex-col gap-6 px-6 py-14">
+        <Link
+          href="/"
+          className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500 hover:text-amber-700"
+        >
+          Back to problems
+        </Link>
+        <header className="space-y-2">
+          <h1 className="text-3xl font-semibold">Sign In</h1>
+          <p className="text-sm text-slate-600">
+            Sign in to have your submissions and board posts attributed to you.
+          </p>
+        </header>
+        <AuthForm mode="login" />
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import Link from "next/link";
+import { cookies } from "next/headers";
 import { getApiBase } from "@/lib/api";
 
 export const dynamic = "force-dynamic";
@@ -11,20 +12,110 @@ type ProblemSummary = {
   time_limit_ms: number;
   memory_limit_kb: number;
   points: number;
+  tags: string[];
+  solved: boolean | null;
 };
 
-async function fetchProblems(): Promise<ProblemSummary[]> {
+type ProblemPage = {
+  problems: ProblemSummary[];
+  total: number;
+  page: number;
+  pageSize: number;
+  error?: string;
+};
+
+type Tag = {
+  id: number;
+  name: string;
+  problem_count: number;
+};
+
+const FILTER_KEYS = [
+  "q",
+  "tag",
+  "minDifficulty",
+  "maxDifficulty",
+  "minPoints",
+  "maxPoints",
+  "status",
+] as const;
+
+type Filters = Partial<Record<(typeof FILTER_KEYS)[number], string>>;
+
+const inputClassName =
+  "w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 shadow-sm focus:border-amber-400 focus:outline-none";
+const labelClassName =
+  "space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500";
+
+// The session cookie is forwarded so that the API can report solved status.
+async function fetchProblems(
+  filters: Filters,
+  page: string | undefined
+): Promise<ProblemPage> {
   const apiBase = getApiBase();
-  const response = await fetch(`${apiBase}/problems`, { cache: "no-store" });
-  if (!response.ok) {
+  const query = new URLSearchParams(filters);
+  if (page) {
+    query.set("page", page);
+  }
+  const cookieHeader = (await cookies()).toString();
+  try {
+    const response = await fetch(`${apiBase}/problems?${query}`, {
+      cache: "no-store",
+      headers: cookieHeader ? { cookie: cookieHeader } : undefined,
+    });
+    const data = (await response.json()) as ProblemPage;
+    if (!response.ok) {
+      return {
+        problems: [],
+        total: 0,
+        page: 1,
+        pageSize: 1,
+        error: data.error ?? "Failed to load problems.",
+      };
+    }
+    return data;
+  } catch {
+    return { problems: [], total: 0, page: 1, pageSize: 1 };
+  }
+}
+
+async function fetchTags(): Promise<Tag[]> {
+  const apiBase = getApiBase();
+  try {
+    const response = await fetch(`${apiBase}/tags`, { cache: "no-store" });
+    if (!response.ok) {
+      return [];
+    }
+    const data = (await response.json()) as { tags: Tag[] };
+    return data.tags ?? [];
+  } catch {
     return [];
   }
-  const data = (await response.json()) as { problems: ProblemSummary[] };
-  return data.problems ?? [];
 }
 
-export default async function Home() {
-  const problems = await fetchProblems();
+export default async function Home({
+  searchParams,
+}: {
+  searchParams?:
+    | Record<string, string | undefined>
+    | Promise<Record<string, string | undefined>>;
+}) {
+  const params = (await Promise.resolve(searchParams)) ?? {};
+  const filters: Filters = {};
+  for (const key of FILTER_KEYS) {
+    if (params[key]) {
+      filters[key] = params[key];
+    }
+  }
+  const [problemPage, tags] = await Promise.all([
+    fetchProblems(filters, params.page),
+    fetchTags(),
+  ]);
+  const { problems, total, page, pageSize } = problemPage;
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+  const pageHref = (target: number) =>
+    `/?${new URLSearchParams({ ...filters, page: String(target) })}`;
+  const isFiltered = Object.keys(filters).length > 0;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-amber-50 to-white text-slate-900">
@@ -47,20 +138,137 @@ export default async function Home() {
             <div>
               <h2 className="text-2xl font-semibold">Problem Set</h2>
               <span className="text-sm text-slate-600">
-                {problems.length} problems available
+                {total} problem{total === 1 ? "" : "s"}{" "}
+                {isFiltered ? "match these filters" : "available"}
               </span>
             </div>
-            <Link
-              href="/problems/new"
-              className="rounded-full border border-slate-200 bg-white/70 px-4 py-2 text-xs font-semibold uppercase tracking-[0.2em] text-slate-700 shadow-sm transition hover:border-amber-300 hover:text-amber-700"
-            >
-              Create Problem
-            </Link>
+            <div className="flex flex-wrap gap-2">
+              <Link
+                href="/submissions"
+                className="rounded-full border border-slate-200 bg-white/70 px-4 py-2 text-xs font-semibold uppercase tracking-[0.2em] text-slate-700 shadow-sm transition hover:border-amber-300 hover:text-amber-700"
+              >
+                Submissions
+              </Link>
+              <Link
+                href="/contests"
+                className="rounded-full border border-slate-200 bg-white/70 px-4 py-2 text-xs font-semibold uppercase tracking-[0.2em] text-slate-700 shadow-sm transition hover:border-amber-300 hover:text-amber-700"
+              >
+                Contests
+              </Link>
+              <Link
+                href="/problems/new"
+                className="rounded-full border border-slate-200 bg-white/70 px-4 py-2 text-xs font-semibold uppercase tracking-[0.2em] text-slate-700 shadow-sm transition hover:border-amber-300 hover:text-amber-700"
+              >
+                Create Problem
+              </Link>
+            </div>
           </div>
+          <form
+            method="get"
+            className="grid gap-4 rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm sm:grid-cols-2 lg:grid-cols-4"
+          >
+            <label className={`${labelClassName} sm:col-span-2`}>
+              <span>Search</span>
+              <input
+                name="q"
+                defaultValue={filters.q}
+                placeholder="Words from the title or statement"
+                className={inputClassName}
+              />
+            </label>
+            <label className={labelClassName}>
+              <span>Tag</span>
+              <select
+                name="tag"
+                defaultValue={filters.tag ?? ""}
+                className={inputClassName}
+              >
+                <option value="">Any</option>
+                {tags.map((tag) => (
+                  <option key={tag.id} value={tag.name}>
+                    {tag.name} ({tag.problem_count})
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={labelClassName}>
+              <span>Status</span>
+              <select
+                name="status"
+                defaultValue={filters.status ?? ""}
+                className={inputClassName}
+              >
+                <option value="">Any</option>
+                <option value="solved">Solved</option>
+                <option value="unsolved">Unsolved</option>
+              </select>
+            </label>
+            <div className={labelClassName}>
+              <span>Difficulty</span>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  name="minDifficulty"
+                  defaultValue={filters.minDifficulty}
+                  placeholder="Min"
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  name="maxDifficulty"
+                  defaultValue={filters.maxDifficulty}
+                  placeholder="Max"
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <div className={labelClassName}>
+              <span>Points</span>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  name="minPoints"
+                  defaultValue={filters.minPoints}
+                  placeholder="Min"
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  name="maxPoints"
+                  defaultValue={filters.maxPoints}
+                  placeholder="Max"
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <div className="flex items-end gap-2 sm:col-span-2">
+              <button
+                type="submit"
+                className="rounded-full bg-amber-500 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-amber-600"
+              >
+                Filter
+              </button>
+              {isFiltered ? (
+                <Link
+                  href="/"
+                  className="rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-semibold text-slate-600 transition hover:border-amber-200 hover:text-slate-900"
+                >
+                  Reset
+                </Link>
+              ) : null}
+            </div>
+          </form>
+          {problemPage.error ? (
+            <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+              {problemPage.error}
+            </div>
+          ) : null}
           <div className="grid gap-4">
             {problems.length === 0 ? (
               <div className="rounded-2xl border border-dashed border-slate-300 bg-white/70 p-6 text-sm text-slate-600">
-                No problems found. Make sure the API and database are running.
+                {isFiltered
+                  ? "No problems match these filters."
+                  : "No problems found. Make sure the API and database are running."}
               </div>
             ) : (
               problems.map((problem) => (
@@ -79,6 +287,11 @@ export default async function Home() {
                       </h3>
                     </div>
                     <div className="flex flex-wrap gap-2 text-xs font-semibold text-slate-700">
+                      {problem.solved ? (
+                        <span className="rounded-full bg-emerald-600 px-3 py-1 text-white">
+                          Solved
+                        </span>
+                      ) : null}
                       <span className="rounded-full bg-emerald-100 px-3 py-1 text-emerald-700">
                         {problem.points} pts
                       </span>
@@ -93,13 +306,48 @@ export default async function Home() {
                       </span>
                     </div>
                   </div>
-                  <p className="mt-3 text-sm text-slate-600">
-                    Open the statement, read samples, and submit your solution.
-                  </p>
+                  {problem.tags.length > 0 ? (
+                    <div className="mt-3 flex flex-wrap gap-2">
+                      {problem.tags.map((tag) => (
+                        <span
+                          key={tag}
+                          className="rounded-full border border-slate-200 px-2 py-0.5 text-[11px] font-semibold text-slate-600"
+                        >
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="mt-3 text-sm text-slate-600">
+                      Open the statement, read samples, and submit your
+                      solution.
+                    </p>
+                  )}
                 </Link>
               ))
             )}
           </div>
+          {pageCount > 1 ? (
+            <div className="flex items-center justify-between text-sm font-semibold">
+              {page > 1 ? (
+                <Link href={pageHref(page - 1)} className="text-amber-700">
+                  Previous
+                </Link>
+              ) : (
+                <span />
+              )}
+              <span className="text-slate-500">
+                Page {page} of {pageCount}
+              </span>
+              {page < pageCount ? (
+                <Link href={pageHref(page + 1)} className="text-amber-700">
+                  Next
+                </Link>
+              ) : (
+                <span />
+              )}
+            </div>
+          ) : null}
         </section>
       </div>
     </div>
@@ -2,6 +2,7 @@
 
 import { useEffect, useMemo, useState } from "react";
 import CodeEditor from "@/components/code-editor";
+import LanguageLimits from "./language-limits";
 import { starterCode } from "./starter-code";
 
 type Language = {
@@ -10,9 +11,17 @@ type Language = {
   name: string;
 };
 
+type LanguageLimit = {
+  language_key: string;
+  time_limit_ms: number;
+  memory_limit_kb: number | null;
+};
+
 type RunResult = {
   status: string;
   execTimeMs: number | null;
+  cpuTimeMs: number | null;
+  wallTimeMs: number | null;
   memoryKb: number | null;
   output: string | null;
   error: string | null;
@@ -22,6 +31,7 @@ type RunResult = {
 type CodeTestProps = {
   problemId: number;
   languages: Language[];
+  languageLimits: LanguageLimit[];
 };
 
 const formatMemory = (memoryKb: number | null) => {
@@ -38,7 +48,11 @@ const formatTime = (execTimeMs: number | null) => {
   return `${execTimeMs} ms`;
 };
 
-export default function CodeTest({ problemId, languages }: CodeTestProps) {
+export default function CodeTest({
+  problemId,
+  languages,
+  languageLimits,
+}: CodeTestProps) {
   const defaultLanguage = languages[0]?.key ?? "cpp17";
   const [languageKey, setLanguageKey] = useState(defaultLanguage);
   const [code, setCode] = useState(starterCode[defaultLanguage] ?? "");
@@ -66,6 +80,7 @@ export default function CodeTest({ problemId, languages }: CodeTestProps) {
     try {
       const response = await fetch(`${apiBase}/problems/${problemId}/run`, {
         method: "POST",
+        credentials: "include",
         headers: {
           "Content-Type": "application/json",
         },
@@ -120,6 +135,10 @@ export default function CodeTest({ problemId, languages }: CodeTestProps) {
                   </option>
                 ))}
               </select>
+              <LanguageLimits
+                languageKey={languageKey}
+                languageLimits={languageLimits}
+              />
             </label>
           </div>
         </div>
@@ -168,8 +187,9 @@ export default function CodeTest({ problemId, languages }: CodeTestProps) {
                 {result.status}
               </span>
             </div>
-            <div className="grid gap-1 text-[11px] text-slate-600 sm:grid-cols-2">
-              <span>Time: {formatTime(result.execTimeMs)}</span>
+            <div className="grid gap-1 text-[11px] text-slate-600 sm:grid-cols-3">
+              <span>CPU: {formatTime(result.cpuTimeMs ?? result.execTimeMs)}</span>
+              <span>Wall: {formatTime(result.wallTimeMs)}</span>
               <span>Memory: {formatMemory(result.memoryKb)}</span>
             </div>
 
@@ -0,0 +1,39 @@
+type LanguageLimit = {
+  language_key: string;
+  time_limit_ms: number;
+  memory_limit_kb: number | null;
+};
+
+type LanguageLimitsProps = {
+  languageKey: string;
+  languageLimits: LanguageLimit[];
+};
+
+export default function LanguageLimits({
+  languageKey,
+  languageLimits,
+}: LanguageLimitsProps) {
+  const limit = languageLimits.find(
+    (item) => item.language_key === languageKey
+  );
+
+  if (!limit) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-2 text-[11px] font-semibold normal-case tracking-normal text-slate-600">
+      <span className="rounded-full bg-slate-100 px-3 py-1">
+        {limit.time_limit_ms} ms
+      </span>
+      {limit.memory_limit_kb != null ? (
+        <span className="rounded-full bg-slate-100 px-3 py-1">
+          {Math.round(limit.memory_limit_kb / 1024)} MB
+        </span>
+      ) : null}
+      <span className="px-1 py-1 font-normal text-slate-500">
+        Effective limits for this language
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import OutputDiff from "./output-diff";
+
+type SubmissionDetail = {
+  id: number;
+  status: string;
+  verdict: string | null;
+  exec_time_ms: number | null;
+  compiler_output: string | null;
+  score: number | null;
+  compare_mode?: string | null;
+  compare_epsilon?: number | null;
+};
+
+type TestcaseResult = {
+  testcase_id: number;
+  name: string | null;
+  group_name: string | null;
+  status: string;
+  exec_time_ms: number | null;
+  memory_kb: number | null;
+  score: number | null;
+  error: string | null;
+  checker_message: string | null;
+  transcript: string | null;
+  output?: string | null;
+  is_sample?: boolean;
+  // Only sent for samples and for failing hidden testcases the problem
+  // reveals in practice.
+  expected_output?: string | null;
+};
+
+type SubmissionPayload = {
+  submission: SubmissionDetail;
+  results: TestcaseResult[];
+  totalTestcases: number;
+  totalScore: number | null;
+};
+
+type LatestVerdictProps = {
+  submissionId: number | null;
+};
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+const PENDING_STATUSES = new Set(["queued", "Judging"]);
+const PASSED_STATUSES = new Set(["Accepted", "Skipped"]);
+
+function formatMemory(memoryKb: number | null) {
+  if (memoryKb == null) {
+    return "-";
+  }
+  return `${Math.round(memoryKb / 1024)} MB`;
+}
+
+function formatTime(execTimeMs: number | null) {
+  if (execTimeMs == null) {
+    return "-";
+  }
+  return `${execTimeMs} ms`;
+}
+
+function statusClassName(status: string) {
+  if (status === "Accepted") {
+    return "text-emerald-700";
+  }
+  if (status === "Skipped") {
+    return "text-slate-400";
+  }
+  if (status === "Partially Correct") {
+    return "text-amber-700";
+  }
+  return "text-red-700";
+}
+
+function formatFraction(score: number | null) {
+  if (score == null) {
+    return "-";
+  }
+  return `${Math.round(score * 100)}%`;
+}
+
+export default function LatestVerdict({ submissionId }: LatestVerdictProps) {
+  const [payload, setPayload] = useState<SubmissionPayload | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (submissionId == null) {
+      return;
+    }
+
+    let isActive = true;
+    // Progress is pushed by the API; the full submission is (re)loaded
+    // whenever the stream (re)connects and once the verdict is in.
+    const events = new EventSource(
+      `${apiBase}/submissions/${submissionId}/events`,
+      { withCredentials: true }
+    );
+
+    const fetchSubmission = async () => {
+      try {
+        const response = await fetch(`${apiBase}/submissions/${submissionId}`, {
+          credentials: "include",
+        });
+        if (!response.ok) {
+          throw new Error("Failed to load submission.");
+        }
+        const data = (await response.json()) as SubmissionPayload;
+        if (!isActive) {
+          return;
+        }
+        setPayload(data);
+        setError(null);
+        if (!PENDING_STATUSES.has(data.submission.status)) {
+          events.close();
+        }
+      } catch (fetchError) {
+        if (isActive) {
+          setError(
+            fetchError instanceof Error
+              ? fetchError.message
+              : "Failed to load submission."
+          );
+        }
+      }
+    };
+
+    const updateStatus = (status: string, clearResults: boolean) => {
+      setPayload((current) =>
+        current
+          ? {
+              ...current,
+              submission: { ...current.submission, status, verdict: null },
+              results: clearResults ? [] : current.results,
+            }
+          : current
+      );
+    };
+
+    events.addEventListener("open", fetchSubmission);
+    events.addEventListener("queued", () => updateStatus("queued", true));
+    events.addEventListener("judging", () => updateStatus("Judging", false));
+    events.addEventListener("result", (message) => {
+      const { result } = JSON.parse((message as MessageEvent<string>).data) as {
+        result: TestcaseResult;
+      };
+      setPayload((current) =>
+        current &&
+        !current.results.some((item) => item.testcase_id === result.testcase_id)
+          ? {
+              ...current,
+              results: [
+                ...current.results,
+                {
+                  ...result,
+                  error: null,
+                  checker_message: null,
+                  transcript: null,
+                },
+              ],
+            }
+          : current
+      );
+    });
+    events.addEventListener("verdict", fetchSubmission);
+
+    setPayload(null);
+
+    return () => {
+      isActive = false;
+      events.close();
+    };
+  }, [submissionId]);
+
+  if (submissionId == null) {
+    return (
+      <div className="rounded-2xl border border-slate-200 bg-white/80 p-6 text-sm text-slate-600 shadow-sm">
+        Submit a solution to see its verdict here.
+      </div>
+    );
+  }
+
+  const submission = payload?.submission;
+  const skippedCount =
+    payload?.results.filter((result) => result.status === "Skipped").length ??
+    0;
+  const isPending = submission
+    ? PENDING_STATUSES.has(submission.status)
+    : true;
+  const diffResults =
+    payload?.results.filter(
+      (result) =>
+        result.expected_output != null && !PASSED_STATUSES.has(result.status)
+    ) ?? [];
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-lg font-semibold">Submission {submissionId}</h2>
+        {submission ? (
+          <div className="flex flex-wrap items-center gap-2 text-xs font-semibold text-slate-700">
+            <span className="rounded-full bg-slate-900 px-3 py-1 text-white">
+              {submission.verdict ?? submission.status}
+            </span>
+            {!isPending ? (
+              <span className="rounded-full bg-emerald-100 px-3 py-1 text-emerald-700">
+                {submission.score ?? 0}
+                {payload?.totalScore != null ? ` / ${payload.totalScore}` : ""}{" "}
+                pts
+              </span>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+
+      {error ? (
+        <div className="mt-4 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      ) : null}
+
+      {isPending ? (
+        <p className="mt-4 text-sm text-slate-600">
+          Judging
+          {payload
+            ? ` (${payload.results.length}/${payload.totalTestcases})`
+            : ""}
+          ...
+        </p>
+      ) : null}
+
+      {!isPending && skippedCount > 0 ? (
+        <p className="mt-4 text-xs text-slate-500">
+          {skippedCount} testcase{skippedCount === 1 ? " was" : "s were"}{" "}
+          skipped after an earlier failure in the same group.
+        </p>
+      ) : null}
+
+      {submission?.compiler_output ? (
+        <pre className="mt-4 whitespace-pre-wrap rounded-lg border border-slate-200 bg-slate-50 p-3 text-xs font-mono text-slate-800">
+          {submission.compiler_output}
+        </pre>
+      ) : null}
+
+      {payload && payload.results.length > 0 ? (
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full text-left text-xs text-slate-700">
+            <thead className="text-[11px] uppercase tracking-[0.2em] text-slate-500">
+              <tr>
+                <th className="py-2 pr-4">Testcase</th>
+                <th className="py-2 pr-4">Group</th>
+                <th className="py-2 pr-4">Verdict</th>
+                <th className="py-2 pr-4">Score</th>
+                <th className="py-2 pr-4">Time</th>
+                <th className="py-2 pr-4">Memory</th>
+                <th className="py-2 pr-4">Message</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {payload.results.map((result, index) => (
+                <tr key={result.testcase_id}>
+                  <td className="py-3 pr-4 font-semibold">
+                    {result.name ?? `#${index + 1}`}
+                  </td>
+                  <td className="py-3 pr-4">{result.group_name ?? "-"}</td>
+                  <td
+                    className={`py-3 pr-4 font-semibold ${statusClassName(
+                      result.status
+                    )}`}
+                  >
+                    {result.status}
+                  </td>
+                  <td className="py-3 pr-4">{formatFraction(result.score)}</td>
+                  <td className="py-3 pr-4">
+                    {formatTime(result.exec_time_ms)}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {formatMemory(result.memory_kb)}
+                  </td>
+                  <td className="max-w-xs py-3 pr-4 whitespace-pre-wrap text-slate-600">
+                    {result.checker_message ?? result.error ?? "-"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+
+      {diffResults.length > 0 ? (
+        <div className="mt-4 space-y-2">
+          {diffResults.map((result, index) => (
+            <details
+              key={result.testcase_id}
+              className="rounded-lg border border-slate-200 bg-slate-50 p-3"
+              open={index === 0}
+            >
+              <summary className="cursor-pointer text-xs font-semibold text-slate-700">
+                Output diff: {result.name ?? `#${result.testcase_id}`}
+                <span className="ml-2 text-[10px] uppercase tracking-[0.15em] text-slate-500">
+                  {result.is_sample ? "sample" : "hidden"}
+                </span>
+              </summary>
+              <div className="mt-3">
+                <OutputDiff
+                  expected={result.expected_output ?? ""}
+                  actual={result.output ?? null}
+                  compareMode={submission?.compare_mode}
+                  compareEpsilon={submission?.compare_epsilon}
+                />
+              </div>
+            </details>
+          ))}
+        </div>
+      ) : null}
+
+      {payload?.results.some((result) => result.transcript) ? (
+        <div className="mt-4 space-y-2">
+          {payload.results.map((result, index) =>
+            result.transcript ? (
+              <details
+                key={result.testcase_id}
+                className="rounded-lg border border-slate-200 bg-slate-50 p-3"
+              >
+                <summary className="cursor-pointer text-xs font-semibold text-slate-700">
+                  Transcript: {result.name ?? `#${index + 1}`}
+                </summary>
+                <pre className="mt-2 max-h-64 overflow-auto whitespace-pre-wrap text-xs font-mono text-slate-800">
+                  {result.transcript}
+                </pre>
+              </details>
+            ) : null
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,375 @@
+"use client";
+
+type OutputDiffProps = {
+  expected: string;
+  actual: string | null;
+  // The problem's built-in comparison; null when a checker or interactor
+  // judges the output.
+  compareMode?: string | null;
+  compareEpsilon?: number | null;
+};
+
+// A line and, when the difference is in a single token, that token.
+type Position = {
+  line: number;
+  token: number | null;
+};
+
+type Mismatch = {
+  expected: Position | null;
+  actual: Position | null;
+  message: string;
+};
+
+type Token = Position & { text: string };
+
+const MAX_LINES = 200;
+const DEFAULT_COMPARE_EPSILON = 1e-6;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Ignores CRLF line endings and trailing whitespace at the end of the output,
+// like every built-in comparison on the judge.
+function splitLines(text: string) {
+  const normalized = text.replace(/\r\n/g, "\n").trimEnd();
+  return normalized === "" ? [] : normalized.split("\n");
+}
+
+function tokenize(line: string) {
+  return line.split(/\s+/).filter(Boolean);
+}
+
+function lineTokens(line: string, lineIndex: number): Token[] {
+  return tokenize(line).map((text, token) => ({
+    line: lineIndex,
+    token,
+    text,
+  }));
+}
+
+// Mirrors api/src/compare.js for the token based modes.
+function tokenMatcher(mode: string, epsilon: number) {
+  if (mode === "case-insensitive") {
+    return (left: string, right: string) =>
+      left.toLowerCase() === right.toLowerCase();
+  }
+  if (mode === "float-absolute" || mode === "float-relative") {
+    return (left: string, right: string) => {
+      if (!NUMBER_PATTERN.test(left) || !NUMBER_PATTERN.test(right)) {
+        return left === right;
+      }
+      const expectedValue = Number.parseFloat(left);
+      const difference = Math.abs(expectedValue - Number.parseFloat(right));
+      return (
+        difference <= epsilon ||
+        (mode === "float-relative" &&
+          difference <= epsilon * Math.abs(expectedValue))
+      );
+    };
+  }
+  return (left: string, right: string) => left === right;
+}
+
+function describePosition(position: Position) {
+  return position.token == null
+    ? `line ${position.line + 1}`
+    : `line ${position.line + 1}, token ${position.token + 1}`;
+}
+
+function findTokenMismatch(
+  expectedTokens: Token[],
+  actualTokens: Token[],
+  isEqual: (left: string, right: string) => boolean
+): Mismatch | null {
+  const tokenCount = Math.max(expectedTokens.length, actualTokens.length);
+  for (let index = 0; index < tokenCount; index += 1) {
+    const expected = expectedTokens[index] ?? null;
+    const actual = actualTokens[index] ?? null;
+    if (!actual && expected) {
+      return {
+        expected,
+        actual,
+        message: `Output ended early at ${describePosition(expected)}: expected "${expected.text}".`,
+      };
+    }
+    if (actual && !expected) {
+      return {
+        expected,
+        actual,
+        message: `Unexpected extra output at ${describePosition(actual)}: "${actual.text}".`,
+      };
+    }
+    if (actual && expected && !isEqual(expected.text, actual.text)) {
+      return {
+        expected,
+        actual,
+        message: `First difference at ${describePosition(actual)}: expected "${expected.text}", found "${actual.text}".`,
+      };
+    }
+  }
+  return null;
+}
+
+function findExactMismatch(
+  expectedLines: string[],
+  actualLines: string[]
+): Mismatch | null {
+  const lineCount = Math.max(expectedLines.length, actualLines.length);
+  for (let line = 0; line < lineCount; line += 1) {
+    const expectedLine = expectedLines[line];
+    const actualLine = actualLines[line];
+    if (expectedLine === actualLine) {
+      continue;
+    }
+    if (actualLine == null) {
+      return {
+        expected: { line, token: null },
+        actual: null,
+        message: `Output ended early: line ${line + 1} is missing.`,
+      };
+    }
+    if (expectedLine == null) {
+      return {
+        expected: null,
+        actual: { line, token: null },
+        message: `Unexpected extra output at line ${line + 1}.`,
+      };
+    }
+    return (
+      findTokenMismatch(
+        lineTokens(expectedLine, line),
+        lineTokens(actualLine, line),
+        (left, right) => left === right
+      ) ?? {
+        expected: { line, token: null },
+        actual: { line, token: null },
+        message: `Whitespace differs on line ${line + 1}.`,
+      }
+    );
+  }
+  return null;
+}
+
+// Line order does not matter, so the first expected line without a match in
+// the output is reported, or else the first extra output line.
+function findUnorderedMismatch(
+  expectedLines: string[],
+  actualLines: string[]
+): Mismatch | null {
+  const remaining = new Map<string, number>();
+  for (const line of actualLines) {
+    const key = line.trimEnd();
+    remaining.set(key, (remaining.get(key) ?? 0) + 1);
+  }
+  for (const [line, text] of expectedLines.entries()) {
+    const key = text.trimEnd();
+    const count = remaining.get(key) ?? 0;
+    if (count === 0) {
+      return {
+        expected: { line, token: null },
+        actual: null,
+        message: `Expected line ${line + 1} is missing from the output.`,
+      };
+    }
+    remaining.set(key, count - 1);
+  }
+  for (const [line, text] of actualLines.entries()) {
+    const key = text.trimEnd();
+    const count = remaining.get(key) ?? 0;
+    if (count > 0) {
+      remaining.set(key, count - 1);
+      return {
+        expected: null,
+        actual: { line, token: null },
+        message: `Unexpected extra line ${line + 1} in the output.`,
+      };
+    }
+  }
+  return null;
+}
+
+// Lines to shade on both sides. Unordered output has no line to pair with.
+function findDifferingLines(
+  expectedLines: string[],
+  actualLines: string[],
+  mode: string,
+  epsilon: number
+) {
+  const differing = new Set<number>();
+  if (mode === "unordered-lines") {
+    return differing;
+  }
+  const isEqual = tokenMatcher(mode, epsilon);
+  const lineCount = Math.max(expectedLines.length, actualLines.length);
+  for (let line = 0; line < lineCount; line += 1) {
+    const expectedLine = expectedLines[line] ?? "";
+    const actualLine = actualLines[line] ?? "";
+    const isSame =
+      mode === "exact"
+        ? expectedLine === actualLine
+        : findTokenMismatch(
+            lineTokens(expectedLine, line),
+            lineTokens(actualLine, line),
+            isEqual
+          ) == null;
+    if (!isSame) {
+      differing.add(line);
+    }
+  }
+  return differing;
+}
+
+// Compares the outputs the way the problem's comparison does, and returns
+// where they first diverge. Checker problems are compared token by token.
+function findFirstMismatch(
+  expectedLines: string[],
+  actualLines: string[],
+  mode: string,
+  epsilon: number
+): Mismatch | null {
+  if (mode === "exact") {
+    return findExactMismatch(expectedLines, actualLines);
+  }
+  if (mode === "unordered-lines") {
+    return findUnorderedMismatch(expectedLines, actualLines);
+  }
+  // Token modes ignore line breaks, so the outputs are compared as one stream
+  // of tokens and each side points at its own line.
+  return findTokenMismatch(
+    expectedLines.flatMap(lineTokens),
+    actualLines.flatMap(lineTokens),
+    tokenMatcher(mode, epsilon)
+  );
+}
+
+function OutputLine({
+  line,
+  highlightToken,
+}: {
+  line: string;
+  highlightToken: number | null;
+}) {
+  if (highlightToken == null) {
+    return <>{line || " "}</>;
+  }
+  const parts = line.split(/(\s+)/).filter(Boolean);
+  const tokenParts = parts.flatMap((part, index) =>
+    /^\s+$/.test(part) ? [] : [index]
+  );
+  const highlightPart = tokenParts[highlightToken] ?? null;
+  return (
+    <>
+      {parts.map((part, index) =>
+        index === highlightPart ? (
+          <mark key={index} className="rounded bg-red-300 px-0.5 text-red-950">
+            {part}
+          </mark>
+        ) : (
+          part
+        )
+      )}
+      {highlightPart == null ? (
+        <mark className="rounded bg-red-300 px-0.5 text-red-950">⏎</mark>
+      ) : null}
+    </>
+  );
+}
+
+function OutputPane({
+  title,
+  lines,
+  differingLines,
+  position,
+}: {
+  title: string;
+  lines: string[];
+  differingLines: Set<number>;
+  position: Position | null;
+}) {
+  return (
+    <div className="min-w-0 rounded-lg border border-slate-200 bg-white">
+      <p className="border-b border-slate-200 px-3 py-2 text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-500">
+        {title}
+      </p>
+      <pre className="max-h-72 overflow-auto p-2 text-xs font-mono text-slate-800">
+        {lines.slice(0, MAX_LINES).map((line, index) => {
+          const isFirst = position?.line === index;
+          return (
+            <div
+              key={index}
+              className={`flex gap-3 ${
+                isFirst
+                  ? "bg-red-100"
+                  : differingLines.has(index)
+                    ? "bg-amber-50"
+                    : ""
+              }`}
+            >
+              <span className="w-8 shrink-0 select-none text-right text-slate-400">
+                {index + 1}
+              </span>
+              <span className="whitespace-pre-wrap break-all">
+                <OutputLine
+                  line={line}
+                  highlightToken={isFirst ? position.token : null}
+                />
+              </span>
+            </div>
+          );
+        })}
+        {lines.length === 0 ? (
+          <span className="text-slate-400">(empty)</span>
+        ) : null}
+      </pre>
+      {lines.length > MAX_LINES ? (
+        <p className="border-t border-slate-200 px-3 py-1 text-[11px] text-slate-500">
+          Showing the first {MAX_LINES} of {lines.length} lines.
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+export default function OutputDiff({
+  expected,
+  actual,
+  compareMode,
+  compareEpsilon,
+}: OutputDiffProps) {
+  const expectedLines = splitLines(expected);
+  const actualLines = splitLines(actual ?? "");
+  const mode = compareMode ?? "tokens";
+  const epsilon = compareEpsilon ?? DEFAULT_COMPARE_EPSILON;
+  const mismatch = findFirstMismatch(expectedLines, actualLines, mode, epsilon);
+  const differingLines = findDifferingLines(
+    expectedLines,
+    actualLines,
+    mode,
+    epsilon
+  );
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs font-semibold text-slate-700">
+        {mismatch
+          ? mismatch.message
+          : compareMode
+            ? "The outputs match; the verdict comes from the limits or a runtime error."
+            : "The outputs match token by token; the verdict comes from the limits or the checker."}
+      </p>
+      <div className="grid gap-3 md:grid-cols-2">
+        <OutputPane
+          title="Expected"
+          lines={expectedLines}
+          differingLines={differingLines}
+          position={mismatch?.expected ?? null}
+        />
+        <OutputPane
+          title="Your output"
+          lines={actualLines}
+          differingLines={differingLines}
+          position={mismatch?.actual ?? null}
+        />
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import Link from "next/link";
+import { cookies } from "next/headers";
 import { notFound } from "next/navigation";
 import { getApiBase } from "@/lib/api";
 import ProblemTabs from "./problem-tabs";
@@ -18,6 +19,9 @@ type ProblemDetail = {
   memory_limit_kb: number;
   difficulty: number | null;
   points: number;
+  judge_type?: string;
+  compare_mode?: string;
+  compare_epsilon?: number;
 };
 
 type SampleCase = {
@@ -33,10 +37,18 @@ type Language = {
   name: string;
 };
 
+type LanguageLimit = {
+  language_key: string;
+  time_limit_ms: number;
+  memory_limit_kb: number | null;
+};
+
 async function fetchProblem(id: string) {
   const apiBase = getApiBase();
+  const cookieHeader = (await cookies()).toString();
   const response = await fetch(`${apiBase}/problems/${id}`, {
     cache: "no-store",
+    headers: cookieHeader ? { cookie: cookieHeader } : undefined,
   });
   if (!response.ok) {
     return null;
@@ -44,6 +56,7 @@ async function fetchProblem(id: string) {
   const data = (await response.json()) as {
     problem: ProblemDetail;
     samples: SampleCase[];
+    languageLimits?: LanguageLimit[];
   };
   return data;
 }
@@ -60,11 +73,18 @@ async function fetchLanguages(): Promise<Language[]> {
 
 export default async function ProblemPage({
   params,
+  searchParams,
 }: {
   params: { id: string } | Promise<{ id: string }>;
+  searchParams?: { contest?: string } | Promise<{ contest?: string }>;
 }) {
   const resolvedParams = await Promise.resolve(params);
   const problemId = resolvedParams.id;
+  // Opened from a contest page, submissions count towards that contest.
+  const contestId = Number.parseInt(
+    (await Promise.resolve(searchParams))?.contest ?? "",
+    10
+  );
   const [problemPayload, languages] = await Promise.all([
     fetchProblem(problemId),
     fetchLanguages(),
@@ -74,22 +94,26 @@ export default async function ProblemPage({
     notFound();
   }
 
-  const { problem, samples } = problemPayload;
+  const { problem, samples, languageLimits = [] } = problemPayload;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-amber-50 to-white text-slate-900">
       <div className="mx-auto flex max-w-5xl flex-col gap-10 px-6 py-10">
         <Link
-          href="/"
+          href={Number.isFinite(contestId) ? `/contests/${contestId}` : "/"}
           className="text-sm font-semibold uppercase tracking-[0.2em] text-amber-700"
         >
-          Back to problem list
+          {Number.isFinite(contestId)
+            ? "Back to contest"
+            : "Back to problem list"}
         </Link>
 
         <ProblemTabs
           problem={problem}
           samples={samples}
           languages={languages}
+          languageLimits={languageLimits}
+          contestId={Number.isFinite(contestId) ? contestId : null}
         />
       </div>
     </div>
@@ -1,6 +1,7 @@
 "use client";
 
 import { useCallback, useEffect, useState } from "react";
+import { useCurrentUser } from "@/lib/use-current-user";
 
 type BoardMessage = {
   id: number;
@@ -16,6 +17,7 @@ type ProblemBoardProps = {
 const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
 
 export default function ProblemBoard({ problemId }: ProblemBoardProps) {
+  const { user } = useCurrentUser();
   const [messages, setMessages] = useState<BoardMessage[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -63,6 +65,7 @@ export default function ProblemBoard({ problemId }: ProblemBoardProps) {
         `${apiBase}/problems/${problemId}/messages`,
         {
           method: "POST",
+          credentials: "include",
           headers: {
             "Content-Type": "application/json",
           },
@@ -106,15 +109,24 @@ export default function ProblemBoard({ problemId }: ProblemBoardProps) {
 
       <form className="mt-4 space-y-3" onSubmit={handleSubmit}>
         <div className="grid gap-3 sm:grid-cols-[180px_1fr]">
-          <label className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
-            Name
-            <input
-              className="mt-2 w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-800 shadow-sm focus:border-amber-300 focus:outline-none"
-              value={authorName}
-              onChange={(event) => setAuthorName(event.target.value)}
-              placeholder="Anonymous"
-            />
-          </label>
+          {user ? (
+            <div className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+              Posting as
+              <p className="mt-2 text-sm normal-case tracking-normal text-slate-800">
+                {user.displayName || user.username}
+              </p>
+            </div>
+          ) : (
+            <label className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+              Name
+              <input
+                className="mt-2 w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-800 shadow-sm focus:border-amber-300 focus:outline-none"
+                value={authorName}
+                onChange={(event) => setAuthorName(event.target.value)}
+                placeholder="Anonymous"
+              />
+            </label>
+          )}
           <label className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
             Message
             <textarea
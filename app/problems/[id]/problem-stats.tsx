@@ -0,0 +1,206 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+
+type RecordHolder = {
+  submissionId: number;
+  username: string | null;
+};
+
+type LanguageRecords = {
+  key: string;
+  name: string;
+  fastest: (RecordHolder & { execTimeMs: number }) | null;
+  shortest: (RecordHolder & { codeLength: number }) | null;
+};
+
+type ProblemStatistics = {
+  submissions: number;
+  accepted: number;
+  acceptanceRate: number | null;
+  verdicts: { verdict: string; count: number }[];
+  languages: LanguageRecords[];
+};
+
+type ProblemStatsProps = {
+  problemId: number;
+};
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+function Holder({ holder }: { holder: RecordHolder }) {
+  return (
+    <span className="text-slate-500">
+      #{holder.submissionId} by{" "}
+      {holder.username ? (
+        <Link
+          href={`/users/${holder.username}`}
+          className="font-semibold text-slate-700 transition hover:text-amber-700"
+        >
+          {holder.username}
+        </Link>
+      ) : (
+        "Anonymous"
+      )}
+    </span>
+  );
+}
+
+export default function ProblemStats({ problemId }: ProblemStatsProps) {
+  const [stats, setStats] = useState<ProblemStatistics | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let isActive = true;
+    const loadStats = async () => {
+      try {
+        const response = await fetch(`${apiBase}/problems/${problemId}/stats`, {
+          credentials: "include",
+        });
+        const payload = (await response.json()) as ProblemStatistics & {
+          error?: string;
+        };
+        if (!response.ok) {
+          throw new Error(payload.error ?? "Failed to load statistics.");
+        }
+        if (isActive) {
+          setStats(payload);
+        }
+      } catch (fetchError) {
+        if (isActive) {
+          setError(
+            fetchError instanceof Error
+              ? fetchError.message
+              : "Failed to load statistics."
+          );
+        }
+      }
+    };
+    loadStats();
+    return () => {
+      isActive = false;
+    };
+  }, [problemId]);
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+
+  if (!stats) {
+    return <p className="text-sm text-slate-600">Loading statistics...</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-4 sm:grid-cols-3">
+        {[
+          ["Submissions", stats.submissions],
+          ["Accepted", stats.accepted],
+          [
+            "Acceptance",
+            stats.acceptanceRate != null
+              ? `${(stats.acceptanceRate * 100).toFixed(1)}%`
+              : "-",
+          ],
+        ].map(([label, value]) => (
+          <div
+            key={label}
+            className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-sm"
+          >
+            <p className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+              {label}
+            </p>
+            <p className="mt-2 text-3xl font-semibold">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <section className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+        <h2 className="text-lg font-semibold">Verdicts</h2>
+        {stats.verdicts.length === 0 ? (
+          <p className="mt-4 text-sm text-slate-600">
+            No judged submissions yet.
+          </p>
+        ) : (
+          <ul className="mt-4 space-y-3">
+            {stats.verdicts.map((item) => (
+              <li key={item.verdict} className="space-y-1 text-xs">
+                <div className="flex justify-between font-semibold text-slate-700">
+                  <span>{item.verdict}</span>
+                  <span>{item.count}</span>
+                </div>
+                <div className="h-2 rounded-full bg-slate-100">
+                  <div
+                    className={`h-2 rounded-full ${
+                      item.verdict === "Accepted"
+                        ? "bg-emerald-500"
+                        : "bg-amber-400"
+                    }`}
+                    style={{
+                      width: `${(item.count / stats.submissions) * 100}%`,
+                    }}
+                  />
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="overflow-x-auto rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+        <h2 className="text-lg font-semibold">Best Solutions</h2>
+        {stats.languages.length === 0 ? (
+          <p className="mt-4 text-sm text-slate-600">
+            Nobody has solved this problem yet.
+          </p>
+        ) : (
+          <table className="mt-4 min-w-full text-left text-xs text-slate-700">
+            <thead className="text-[11px] uppercase tracking-[0.2em] text-slate-500">
+              <tr>
+                <th className="py-2 pr-4">Language</th>
+                <th className="py-2 pr-4">Fastest</th>
+                <th className="py-2 pr-4">Shortest</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {stats.languages.map((language) => (
+                <tr key={language.key}>
+                  <td className="py-3 pr-4 font-semibold">{language.name}</td>
+                  <td className="py-3 pr-4">
+                    {language.fastest ? (
+                      <>
+                        <span className="mr-2 font-semibold">
+                          {language.fastest.execTimeMs} ms
+                        </span>
+                        <Holder holder={language.fastest} />
+                      </>
+                    ) : (
+                      "-"
+                    )}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {language.shortest ? (
+                      <>
+                        <span className="mr-2 font-semibold">
+                          {language.shortest.codeLength} chars
+                        </span>
+                        <Holder holder={language.shortest} />
+                      </>
+                    ) : (
+                      "-"
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { useState } from "react";
 import SubmissionForm from "./submission-form";
 import SubmissionHistory from "./submission-history";
 import ProblemBoard from "./problem-board";
+import ProblemStats from "./problem-stats";
 import CodeTest from "./code-test";
 import MarkdownPreview from "@/components/markdown-preview";
 import LatestVerdict from "./latest-verdict";
@@ -21,6 +22,10 @@ type ProblemDetail = {
   memory_limit_kb: number;
   difficulty: number | null;
   points: number;
+  judge_type?: string;
+  compare_mode?: string;
+  compare_epsilon?: number;
+  reveal_failed_hidden?: number;
 };
 
 type SampleCase = {
@@ -36,18 +41,51 @@ type Language = {
   name: string;
 };
 
+type LanguageLimit = {
+  language_key: string;
+  time_limit_ms: number;
+  memory_limit_kb: number | null;
+};
+
 type ProblemTabsProps = {
   problem: ProblemDetail;
   samples: SampleCase[];
   languages: Language[];
+  languageLimits: LanguageLimit[];
+  contestId?: number | null;
 };
 
+const compareModeLabels: Record<string, string> = {
+  tokens: "Token-wise",
+  "float-absolute": "Float abs",
+  "float-relative": "Float abs/rel",
+  "case-insensitive": "Case-insensitive",
+  "unordered-lines": "Any line order",
+};
+
+function describeComparison(problem: ProblemDetail) {
+  if (problem.judge_type && problem.judge_type !== "default") {
+    return null;
+  }
+  const label = problem.compare_mode
+    ? compareModeLabels[problem.compare_mode]
+    : undefined;
+  if (!label) {
+    return null;
+  }
+  if (problem.compare_mode?.startsWith("float-")) {
+    return `${label} ± ${problem.compare_epsilon ?? 1e-6}`;
+  }
+  return label;
+}
+
 const tabs = [
   { id: "verdict", label: "Verdict" },
   { id: "latest", label: "Latest Verdict" },
   { id: "code-test", label: "Code Test" },
   { id: "editorial", label: "Explanation" },
   { id: "submissions", label: "Submissions" },
+  { id: "stats", label: "Stats" },
   { id: "board", label: "Board" },
 ] as const;
 
@@ -55,6 +93,8 @@ export default function ProblemTabs({
   problem,
   samples,
   languages,
+  languageLimits,
+  contestId = null,
 }: ProblemTabsProps) {
   const [activeTab, setActiveTab] = useState<(typeof tabs)[number]["id"]>(
     "verdict"
@@ -63,6 +103,8 @@ export default function ProblemTabs({
     null
   );
 
+  const comparison = describeComparison(problem);
+
   const handleSubmitted = (submissionId: number) => {
     setLatestSubmissionId(submissionId);
     setActiveTab("latest");
@@ -107,6 +149,19 @@ export default function ProblemTabs({
           <span className="rounded-full bg-slate-100 px-3 py-1">
             Diff {problem.difficulty ?? "?"}
           </span>
+          {comparison ? (
+            <span className="rounded-full bg-sky-100 px-3 py-1 text-sky-700">
+              {comparison}
+            </span>
+          ) : null}
+          {problem.reveal_failed_hidden && contestId == null ? (
+            <span
+              className="rounded-full bg-violet-100 px-3 py-1 text-violet-700"
+              title="Expected output is shown for failing hidden testcases"
+            >
+              Reveals {problem.reveal_failed_hidden} hidden
+            </span>
+          ) : null}
         </div>
         <h1 className="text-3xl font-semibold sm:text-4xl">
           {problem.title}
@@ -204,6 +259,8 @@ export default function ProblemTabs({
             <SubmissionForm
               problemId={problem.id}
               languages={languages}
+              languageLimits={languageLimits}
+              contestId={contestId}
               onSubmitted={handleSubmitted}
             />
           </div>
@@ -241,12 +298,20 @@ export default function ProblemTabs({
         <SubmissionHistory problemId={problem.id} />
       ) : null}
 
+      {activeTab === "stats" ? (
+        <ProblemStats problemId={problem.id} />
+      ) : null}
+
       {activeTab === "board" ? (
         <ProblemBoard problemId={problem.id} />
       ) : null}
 
       {activeTab === "code-test" ? (
-        <CodeTest problemId={problem.id} languages={languages} />
+        <CodeTest
+          problemId={problem.id}
+          languages={languages}
+          languageLimits={languageLimits}
+        />
       ) : null}
     </div>
   );
@@ -0,0 +1,266 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { CodeDiffEditor } from "@/components/code-editor";
+
+type SubmissionDetail = {
+  id: number;
+  language_key: string;
+  status: string;
+  verdict: string | null;
+  score: number | null;
+  exec_time_ms: number | null;
+  source_code: string | null;
+};
+
+type TestcaseResult = {
+  testcase_id: number;
+  name: string | null;
+  group_name: string | null;
+  status: string;
+  exec_time_ms: number | null;
+};
+
+type SubmissionPayload = {
+  submission: SubmissionDetail;
+  results: TestcaseResult[];
+};
+
+type SubmissionCompareProps = {
+  originalId: number;
+  modifiedId: number;
+  onClose: () => void;
+};
+
+type ResultChange = "fixed" | "broken" | "changed" | "same";
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+const HIDDEN_SOURCE = "// Hidden until the contest using this problem ends.";
+
+const changeLabels: Record<ResultChange, { label: string; className: string }> =
+  {
+    fixed: { label: "Fixed", className: "bg-emerald-100 text-emerald-700" },
+    broken: { label: "Broken", className: "bg-red-100 text-red-700" },
+    changed: { label: "Changed", className: "bg-sky-100 text-sky-700" },
+    same: { label: "Same", className: "bg-slate-100 text-slate-500" },
+  };
+
+async function fetchSubmission(id: number) {
+  const response = await fetch(`${apiBase}/submissions/${id}`, {
+    credentials: "include",
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to load submission ${id}.`);
+  }
+  return (await response.json()) as SubmissionPayload;
+}
+
+function classifyChange(
+  before: TestcaseResult | undefined,
+  after: TestcaseResult | undefined
+): ResultChange {
+  const beforeStatus = before?.status ?? null;
+  const afterStatus = after?.status ?? null;
+  if (beforeStatus === afterStatus) {
+    return "same";
+  }
+  if (afterStatus === "Accepted") {
+    return "fixed";
+  }
+  if (beforeStatus === "Accepted") {
+    return "broken";
+  }
+  return "changed";
+}
+
+function formatTime(execTimeMs: number | null | undefined) {
+  if (execTimeMs == null) {
+    return "-";
+  }
+  return `${execTimeMs} ms`;
+}
+
+export default function SubmissionCompare({
+  originalId,
+  modifiedId,
+  onClose,
+}: SubmissionCompareProps) {
+  const [pair, setPair] = useState<
+    [SubmissionPayload, SubmissionPayload] | null
+  >(null);
+  const [error, setError] = useState<string | null>(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  useEffect(() => {
+    let isActive = true;
+    Promise.all([fetchSubmission(originalId), fetchSubmission(modifiedId)])
+      .then((payloads) => {
+        if (isActive) {
+          setPair(payloads);
+        }
+      })
+      .catch((fetchError) => {
+        if (isActive) {
+          setError(
+            fetchError instanceof Error
+              ? fetchError.message
+              : "Failed to load submissions."
+          );
+        }
+      });
+    return () => {
+      isActive = false;
+    };
+  }, [originalId, modifiedId]);
+
+  // Testcases in the order they were judged, including ones only one of the
+  // two submissions reached (judging can stop early).
+  const rows = useMemo(() => {
+    if (!pair) {
+      return [];
+    }
+    const [before, after] = pair;
+    const beforeById = new Map(
+      before.results.map((result) => [result.testcase_id, result])
+    );
+    const afterById = new Map(
+      after.results.map((result) => [result.testcase_id, result])
+    );
+    const ids = [...beforeById.keys()];
+    for (const id of afterById.keys()) {
+      if (!beforeById.has(id)) {
+        ids.push(id);
+      }
+    }
+    return ids.map((id) => {
+      const beforeResult = beforeById.get(id);
+      const afterResult = afterById.get(id);
+      const testcase = beforeResult ?? afterResult;
+      return {
+        id,
+        name: testcase?.name ?? `Testcase ${id}`,
+        groupName: testcase?.group_name ?? null,
+        before: beforeResult,
+        after: afterResult,
+        change: classifyChange(beforeResult, afterResult),
+      };
+    });
+  }, [pair]);
+
+  const changedCount = rows.filter((row) => row.change !== "same").length;
+  const visibleRows = showUnchanged
+    ? rows
+    : rows.filter((row) => row.change !== "same");
+
+  return (
+    <div className="space-y-4 rounded-2xl border border-amber-200 bg-white/80 p-6 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-semibold">
+          Comparing #{originalId} and #{modifiedId}
+        </h3>
+        <button
+          type="button"
+          className="rounded-full border border-slate-200 bg-white px-3 py-1 text-xs font-semibold text-slate-600 transition hover:border-amber-200 hover:text-slate-900"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+
+      {error ? (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      ) : null}
+
+      {!pair && !error ? (
+        <p className="text-sm text-slate-600">Loading submissions...</p>
+      ) : null}
+
+      {pair ? (
+        <>
+          <CodeDiffEditor
+            label="Diff"
+            originalLabel={`#${pair[0].submission.id} · ${
+              pair[0].submission.verdict ?? pair[0].submission.status
+            }`}
+            modifiedLabel={`#${pair[1].submission.id} · ${
+              pair[1].submission.verdict ?? pair[1].submission.status
+            }`}
+            originalLanguageKey={pair[0].submission.language_key}
+            modifiedLanguageKey={pair[1].submission.language_key}
+            original={pair[0].submission.source_code ?? HIDDEN_SOURCE}
+            modified={pair[1].submission.source_code ?? HIDDEN_SOURCE}
+          />
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-slate-600">
+              {changedCount === 0
+                ? "Every testcase has the same status in both submissions."
+                : `${changedCount} testcase${
+                    changedCount === 1 ? "" : "s"
+                  } changed status.`}
+            </p>
+            <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+              <input
+                type="checkbox"
+                checked={showUnchanged}
+                onChange={(event) => setShowUnchanged(event.target.checked)}
+              />
+              Show unchanged
+            </label>
+          </div>
+
+          {visibleRows.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-left text-xs text-slate-700">
+                <thead className="text-[11px] uppercase tracking-[0.2em] text-slate-500">
+                  <tr>
+                    <th className="py-2 pr-4">Testcase</th>
+                    <th className="py-2 pr-4">#{originalId}</th>
+                    <th className="py-2 pr-4">#{modifiedId}</th>
+                    <th className="py-2 pr-4">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-200">
+                  {visibleRows.map((row) => (
+                    <tr key={row.id}>
+                      <td className="py-3 pr-4 font-semibold">
+                        {row.groupName ? `${row.groupName} / ` : ""}
+                        {row.name}
+                      </td>
+                      <td className="py-3 pr-4">
+                        {row.before
+                          ? `${row.before.status} (${formatTime(
+                              row.before.exec_time_ms
+                            )})`
+                          : "Not run"}
+                      </td>
+                      <td className="py-3 pr-4">
+                        {row.after
+                          ? `${row.after.status} (${formatTime(
+                              row.after.exec_time_ms
+                            )})`
+                          : "Not run"}
+                      </td>
+                      <td className="py-3 pr-4">
+                        <span
+                          className={`rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase tracking-[0.15em] ${
+                            changeLabels[row.change].className
+                          }`}
+                        >
+                          {changeLabels[row.change].label}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -2,6 +2,7 @@
 
 import { useEffect, useMemo, useState } from "react";
 import CodeEditor from "@/components/code-editor";
+import LanguageLimits from "./language-limits";
 import { starterCode } from "./starter-code";
 
 type Language = {
@@ -10,6 +11,12 @@ type Language = {
   name: string;
 };
 
+type LanguageLimit = {
+  language_key: string;
+  time_limit_ms: number;
+  memory_limit_kb: number | null;
+};
+
 type JudgeResult = {
   submissionId: number;
   status: string;
@@ -19,12 +26,16 @@ type JudgeResult = {
 type SubmissionFormProps = {
   problemId: number;
   languages: Language[];
+  languageLimits: LanguageLimit[];
+  contestId?: number | null;
   onSubmitted?: (submissionId: number) => void;
 };
 
 export default function SubmissionForm({
   problemId,
   languages,
+  languageLimits,
+  contestId = null,
   onSubmitted,
 }: SubmissionFormProps) {
   const defaultLanguage = languages[0]?.key ?? "cpp17";
@@ -63,11 +74,13 @@ export default function SubmissionForm({
     try {
       const response = await fetch(`${apiBase}/submissions`, {
         method: "POST",
+        credentials: "include",
         headers: {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
           problemId,
+          contestId: contestId ?? undefined,
           languageKey,
           sourceCode: code,
         }),
@@ -109,6 +122,10 @@ export default function SubmissionForm({
             </option>
           ))}
         </select>
+        <LanguageLimits
+          languageKey={languageKey}
+          languageLimits={languageLimits}
+        />
       </label>
 
       <div>
@@ -146,8 +163,8 @@ export default function SubmissionForm({
             Submission received
           </p>
           <p className="mt-2 text-sm text-slate-700">
-            Submission #{result.submissionId} is judging. Open the Latest Verdict
-            tab to watch results appear.
+            Submission #{result.submissionId} is queued for judging. Open the
+            Latest Verdict tab to watch results appear.
           </p>
         </div>
       ) : null}
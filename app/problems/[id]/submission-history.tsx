@@ -1,7 +1,9 @@
 "use client";
 
 import { Fragment, useEffect, useState } from "react";
+import Link from "next/link";
 import CodeBlock from "@/components/code-block";
+import SubmissionCompare from "./submission-compare";
 
 type SubmissionSummary = {
   id: number;
@@ -11,10 +13,21 @@ type SubmissionSummary = {
   exec_time_ms: number | null;
   memory_kb: number | null;
   code_length: number | null;
-  source_code: string;
   created_at: string;
+  rejudge_count: number;
   language_name: string;
   language_key: string;
+  username: string | null;
+};
+
+type SubmissionEvent = {
+  type: "created" | "queued" | "judging" | "verdict";
+  submissionId: number;
+  status?: string;
+  submission?: Pick<
+    SubmissionSummary,
+    "status" | "verdict" | "score" | "exec_time_ms" | "memory_kb"
+  >;
 };
 
 type SubmissionHistoryProps = {
@@ -37,13 +50,59 @@ function formatTime(execTimeMs: number | null) {
   return `${execTimeMs} ms`;
 }
 
-export default function SubmissionHistory({ problemId }: SubmissionHistoryProps) {
+export default function SubmissionHistory({
+  problemId,
+}: SubmissionHistoryProps) {
   const [submissions, setSubmissions] = useState<SubmissionSummary[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [expandedIds, setExpandedIds] = useState<Set<number>>(new Set());
+  const [sources, setSources] = useState<Record<number, string>>({});
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
+  const [comparedIds, setComparedIds] = useState<[number, number] | null>(null);
+
+  // At most two submissions are selected; picking a third drops the oldest
+  // pick.
+  const toggleSelected = (id: number) => {
+    setSelectedIds((prev) =>
+      prev.includes(id)
+        ? prev.filter((selectedId) => selectedId !== id)
+        : [...prev, id].slice(-2)
+    );
+  };
+
+  const handleCompare = () => {
+    const [first, second] = [...selectedIds].sort((a, b) => a - b);
+    setComparedIds([first, second]);
+  };
+
+  // List payloads leave out the code, so it is loaded on first expand.
+  const loadSource = async (id: number) => {
+    try {
+      const response = await fetch(`${apiBase}/submissions/${id}`, {
+        credentials: "include",
+      });
+      if (!response.ok) {
+        throw new Error("Failed to load code.");
+      }
+      const payload = (await response.json()) as {
+        submission: { source_code: string | null };
+      };
+      setSources((prev) => ({
+        ...prev,
+        [id]:
+          payload.submission.source_code ??
+          "// Hidden until the contest using this problem ends.",
+      }));
+    } catch {
+      setSources((prev) => ({ ...prev, [id]: "// Failed to load code." }));
+    }
+  };
 
   const toggleExpanded = (id: number) => {
+    if (!expandedIds.has(id) && sources[id] === undefined) {
+      loadSource(id);
+    }
     setExpandedIds((prev) => {
       const next = new Set(prev);
       if (next.has(id)) {
@@ -58,12 +117,15 @@ export default function SubmissionHistory({ problemId }: SubmissionHistoryProps)
   useEffect(() => {
     let isActive = true;
 
-    const fetchSubmissions = async () => {
-      setIsLoading(true);
+    const fetchSubmissions = async (showLoading: boolean) => {
+      if (showLoading) {
+        setIsLoading(true);
+      }
       setError(null);
       try {
         const response = await fetch(
-          `${apiBase}/problems/${problemId}/submissions`
+          `${apiBase}/problems/${problemId}/submissions`,
+          { credentials: "include" }
         );
         if (!response.ok) {
           throw new Error("Failed to load submissions.");
@@ -89,10 +151,52 @@ export default function SubmissionHistory({ problemId }: SubmissionHistoryProps)
       }
     };
 
-    fetchSubmissions();
+    // New submissions reload the list; status changes and verdicts of listed
+    // submissions are applied in place.
+    const events = new EventSource(
+      `${apiBase}/problems/${problemId}/submissions/events`,
+      { withCredentials: true }
+    );
+    const handleEvent = (message: Event) => {
+      const event = JSON.parse(
+        (message as MessageEvent<string>).data
+      ) as SubmissionEvent;
+      if (event.type === "created") {
+        fetchSubmissions(false);
+        return;
+      }
+      setSubmissions((current) =>
+        current.map((submission) => {
+          if (String(submission.id) !== String(event.submissionId)) {
+            return submission;
+          }
+          if (event.submission) {
+            return { ...submission, ...event.submission };
+          }
+          return {
+            ...submission,
+            status: event.status ?? submission.status,
+            verdict: null,
+            score: null,
+            exec_time_ms: null,
+            memory_kb: null,
+            rejudge_count:
+              event.type === "queued"
+                ? submission.rejudge_count + 1
+                : submission.rejudge_count,
+          };
+        })
+      );
+    };
+    for (const type of ["created", "queued", "judging", "verdict"]) {
+      events.addEventListener(type, handleEvent);
+    }
+
+    fetchSubmissions(true);
 
     return () => {
       isActive = false;
+      events.close();
     };
   }, [problemId]);
 
@@ -100,11 +204,37 @@ export default function SubmissionHistory({ problemId }: SubmissionHistoryProps)
     <div className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
       <div className="flex flex-wrap items-center justify-between gap-4">
         <h2 className="text-lg font-semibold">Submission History</h2>
-        <span className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
-          {submissions.length} submissions
-        </span>
+        <div className="flex items-center gap-4 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+          <span>{submissions.length} submissions</span>
+          <button
+            type="button"
+            className="rounded-full border border-slate-200 bg-white px-3 py-1 text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-600 transition hover:border-amber-200 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-50"
+            onClick={handleCompare}
+            disabled={selectedIds.length !== 2}
+            title="Select two submissions to compare"
+          >
+            Compare {selectedIds.length}/2
+          </button>
+          <Link
+            href={`/submissions?problem=${problemId}`}
+            className="text-amber-700 transition hover:text-amber-800"
+          >
+            View all
+          </Link>
+        </div>
       </div>
 
+      {comparedIds ? (
+        <div className="mt-4">
+          <SubmissionCompare
+            key={comparedIds.join("-")}
+            originalId={comparedIds[0]}
+            modifiedId={comparedIds[1]}
+            onClose={() => setComparedIds(null)}
+          />
+        </div>
+      ) : null}
+
       {isLoading ? (
         <p className="mt-4 text-sm text-slate-600">Loading submissions...</p>
       ) : null}
@@ -125,7 +255,11 @@ export default function SubmissionHistory({ problemId }: SubmissionHistoryProps)
             <table className="min-w-full text-left text-xs text-slate-700">
               <thead className="text-[11px] uppercase tracking-[0.2em] text-slate-500">
                 <tr>
+                  <th className="py-2 pr-2">
+                    <span className="sr-only">Select</span>
+                  </th>
                   <th className="py-2 pr-4">ID</th>
+                  <th className="py-2 pr-4">User</th>
                   <th className="py-2 pr-4">Verdict</th>
                   <th className="py-2 pr-4">Score</th>
                   <th className="py-2 pr-4">Language</th>
@@ -142,11 +276,32 @@ export default function SubmissionHistory({ problemId }: SubmissionHistoryProps)
                   return (
                     <Fragment key={submission.id}>
                       <tr>
+                        <td className="py-3 pr-2">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(submission.id)}
+                            onChange={() => toggleSelected(submission.id)}
+                            aria-label={`Select submission ${submission.id} for comparison`}
+                          />
+                        </td>
                         <td className="py-3 pr-4 font-semibold">
                           {submission.id}
                         </td>
+                        <td className="py-3 pr-4">
+                          {submission.username ?? "Anonymous"}
+                        </td>
                         <td className="py-3 pr-4">
                           {submission.verdict ?? submission.status}
+                          {submission.rejudge_count > 0 ? (
+                            <span
+                              className="ml-2 rounded-full border border-sky-200 bg-sky-50 px-2 py-0.5 text-[10px] font-semibold uppercase tracking-[0.15em] text-sky-700"
+                              title={`Rejudged ${submission.rejudge_count} time${
+                                submission.rejudge_count === 1 ? "" : "s"
+                              }`}
+                            >
+                              Rejudged
+                            </span>
+                          ) : null}
                         </td>
                         <td className="py-3 pr-4">
                           {submission.score != null ? submission.score : "-"}
@@ -181,12 +336,18 @@ export default function SubmissionHistory({ problemId }: SubmissionHistoryProps)
                       </tr>
                       {isExpanded ? (
                         <tr>
-                          <td className="py-3 pr-2" colSpan={9}>
+                          <td className="py-3 pr-2" colSpan={11}>
                             <div className="rounded-lg border border-slate-200 bg-slate-50 p-3">
-                              <CodeBlock
-                                code={submission.source_code}
-                                languageKey={submission.language_key}
-                              />
+                              {sources[submission.id] === undefined ? (
+                                <p className="text-xs text-slate-500">
+                                  Loading code...
+                                </p>
+                              ) : (
+                                <CodeBlock
+                                  code={sources[submission.id]}
+                                  languageKey={submission.language_key}
+                                />
+                              )}
                             </div>
                           </td>
                         </tr>
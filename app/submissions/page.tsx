@@ -0,0 +1,275 @@
+import Link from "next/link";
+import { cookies } from "next/headers";
+import { getApiBase } from "@/lib/api";
+import SubmissionsTable from "./submissions-table";
+
+export const dynamic = "force-dynamic";
+
+type Language = {
+  id: number;
+  key: string;
+  name: string;
+};
+
+type SubmissionSummary = {
+  id: number;
+  problem_id: number;
+  problem_slug: string;
+  problem_title: string;
+  contest_id: number | null;
+  contest_slug: string | null;
+  status: string;
+  verdict: string | null;
+  score: number | null;
+  exec_time_ms: number | null;
+  memory_kb: number | null;
+  code_length: number | null;
+  created_at: string;
+  rejudge_count: number;
+  language_name: string;
+  language_key: string;
+  username: string | null;
+};
+
+type SubmissionPage = {
+  submissions: SubmissionSummary[];
+  nextCursor: number | null;
+  error?: string;
+};
+
+const FILTER_KEYS = [
+  "problem",
+  "contest",
+  "user",
+  "language",
+  "verdict",
+  "from",
+  "to",
+] as const;
+
+type Filters = Partial<Record<(typeof FILTER_KEYS)[number], string>>;
+
+const VERDICTS = [
+  "Accepted",
+  "Partially Correct",
+  "Wrong Answer",
+  "Presentation Error",
+  "Time Limit Exceeded",
+  "Memory Limit Exceeded",
+  "Runtime Error",
+  "Compilation Error",
+  "System Error",
+  "queued",
+  "Judging",
+];
+
+const inputClassName =
+  "w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 shadow-sm focus:border-amber-400 focus:outline-none";
+
+async function fetchLanguages(): Promise<Language[]> {
+  const apiBase = getApiBase();
+  const response = await fetch(`${apiBase}/languages`, { cache: "no-store" });
+  if (!response.ok) {
+    return [];
+  }
+  const data = (await response.json()) as { languages: Language[] };
+  return data.languages ?? [];
+}
+
+async function fetchSubmissions(
+  filters: Filters,
+  before: string | undefined
+): Promise<SubmissionPage> {
+  const apiBase = getApiBase();
+  const query = new URLSearchParams(filters);
+  if (before) {
+    query.set("before", before);
+  }
+  const cookieHeader = (await cookies()).toString();
+  const response = await fetch(`${apiBase}/submissions?${query}`, {
+    cache: "no-store",
+    headers: cookieHeader ? { cookie: cookieHeader } : undefined,
+  });
+  const data = (await response.json()) as SubmissionPage;
+  if (!response.ok) {
+    return {
+      submissions: [],
+      nextCursor: null,
+      error: data.error ?? "Failed to load submissions.",
+    };
+  }
+  return data;
+}
+
+export default async function SubmissionsPage({
+  searchParams,
+}: {
+  searchParams?:
+    | Record<string, string | undefined>
+    | Promise<Record<string, string | undefined>>;
+}) {
+  const params = (await Promise.resolve(searchParams)) ?? {};
+  const filters: Filters = {};
+  for (const key of FILTER_KEYS) {
+    if (params[key]) {
+      filters[key] = params[key];
+    }
+  }
+  const [languages, page] = await Promise.all([
+    fetchLanguages(),
+    fetchSubmissions(filters, params.before),
+  ]);
+
+  const olderQuery = new URLSearchParams(filters);
+  if (page.nextCursor != null) {
+    olderQuery.set("before", String(page.nextCursor));
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-amber-50 to-white text-slate-900">
+      <div className="mx-auto flex max-w-6xl flex-col gap-10 px-6 py-14">
+        <Link
+          href="/"
+          className="text-sm font-semibold uppercase tracking-[0.2em] text-amber-700"
+        >
+          Back to problem list
+        </Link>
+
+        <header className="space-y-2">
+          <h1 className="text-4xl font-semibold">Submissions</h1>
+          <p className="text-sm text-slate-600">
+            Every submission on the judge, newest first.
+          </p>
+        </header>
+
+        <form
+          method="get"
+          className="grid gap-4 rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm sm:grid-cols-2 lg:grid-cols-4"
+        >
+          <label className="space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+            <span>Problem</span>
+            <input
+              name="problem"
+              defaultValue={filters.problem}
+              placeholder="ID or slug"
+              className={inputClassName}
+            />
+          </label>
+          <label className="space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+            <span>User</span>
+            <input
+              name="user"
+              defaultValue={filters.user}
+              placeholder="Username"
+              className={inputClassName}
+            />
+          </label>
+          <label className="space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+            <span>Language</span>
+            <select
+              name="language"
+              defaultValue={filters.language ?? ""}
+              className={inputClassName}
+            >
+              <option value="">Any</option>
+              {languages.map((language) => (
+                <option key={language.id} value={language.key}>
+                  {language.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+            <span>Verdict</span>
+            <select
+              name="verdict"
+              defaultValue={filters.verdict ?? ""}
+              className={inputClassName}
+            >
+              <option value="">Any</option>
+              {VERDICTS.map((verdict) => (
+                <option key={verdict} value={verdict}>
+                  {verdict}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+            <span>Contest</span>
+            <input
+              name="contest"
+              defaultValue={filters.contest}
+              placeholder="ID or slug"
+              className={inputClassName}
+            />
+          </label>
+          <label className="space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+            <span>From</span>
+            <input
+              type="date"
+              name="from"
+              defaultValue={filters.from}
+              className={inputClassName}
+            />
+          </label>
+          <label className="space-y-1 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+            <span>Before</span>
+            <input
+              type="date"
+              name="to"
+              defaultValue={filters.to}
+              className={inputClassName}
+            />
+          </label>
+          <div className="flex items-end gap-2">
+            <button
+              type="submit"
+              className="rounded-full bg-amber-500 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-amber-600"
+            >
+              Filter
+            </button>
+            <Link
+              href="/submissions"
+              className="rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-semibold text-slate-600 transition hover:border-amber-200 hover:text-slate-900"
+            >
+              Reset
+            </Link>
+          </div>
+        </form>
+
+        {page.error ? (
+          <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+            {page.error}
+          </div>
+        ) : page.submissions.length === 0 ? (
+          <div className="rounded-2xl border border-dashed border-slate-300 bg-white/70 p-6 text-sm text-slate-600">
+            No submissions match these filters.
+          </div>
+        ) : (
+          <SubmissionsTable submissions={page.submissions} />
+        )}
+
+        <div className="flex justify-between text-sm font-semibold">
+          {params.before ? (
+            <Link
+              href={`/submissions?${new URLSearchParams(filters)}`}
+              className="text-amber-700"
+            >
+              Newest
+            </Link>
+          ) : (
+            <span />
+          )}
+          {page.nextCursor != null ? (
+            <Link
+              href={`/submissions?${olderQuery}`}
+              className="text-amber-700"
+            >
+              Older
+            </Link>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
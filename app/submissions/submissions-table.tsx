@@ -0,0 +1,207 @@
+"use client";
+
+import { Fragment, useState } from "react";
+import Link from "next/link";
+import CodeEditor from "@/components/code-editor";
+
+type SubmissionSummary = {
+  id: number;
+  problem_id: number;
+  problem_title: string;
+  contest_id: number | null;
+  contest_slug: string | null;
+  status: string;
+  verdict: string | null;
+  score: number | null;
+  exec_time_ms: number | null;
+  memory_kb: number | null;
+  code_length: number | null;
+  created_at: string;
+  rejudge_count: number;
+  language_name: string;
+  language_key: string;
+  username: string | null;
+};
+
+type SubmissionsTableProps = {
+  submissions: SubmissionSummary[];
+};
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+function formatMemory(memoryKb: number | null) {
+  if (!memoryKb) {
+    return "-";
+  }
+  return `${Math.round(memoryKb / 1024)} MB`;
+}
+
+function formatTime(execTimeMs: number | null) {
+  if (execTimeMs == null) {
+    return "-";
+  }
+  return `${execTimeMs} ms`;
+}
+
+export default function SubmissionsTable({
+  submissions,
+}: SubmissionsTableProps) {
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [sources, setSources] = useState<Record<number, string>>({});
+
+  // The list leaves out source code; it is fetched when a row is expanded.
+  const toggleExpanded = async (id: number) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(id);
+    if (sources[id] !== undefined) {
+      return;
+    }
+    try {
+      const response = await fetch(`${apiBase}/submissions/${id}`, {
+        credentials: "include",
+      });
+      if (!response.ok) {
+        throw new Error("Failed to load code.");
+      }
+      const payload = (await response.json()) as {
+        submission: { source_code: string | null };
+      };
+      setSources((prev) => ({
+        ...prev,
+        [id]:
+          payload.submission.source_code ??
+          "// Hidden until the contest using this problem ends.",
+      }));
+    } catch {
+      setSources((prev) => ({ ...prev, [id]: "// Failed to load code." }));
+    }
+  };
+
+  return (
+    <div className="overflow-x-auto rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+      <table className="min-w-full text-left text-xs text-slate-700">
+        <thead className="text-[11px] uppercase tracking-[0.2em] text-slate-500">
+          <tr>
+            <th className="py-2 pr-4">ID</th>
+            <th className="py-2 pr-4">Problem</th>
+            <th className="py-2 pr-4">User</th>
+            <th className="py-2 pr-4">Verdict</th>
+            <th className="py-2 pr-4">Score</th>
+            <th className="py-2 pr-4">Language</th>
+            <th className="py-2 pr-4">Code</th>
+            <th className="py-2 pr-4">Time</th>
+            <th className="py-2 pr-4">Memory</th>
+            <th className="py-2 pr-4">Submitted</th>
+            <th className="py-2 pr-2 text-right">View</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-200">
+          {submissions.map((submission) => {
+            const isExpanded = expandedId === submission.id;
+            return (
+              <Fragment key={submission.id}>
+                <tr>
+                  <td className="py-3 pr-4 font-semibold">{submission.id}</td>
+                  <td className="py-3 pr-4">
+                    <Link
+                      href={`/problems/${submission.problem_id}`}
+                      className="font-semibold text-slate-900 transition hover:text-amber-700"
+                    >
+                      {submission.problem_title}
+                    </Link>
+                    {submission.contest_slug ? (
+                      <Link
+                        href={`/contests/${submission.contest_slug}`}
+                        className="ml-2 rounded-full bg-amber-100 px-2 py-0.5 text-[10px] font-semibold uppercase tracking-[0.15em] text-amber-700"
+                      >
+                        contest
+                      </Link>
+                    ) : null}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {submission.username ? (
+                      <Link
+                        href={`/users/${submission.username}`}
+                        className="transition hover:text-amber-700"
+                      >
+                        {submission.username}
+                      </Link>
+                    ) : (
+                      "Anonymous"
+                    )}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {submission.verdict ?? submission.status}
+                    {submission.rejudge_count > 0 ? (
+                      <span
+                        className="ml-2 rounded-full border border-sky-200 bg-sky-50 px-2 py-0.5 text-[10px] font-semibold uppercase tracking-[0.15em] text-sky-700"
+                        title={`Rejudged ${submission.rejudge_count} time${
+                          submission.rejudge_count === 1 ? "" : "s"
+                        }`}
+                      >
+                        Rejudged
+                      </span>
+                    ) : null}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {submission.score != null ? submission.score : "-"}
+                  </td>
+                  <td className="py-3 pr-4">{submission.language_name}</td>
+                  <td className="py-3 pr-4">
+                    {submission.code_length != null
+                      ? `${submission.code_length} chars`
+                      : "-"}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {formatTime(submission.exec_time_ms)}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {formatMemory(submission.memory_kb)}
+                  </td>
+                  <td className="py-3 pr-4">
+                    {new Date(submission.created_at).toLocaleString()}
+                  </td>
+                  <td className="py-3 pr-2 text-right">
+                    <button
+                      type="button"
+                      className="rounded-full border border-slate-200 bg-white px-2 py-1 text-[11px] font-semibold text-slate-600 transition hover:border-amber-200 hover:text-slate-900"
+                      onClick={() => toggleExpanded(submission.id)}
+                      aria-label="Toggle code"
+                    >
+                      {isExpanded ? "▾" : "▸"}
+                    </button>
+                  </td>
+                </tr>
+                {isExpanded ? (
+                  <tr>
+                    <td className="py-3 pr-2" colSpan={11}>
+                      <div className="rounded-lg border border-slate-200 bg-slate-50 p-3">
+                        {sources[submission.id] === undefined ? (
+                          <p className="text-xs text-slate-500">
+                            Loading code...
+                          </p>
+                        ) : (
+                          <CodeEditor
+                            label={`Submission #${submission.id}`}
+                            languageLabel={submission.language_name}
+                            languageKey={submission.language_key}
+                            value={sources[submission.id]}
+                            onChange={() => {}}
+                            readOnly
+                          />
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ) : null}
+              </Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
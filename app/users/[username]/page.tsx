@@ -0,0 +1,300 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { getApiBase } from "@/lib/api";
+
+export const dynamic = "force-dynamic";
+
+type ProfileProblem = {
+  id: number;
+  slug: string;
+  title: string;
+  points: number;
+  difficulty: number | null;
+  submission_count: number;
+  solved_at: string | null;
+  best_score: number | null;
+};
+
+type Profile = {
+  user: {
+    username: string;
+    display_name: string | null;
+    bio: string | null;
+    avatar_url: string | null;
+    role: string;
+    created_at: string;
+  };
+  stats: {
+    submissions: number;
+    accepted: number;
+    solved: number;
+    attempted: number;
+  };
+  solved: ProfileProblem[];
+  attempted: ProfileProblem[];
+  verdicts: { verdict: string; count: number }[];
+  languages: { key: string; name: string; count: number }[];
+  heatmap: { date: string; count: number }[];
+  heatmapDays: number;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function fetchProfile(username: string) {
+  const apiBase = getApiBase();
+  const response = await fetch(
+    `${apiBase}/users/${encodeURIComponent(username)}`,
+    { cache: "no-store" }
+  );
+  if (!response.ok) {
+    return null;
+  }
+  return (await response.json()) as Profile;
+}
+
+function heatmapClassName(count: number) {
+  if (count === 0) {
+    return "bg-slate-100";
+  }
+  if (count < 3) {
+    return "bg-emerald-200";
+  }
+  if (count < 6) {
+    return "bg-emerald-400";
+  }
+  return "bg-emerald-600";
+}
+
+// Lays the counts out in week columns (Sunday first) ending today, UTC.
+function heatmapDays(profile: Profile) {
+  const counts = new Map(
+    profile.heatmap.map((day) => [day.date, day.count] as const)
+  );
+  const today = new Date();
+  const end = Date.UTC(
+    today.getUTCFullYear(),
+    today.getUTCMonth(),
+    today.getUTCDate()
+  );
+  const start = end - (profile.heatmapDays - 1) * DAY_MS;
+  const firstColumnStart = start - new Date(start).getUTCDay() * DAY_MS;
+  const days: { date: string; count: number | null }[] = [];
+  for (let time = firstColumnStart; time <= end; time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    days.push({
+      date,
+      count: time < start ? null : (counts.get(date) ?? 0),
+    });
+  }
+  return days;
+}
+
+function BreakdownList({
+  title,
+  items,
+}: {
+  title: string;
+  items: { label: string; count: number }[];
+}) {
+  const total = items.reduce((sum, item) => sum + item.count, 0);
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+      <h2 className="text-lg font-semibold">{title}</h2>
+      {items.length === 0 ? (
+        <p className="mt-4 text-sm text-slate-600">No submissions yet.</p>
+      ) : (
+        <ul className="mt-4 space-y-3">
+          {items.map((item) => (
+            <li key={item.label} className="space-y-1 text-xs">
+              <div className="flex justify-between font-semibold text-slate-700">
+                <span>{item.label}</span>
+                <span>{item.count}</span>
+              </div>
+              <div className="h-2 rounded-full bg-slate-100">
+                <div
+                  className="h-2 rounded-full bg-amber-400"
+                  style={{ width: `${(item.count / total) * 100}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default async function UserProfilePage({
+  params,
+}: {
+  params: { username: string } | Promise<{ username: string }>;
+}) {
+  const { username } = await Promise.resolve(params);
+  const profile = await fetchProfile(decodeURIComponent(username));
+
+  if (!profile) {
+    notFound();
+  }
+
+  const { user, stats } = profile;
+  const name = user.display_name || user.username;
+  const days = heatmapDays(profile);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-amber-50 to-white text-slate-900">
+      <div className="mx-auto flex max-w-5xl flex-col gap-10 px-6 py-10">
+        <Link
+          href="/"
+          className="text-sm font-semibold uppercase tracking-[0.2em] text-amber-700"
+        >
+          Back to problem list
+        </Link>
+
+        <header className="flex flex-wrap items-center gap-6">
+          {user.avatar_url ? (
+            // Avatars are arbitrary external URLs, so next/image is not used.
+            // eslint-disable-next-line @next/next/no-img-element
+            <img
+              src={user.avatar_url}
+              alt=""
+              className="h-20 w-20 rounded-full border border-slate-200 object-cover"
+            />
+          ) : (
+            <div className="flex h-20 w-20 items-center justify-center rounded-full bg-amber-100 text-3xl font-semibold text-amber-700">
+              {name.charAt(0).toUpperCase()}
+            </div>
+          )}
+          <div className="space-y-2">
+            <h1 className="text-4xl font-semibold">{name}</h1>
+            <p className="text-sm text-slate-600">
+              @{user.username}
+              {user.role !== "user" ? ` · ${user.role}` : null} · joined{" "}
+              {new Date(user.created_at).toLocaleDateString()}
+            </p>
+            {user.bio ? (
+              <p className="max-w-2xl whitespace-pre-wrap text-sm text-slate-700">
+                {user.bio}
+              </p>
+            ) : null}
+          </div>
+        </header>
+
+        <div className="grid gap-4 sm:grid-cols-4">
+          {[
+            ["Solved", stats.solved],
+            ["Attempted", stats.attempted],
+            ["Submissions", stats.submissions],
+            ["Accepted", stats.accepted],
+          ].map(([label, value]) => (
+            <div
+              key={label}
+              className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-sm"
+            >
+              <p className="text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">
+                {label}
+              </p>
+              <p className="mt-2 text-3xl font-semibold">{value}</p>
+            </div>
+          ))}
+        </div>
+
+        <section className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+          <h2 className="text-lg font-semibold">Activity</h2>
+          <p className="mt-1 text-xs text-slate-500">
+            Submissions per day over the last {profile.heatmapDays} days (UTC).
+          </p>
+          <div className="mt-4 overflow-x-auto">
+            <div className="grid w-max grid-flow-col grid-rows-7 gap-1">
+              {days.map((day) => (
+                <div
+                  key={day.date}
+                  className={`h-3 w-3 rounded-sm ${
+                    day.count == null
+                      ? "bg-transparent"
+                      : heatmapClassName(day.count)
+                  }`}
+                  title={
+                    day.count == null
+                      ? undefined
+                      : `${day.count} submission${day.count === 1 ? "" : "s"} on ${day.date}`
+                  }
+                />
+              ))}
+            </div>
+          </div>
+        </section>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <BreakdownList
+            title="Verdicts"
+            items={profile.verdicts.map((item) => ({
+              label: item.verdict,
+              count: item.count,
+            }))}
+          />
+          <BreakdownList
+            title="Languages"
+            items={profile.languages.map((item) => ({
+              label: item.name,
+              count: item.count,
+            }))}
+          />
+        </div>
+
+        <section className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+          <h2 className="text-lg font-semibold">Solved Problems</h2>
+          {profile.solved.length === 0 ? (
+            <p className="mt-4 text-sm text-slate-600">Nothing solved yet.</p>
+          ) : (
+            <ul className="mt-4 divide-y divide-slate-200">
+              {profile.solved.map((problem) => (
+                <li key={problem.id}>
+                  <Link
+                    href={`/problems/${problem.id}`}
+                    className="flex items-center justify-between gap-4 py-3 text-sm transition hover:text-amber-700"
+                  >
+                    <span className="font-semibold">{problem.title}</span>
+                    <span className="text-xs text-slate-500">
+                      {problem.points} pts · solved{" "}
+                      {new Date(problem.solved_at ?? "").toLocaleDateString()}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {profile.attempted.length > 0 ? (
+          <section className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm">
+            <h2 className="text-lg font-semibold">Attempted</h2>
+            <ul className="mt-4 divide-y divide-slate-200">
+              {profile.attempted.map((problem) => (
+                <li key={problem.id}>
+                  <Link
+                    href={`/problems/${problem.id}`}
+                    className="flex items-center justify-between gap-4 py-3 text-sm transition hover:text-amber-700"
+                  >
+                    <span className="font-semibold">{problem.title}</span>
+                    <span className="text-xs text-slate-500">
+                      best {problem.best_score ?? 0} / {problem.points} pts ·{" "}
+                      {problem.submission_count} submission
+                      {problem.submission_count === 1 ? "" : "s"}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ) : null}
+
+        <Link
+          href={`/submissions?user=${encodeURIComponent(user.username)}`}
+          className="text-sm font-semibold text-amber-700"
+        >
+          View all submissions
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+"use client";
+
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useState } from "react";
+import { notifyAuthChanged } from "@/lib/use-current-user";
+
+type AuthFormProps = {
+  mode: "login" | "register";
+};
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+export default function AuthForm({ mode }: AuthFormProps) {
+  const router = useRouter();
+  const [username, setUsername] = useState("");
+  const [email, setEmail] = useState("");
+  const [displayName, setDisplayName] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isRegister = mode === "register";
+
+  const handleSubmit = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        `${apiBase}/auth/${isRegister ? "register" : "login"}`,
+        {
+          method: "POST",
+          credentials: "include",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(
+            isRegister
+              ? { username, password, email, displayName }
+              : { username, password }
+          ),
+        }
+      );
+      const payload = (await response.json()) as { error?: string };
+      if (!response.ok) {
+        throw new Error(
+          payload.error ||
+            (isRegister ? "Registration failed." : "Login failed.")
+        );
+      }
+      notifyAuthChanged();
+      router.push("/");
+      router.refresh();
+    } catch (submitError) {
+      setError(
+        submitError instanceof Error
+          ? submitError.message
+          : isRegister
+            ? "Registration failed."
+            : "Login failed."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName =
+    "mt-2 w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-800 shadow-sm focus:border-amber-300 focus:outline-none";
+  const labelClassName =
+    "block text-xs font-semibold uppercase tracking-[0.2em] text-slate-500";
+
+  return (
+    <form
+      className="space-y-4 rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm"
+      onSubmit={handleSubmit}
+    >
+      <label className={labelClassName}>
+        {isRegister ? "Username" : "Username or email"}
+        <input
+          className={inputClassName}
+          value={username}
+          onChange={(event) => setUsername(event.target.value)}
+          autoComplete="username"
+          required
+        />
+      </label>
+      {isRegister ? (
+        <>
+          <label className={labelClassName}>
+            Display name
+            <input
+              className={inputClassName}
+              value={displayName}
+              onChange={(event) => setDisplayName(event.target.value)}
+              placeholder="Optional"
+            />
+          </label>
+          <label className={labelClassName}>
+            Email
+            <input
+              type="email"
+              className={inputClassName}
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+              autoComplete="email"
+              placeholder="Optional"
+            />
+          </label>
+        </>
+      ) : null}
+      <label className={labelClassName}>
+        Password
+        <input
+          type="password"
+          className={inputClassName}
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          autoComplete={isRegister ? "new-password" : "current-password"}
+          required
+        />
+      </label>
+
+      {error ? (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      ) : null}
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          type="submit"
+          className="rounded-full bg-amber-500 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-60"
+          disabled={isSubmitting}
+        >
+          {isSubmitting
+            ? isRegister
+              ? "Creating account..."
+              : "Signing in..."
+            : isRegister
+              ? "Create Account"
+              : "Sign In"}
+        </button>
+        <Link
+          href={isRegister ? "/login" : "/register"}
+          className="text-sm text-slate-600 underline-offset-4 hover:text-amber-700 hover:underline"
+        >
+          {isRegister
+            ? "Already have an account? Sign in"
+            : "New here? Create an account"}
+        </Link>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,55 @@
+"use client";
+
+import Link from "next/link";
+import { notifyAuthChanged, useCurrentUser } from "@/lib/use-current-user";
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+export default function AuthStatus() {
+  const { user, isLoading } = useCurrentUser();
+
+  const handleLogout = async () => {
+    await fetch(`${apiBase}/auth/logout`, {
+      method: "POST",
+      credentials: "include",
+    }).catch(() => null);
+    notifyAuthChanged();
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  const linkClassName =
+    "rounded-full border border-slate-200 bg-white/80 px-3 py-1 text-xs font-semibold text-slate-700 shadow-sm transition hover:border-amber-300 hover:text-amber-700";
+
+  if (!user) {
+    return (
+      <div className="flex items-center gap-2">
+        <Link href="/login" className={linkClassName}>
+          Sign In
+        </Link>
+        <Link href="/register" className={linkClassName}>
+          Register
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-xs text-slate-600">
+      <span>
+        Signed in as{" "}
+        <Link
+          href={`/users/${user.username}`}
+          className="font-semibold text-slate-800 transition hover:text-amber-700"
+        >
+          {user.displayName || user.username}
+        </Link>
+      </span>
+      <button type="button" className={linkClassName} onClick={handleLogout}>
+        Sign Out
+      </button>
+    </div>
+  );
+}
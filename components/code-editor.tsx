@@ -7,6 +7,11 @@ const MonacoEditor = dynamic(() => import("@monaco-editor/react"), {
   ssr: false,
 });
 
+const MonacoDiffEditor = dynamic(
+  () => import("@monaco-editor/react").then((mod) => mod.DiffEditor),
+  { ssr: false }
+);
+
 type CodeEditorProps = {
   label: string;
   languageLabel?: string;
@@ -31,6 +36,33 @@ const LANGUAGE_MAP: Record<string, string> = {
   java: "java",
 };
 
+type CodeDiffEditorProps = {
+  label: string;
+  originalLabel?: string;
+  modifiedLabel?: string;
+  originalLanguageKey?: string;
+  modifiedLanguageKey?: string;
+  original: string;
+  modified: string;
+  height?: string;
+};
+
+const EDITOR_OPTIONS = {
+  minimap: { enabled: false },
+  fontSize: 12,
+  fontFamily:
+    "var(--font-geist-mono), SFMono-Regular, Consolas, Liberation Mono, Menlo, monospace",
+  lineHeight: 20,
+  wordWrap: "on",
+  scrollBeyondLastLine: false,
+  automaticLayout: true,
+  padding: { top: 12, bottom: 12 },
+} as const;
+
+const editorLoading = (
+  <div className="px-3 py-3 text-xs text-slate-400">Loading editor...</div>
+);
+
 const getMonacoLanguage = (key?: string) => {
   const normalizedKey = key?.toLowerCase() ?? "";
   const mapped = LANGUAGE_MAP[normalizedKey];
@@ -72,23 +104,46 @@ export default function CodeEditor({
           language={language}
           theme="vs-dark"
           onChange={(nextValue) => onChange(nextValue ?? "")}
+          options={{ ...EDITOR_OPTIONS, readOnly }}
+          loading={editorLoading}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Read-only side-by-side diff, e.g. of two submissions to the same problem.
+export function CodeDiffEditor({
+  label,
+  originalLabel,
+  modifiedLabel,
+  originalLanguageKey,
+  modifiedLanguageKey,
+  original,
+  modified,
+  height = "360px",
+}: CodeDiffEditorProps) {
+  return (
+    <div className="rounded-2xl border border-slate-800/40 bg-slate-950 text-slate-100 shadow-sm normal-case">
+      <div className="flex items-center justify-between gap-3 border-b border-slate-800/40 px-3 py-2 text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-400">
+        <span>{originalLabel}</span>
+        <span className="text-slate-200">{label}</span>
+        <span>{modifiedLabel}</span>
+      </div>
+      <div className="overflow-hidden rounded-b-2xl">
+        <MonacoDiffEditor
+          height={height}
+          original={original}
+          modified={modified}
+          originalLanguage={getMonacoLanguage(originalLanguageKey)}
+          modifiedLanguage={getMonacoLanguage(modifiedLanguageKey)}
+          theme="vs-dark"
           options={{
-            readOnly,
-            minimap: { enabled: false },
-            fontSize: 12,
-            fontFamily:
-              "var(--font-geist-mono), SFMono-Regular, Consolas, Liberation Mono, Menlo, monospace",
-            lineHeight: 20,
-            wordWrap: "on",
-            scrollBeyondLastLine: false,
-            automaticLayout: true,
-            padding: { top: 12, bottom: 12 },
+            ...EDITOR_OPTIONS,
+            readOnly: true,
+            renderSideBySide: true,
           }}
-          loading={
-            <div className="px-3 py-3 text-xs text-slate-400">
-              Loading editor...
-            </div>
-          }
+          loading={editorLoading}
         />
       </div>
     </div>
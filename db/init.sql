@@ -15,6 +15,13 @@ CREATE TABLE users (
   last_login_at TIMESTAMPTZ
 );
 
+CREATE TABLE sessions (
+  token_hash TEXT PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
 CREATE TABLE languages (
   id BIGSERIAL PRIMARY KEY,
   key TEXT NOT NULL UNIQUE,
@@ -26,6 +33,10 @@ CREATE TABLE languages (
   is_interpreted BOOLEAN NOT NULL DEFAULT FALSE,
   default_time_limit_ms INTEGER,
   default_memory_limit_kb INTEGER,
+  limit_address_space BOOLEAN NOT NULL DEFAULT TRUE,
+  time_multiplier DOUBLE PRECISION NOT NULL DEFAULT 1,
+  time_offset_ms INTEGER NOT NULL DEFAULT 0,
+  memory_offset_kb INTEGER NOT NULL DEFAULT 0,
   enabled BOOLEAN NOT NULL DEFAULT TRUE,
   sort_order INTEGER NOT NULL DEFAULT 0,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
@@ -45,22 +56,45 @@ CREATE TABLE problems (
   judge_type TEXT NOT NULL DEFAULT 'default',
   checker_language_key TEXT,
   checker_source TEXT,
+  checker_protocol TEXT NOT NULL DEFAULT 'json',
+  score_policy TEXT NOT NULL DEFAULT 'min',
+  compare_mode TEXT NOT NULL DEFAULT 'exact',
+  compare_epsilon DOUBLE PRECISION NOT NULL DEFAULT 1e-6,
+  -- Outside contests, the expected output of this many failing hidden
+  -- testcases is shown alongside a submission's results.
+  reveal_failed_hidden INTEGER NOT NULL DEFAULT 0,
+  stop_on_failure BOOLEAN NOT NULL DEFAULT FALSE,
   time_limit_ms INTEGER NOT NULL DEFAULT 2000,
   memory_limit_kb INTEGER NOT NULL DEFAULT 262144,
   difficulty INTEGER,
   source TEXT,
   author_id BIGINT REFERENCES users(id),
   is_visible BOOLEAN NOT NULL DEFAULT TRUE,
+  current_revision INTEGER NOT NULL DEFAULT 1,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', title), 'A') ||
+    setweight(to_tsvector('english', statement), 'B')
+  ) STORED,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   published_at TIMESTAMPTZ
 );
 
+CREATE TABLE problem_language_limits (
+  problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+  language_id BIGINT NOT NULL REFERENCES languages(id) ON DELETE CASCADE,
+  time_multiplier DOUBLE PRECISION,
+  time_offset_ms INTEGER,
+  memory_offset_kb INTEGER,
+  PRIMARY KEY (problem_id, language_id)
+);
+
 CREATE TABLE testcase_groups (
   id BIGSERIAL PRIMARY KEY,
   problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
   name TEXT NOT NULL,
   points INTEGER NOT NULL DEFAULT 0,
+  stop_on_failure BOOLEAN,
   sort_order INTEGER NOT NULL DEFAULT 0,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -74,23 +108,79 @@ CREATE TABLE testcases (
   expected_output TEXT NOT NULL,
   is_sample BOOLEAN NOT NULL DEFAULT FALSE,
   sort_order INTEGER NOT NULL DEFAULT 0,
+  -- Set when the testcase is deleted or a restored revision drops it;
+  -- archived testcases are kept for the results that refer to them but are no
+  -- longer judged.
+  archived_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+CREATE TABLE problem_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  author_id BIGINT REFERENCES users(id),
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (problem_id, revision)
+);
+
+CREATE TABLE contests (
+  id BIGSERIAL PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  description TEXT,
+  start_time TIMESTAMPTZ,
+  end_time TIMESTAMPTZ,
+  duration_minutes INTEGER,
+  scoring_mode TEXT NOT NULL DEFAULT 'ioi',
+  freeze_minutes INTEGER,
+  unfrozen_at TIMESTAMPTZ,
+  is_public BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by BIGINT REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE contest_problems (
+  contest_id BIGINT NOT NULL REFERENCES contests(id) ON DELETE CASCADE,
+  problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+  label TEXT NOT NULL,
+  points INTEGER,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (contest_id, problem_id)
+);
+
+CREATE TABLE contest_registrations (
+  contest_id BIGINT NOT NULL REFERENCES contests(id) ON DELETE CASCADE,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  is_virtual BOOLEAN NOT NULL DEFAULT FALSE,
+  started_at TIMESTAMPTZ,
+  registered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (contest_id, user_id)
+);
+
 CREATE TABLE submissions (
   id BIGSERIAL PRIMARY KEY,
   user_id BIGINT REFERENCES users(id),
   problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+  contest_id BIGINT REFERENCES contests(id) ON DELETE SET NULL,
   language_id BIGINT NOT NULL REFERENCES languages(id),
   source_code TEXT NOT NULL,
+  problem_revision INTEGER,
   status TEXT NOT NULL DEFAULT 'queued',
   verdict TEXT,
   score INTEGER,
+  group_scores JSONB,
   exec_time_ms INTEGER,
   memory_kb INTEGER,
   compiler_output TEXT,
   runtime_output TEXT,
+  judge_worker TEXT,
+  judge_started_at TIMESTAMPTZ,
+  rejudge_count INTEGER NOT NULL DEFAULT 0,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   judged_at TIMESTAMPTZ
 );
@@ -101,15 +191,34 @@ CREATE TABLE submission_results (
   testcase_id BIGINT NOT NULL REFERENCES testcases(id) ON DELETE CASCADE,
   status TEXT NOT NULL,
   exec_time_ms INTEGER,
+  cpu_time_ms INTEGER,
+  wall_time_ms INTEGER,
   memory_kb INTEGER,
+  score DOUBLE PRECISION,
   output TEXT,
   error TEXT,
+  checker_message TEXT,
+  transcript TEXT,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+CREATE TABLE submission_verdict_history (
+  id BIGSERIAL PRIMARY KEY,
+  submission_id BIGINT NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  verdict TEXT,
+  score INTEGER,
+  exec_time_ms INTEGER,
+  memory_kb INTEGER,
+  problem_revision INTEGER,
+  judged_at TIMESTAMPTZ,
+  rejudged_by BIGINT REFERENCES users(id),
+  rejudged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 CREATE TABLE problem_messages (
   id BIGSERIAL PRIMARY KEY,
   problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+  user_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
   author_name TEXT NOT NULL,
   body TEXT NOT NULL,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
@@ -127,43 +236,38 @@ CREATE TABLE problem_tags (
   PRIMARY KEY (problem_id, tag_id)
 );
 
-CREATE TABLE contests (
-  id BIGSERIAL PRIMARY KEY,
-  slug TEXT NOT NULL UNIQUE,
-  title TEXT NOT NULL,
-  description TEXT,
-  start_time TIMESTAMPTZ,
-  end_time TIMESTAMPTZ,
-  duration_minutes INTEGER,
-  is_public BOOLEAN NOT NULL DEFAULT TRUE,
-  created_by BIGINT REFERENCES users(id),
-  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-);
-
-CREATE TABLE contest_problems (
-  contest_id BIGINT NOT NULL REFERENCES contests(id) ON DELETE CASCADE,
+-- Judged-submission summaries kept up to date by the judge queue so that
+-- problem statistics never scan submissions.
+CREATE TABLE problem_verdict_counts (
   problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
-  label TEXT NOT NULL,
-  points INTEGER,
-  sort_order INTEGER NOT NULL DEFAULT 0,
-  PRIMARY KEY (contest_id, problem_id)
+  verdict TEXT NOT NULL,
+  submission_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (problem_id, verdict)
 );
 
-CREATE TABLE contest_registrations (
-  contest_id BIGINT NOT NULL REFERENCES contests(id) ON DELETE CASCADE,
-  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  registered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  PRIMARY KEY (contest_id, user_id)
+CREATE TABLE problem_language_records (
+  problem_id BIGINT NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+  language_id BIGINT NOT NULL REFERENCES languages(id) ON DELETE CASCADE,
+  fastest_submission_id BIGINT REFERENCES submissions(id) ON DELETE SET NULL,
+  fastest_time_ms INTEGER,
+  shortest_submission_id BIGINT REFERENCES submissions(id) ON DELETE SET NULL,
+  shortest_length INTEGER,
+  PRIMARY KEY (problem_id, language_id)
 );
 
+CREATE INDEX idx_problems_search_vector ON problems USING GIN (search_vector);
+CREATE INDEX idx_problem_tags_tag_id ON problem_tags(tag_id);
 CREATE INDEX idx_testcases_problem_id ON testcases(problem_id);
 CREATE INDEX idx_testcases_group_id ON testcases(group_id);
 CREATE INDEX idx_testcase_groups_problem_id ON testcase_groups(problem_id);
-CREATE INDEX idx_submissions_problem_id ON submissions(problem_id);
-CREATE INDEX idx_submissions_user_id ON submissions(user_id);
+CREATE INDEX idx_submissions_problem_id ON submissions(problem_id, id);
+CREATE INDEX idx_submissions_user_id ON submissions(user_id, id);
+CREATE INDEX idx_submissions_contest_id ON submissions(contest_id);
+CREATE INDEX idx_submissions_queued ON submissions(id) WHERE status = 'queued';
 CREATE INDEX idx_submission_results_submission_id ON submission_results(submission_id);
+CREATE INDEX idx_submission_verdict_history_submission_id ON submission_verdict_history(submission_id);
 CREATE INDEX idx_problem_messages_problem_id ON problem_messages(problem_id);
+CREATE INDEX idx_sessions_user_id ON sessions(user_id);
 
 INSERT INTO languages (
   key,
@@ -175,6 +279,10 @@ INSERT INTO languages (
   is_interpreted,
   default_time_limit_ms,
   default_memory_limit_kb,
+  limit_address_space,
+  time_multiplier,
+  time_offset_ms,
+  memory_offset_kb,
   sort_order
 ) VALUES
   (
@@ -187,6 +295,10 @@ INSERT INTO languages (
     FALSE,
     2000,
     262144,
+    TRUE,
+    1,
+    0,
+    0,
     1
   ),
   (
@@ -199,6 +311,10 @@ INSERT INTO languages (
     TRUE,
     2000,
     262144,
+    TRUE,
+    3,
+    0,
+    0,
     2
   ),
   (
@@ -211,6 +327,10 @@ INSERT INTO languages (
     FALSE,
     2000,
     262144,
+    TRUE,
+    1,
+    0,
+    0,
     3
   ),
   (
@@ -223,6 +343,10 @@ INSERT INTO languages (
     FALSE,
     2000,
     262144,
+    FALSE,
+    2,
+    500,
+    131072,
     4
   ),
   (
@@ -235,6 +359,10 @@ INSERT INTO languages (
     TRUE,
     2000,
     262144,
+    FALSE,
+    2,
+    200,
+    65536,
     5
   );
 
@@ -406,6 +534,93 @@ SELECT id, 'Staff', 'This problem uses a custom checker that validates permutati
 FROM problems
 WHERE slug = 'any-permutation';
 
+WITH interactive_problem AS (
+  INSERT INTO problems (
+    slug,
+    title,
+    statement,
+    editorial,
+    constraints,
+    input_format,
+    output_format,
+    points,
+    judge_type,
+    checker_language_key,
+    checker_source,
+    time_limit_ms,
+    memory_limit_kb,
+    difficulty,
+    source,
+    author_id,
+    is_visible,
+    published_at
+  )
+  SELECT
+    'guess-the-number',
+    'Guess the Number',
+    'The judge has chosen a secret integer X. Print a guess on its own line and flush; the judge answers "higher", "lower" or "correct". Stop after "correct".',
+    'Binary search over 1..10^9 needs at most 30 guesses.',
+    '1 <= X <= 10^9, at most 30 guesses',
+    'Answers from the judge, one per line.',
+    'One guess per line. Remember to flush after each guess.',
+    100,
+    'interactive',
+    'python3',
+    $$import sys
+
+with open(sys.argv[1]) as source:
+    secret = int(source.read().split()[0])
+
+limit = 30
+for query in range(1, limit + 1):
+    line = sys.stdin.readline()
+    if not line:
+        print("solution stopped before guessing correctly", file=sys.stderr)
+        sys.exit(1)
+    try:
+        guess = int(line)
+    except ValueError:
+        print(f"guess {query} is not an integer", file=sys.stderr)
+        sys.exit(2)
+    if guess == secret:
+        print("correct", flush=True)
+        print(f"guessed in {query} queries", file=sys.stderr)
+        sys.exit(0)
+    print("higher" if guess < secret else "lower", flush=True)
+
+print(f"no correct guess within {limit} queries", file=sys.stderr)
+sys.exit(1)
+$$,
+    2000,
+    262144,
+    150,
+    'interactive',
+    (SELECT id FROM users WHERE username = 'guest'),
+    TRUE,
+    NOW()
+  RETURNING id
+)
+INSERT INTO testcases (problem_id, name, input, expected_output, is_sample, sort_order)
+SELECT
+  interactive_problem.id,
+  data.name,
+  data.input,
+  data.expected_output,
+  data.is_sample,
+  data.sort_order
+FROM interactive_problem
+CROSS JOIN (
+  VALUES
+    ('Hidden 1', E'1\n', '', FALSE, 1),
+    ('Hidden 2', E'1000000000\n', '', FALSE, 2),
+    ('Hidden 3', E'123456789\n', '', FALSE, 3)
+) AS data(name, input, expected_output, is_sample, sort_order);
+
+INSERT INTO problem_messages (problem_id, author_name, body)
+SELECT id, 'Staff', 'This problem is interactive: your program talks to a judge-side interactor.'
+FROM problems
+WHERE slug = 'guess-the-number';
+
 WITH partial_problem AS (
   INSERT INTO problems (
     slug,
@@ -537,4 +752,24 @@ SELECT id, 'Staff', 'This problem includes partial scoring by testcase groups.'
 FROM problems
 WHERE slug = 'array-sum';
 
+INSERT INTO tags (name) VALUES
+  ('implementation'),
+  ('math'),
+  ('constructive'),
+  ('interactive'),
+  ('binary search');
+
+INSERT INTO problem_tags (problem_id, tag_id)
+SELECT problems.id, tags.id
+FROM (VALUES
+  ('a-plus-b', 'implementation'),
+  ('a-plus-b', 'math'),
+  ('any-permutation', 'constructive'),
+  ('guess-the-number', 'interactive'),
+  ('guess-the-number', 'binary search'),
+  ('array-sum', 'implementation')
+) AS seed(slug, tag)
+JOIN problems ON problems.slug = seed.slug
+JOIN tags ON tags.name = seed.tag;
+
 COMMIT;
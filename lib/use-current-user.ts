@@ -0,0 +1,52 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+
+export type CurrentUser = {
+  id: number;
+  username: string;
+  email: string | null;
+  displayName: string | null;
+  role: string;
+};
+
+const apiBase = process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:4000";
+
+// Dispatched after login, registration and logout so that every mounted
+// consumer of useCurrentUser reloads the session.
+export const AUTH_CHANGED_EVENT = "oj-auth-changed";
+
+export function notifyAuthChanged() {
+  window.dispatchEvent(new Event(AUTH_CHANGED_EVENT));
+}
+
+export function useCurrentUser() {
+  const [user, setUser] = useState<CurrentUser | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadUser = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiBase}/me`, {
+        credentials: "include",
+      });
+      if (!response.ok) {
+        setUser(null);
+        return;
+      }
+      const payload = (await response.json()) as { user: CurrentUser };
+      setUser(payload.user);
+    } catch {
+      setUser(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUser();
+    window.addEventListener(AUTH_CHANGED_EVENT, loadUser);
+    return () => window.removeEventListener(AUTH_CHANGED_EVENT, loadUser);
+  }, [loadUser]);
+
+  return { user, isLoading };
+}